@@ -30,15 +30,34 @@ if (fs.existsSync(cssPath)) {
     );
 }
 
+// Add-in configuration the scripts need at runtime (see constants.js)
+const config = JSON.parse(fs.readFileSync(path.join(__dirname, "config.json"), "utf8"));
+const addInConfig = { addInId: config.addInId || null };
+html = html.replace(
+    /<script\s+src="js\/constants\.js"\s*><\/script>/,
+    "<script>\nvar DHD = DHD || {};\nDHD.AddInConfig = " + JSON.stringify(addInConfig) + ";\n</script>\n" +
+    '    <script src="js/constants.js"></script>'
+);
+
 // Inline JS: replace each <script src="js/..."> tag
 const jsFiles = [
     "constants.js",
+    "analysisWindow.js",
     "deviceCache.js",
+    "thresholdProfiles.js",
     "healthService.js",
+    "scoreHistory.js",
+    "voltageTrend.js",
+    "gpsQuality.js",
+    "tamperRisk.js",
+    "cellularCoverage.js",
     "rootCauseEngine.js",
     "diagnosticTimeline.js",
+    "fleetMap.js",
+    "groupTree.js",
     "fleetDashboard.js",
     "deviceDiagnostics.js",
+    "settingsPanel.js",
     "main.js"
 ];
 
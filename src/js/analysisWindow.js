@@ -0,0 +1,177 @@
+/**
+ * analysisWindow.js — Date-range picker state shared by the fetchers,
+ * charts and classification. Holds either a preset (24h, 7d, 30d, 90d)
+ * or a custom from/to date pair.
+ */
+var DHD = DHD || {};
+
+DHD.AnalysisWindow = (function () {
+    "use strict";
+
+    var C = DHD.Constants;
+    var DAY_MS = 24 * 60 * 60 * 1000;
+
+    var _preset = C.DEFAULT_WINDOW;   // preset key, or "custom"
+    var _customFrom = null;           // Date (local midnight)
+    var _customTo = null;             // Date (end of local day)
+    var _onChange = null;
+    var _eventsBound = false;
+
+    function findPreset(key) {
+        for (var i = 0; i < C.AnalysisWindows.length; i++) {
+            if (C.AnalysisWindows[i].key === key) {
+                return C.AnalysisWindows[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve the current selection to concrete dates.
+     * A window is "live" when it ends now, so incremental refreshes
+     * can keep extending it; a custom range ending in the past is not.
+     *
+     * @returns {{ key: string, fromDate: Date, toDate: Date, label: string, isLive: boolean, hours: number }}
+     *   key is the preset key, or "custom"
+     */
+    function get() {
+        var now = new Date();
+        var preset = findPreset(_preset);
+
+        if (preset || !_customFrom) {
+            preset = preset || findPreset(C.DEFAULT_WINDOW);
+            return {
+                key: preset.key,
+                fromDate: new Date(now.getTime() - preset.hours * 60 * 60 * 1000),
+                toDate: now,
+                label: preset.label,
+                isLive: true,
+                hours: preset.hours
+            };
+        }
+
+        var toDate = _customTo && _customTo < now ? _customTo : now;
+        return {
+            key: "custom",
+            fromDate: _customFrom,
+            toDate: toDate,
+            label: formatDay(_customFrom) + " \u2013 " + formatDay(toDate),
+            isLive: toDate === now,
+            hours: (toDate - _customFrom) / (60 * 60 * 1000)
+        };
+    }
+
+    function setPreset(key) {
+        if (!findPreset(key)) { return; }
+        _preset = key;
+        notify();
+    }
+
+    /**
+     * @param {Date} from - first day (inclusive)
+     * @param {Date} to - last day (inclusive)
+     */
+    function setCustom(from, to) {
+        var start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+        var end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+        if (end < start) {
+            var tmp = start; start = end; end = tmp;
+        }
+        _customFrom = start;
+        _customTo = new Date(end.getTime() + DAY_MS - 1);
+        _preset = "custom";
+        notify();
+    }
+
+    function notify() {
+        syncControls();
+        if (_onChange) { _onChange(get()); }
+    }
+
+    // ── Picker UI ──────────────────────────────────────────────────────
+
+    /**
+     * Fill the header picker and wire its events.
+     * @param {Function} onChange - called with get() whenever the window changes
+     */
+    function bind(onChange) {
+        _onChange = onChange;
+
+        var select = document.getElementById("dhdWindowSelect");
+        if (!select) { return; }
+
+        var html = "";
+        C.AnalysisWindows.forEach(function (w) {
+            html += '<option value="' + w.key + '">' + w.label + '</option>';
+        });
+        html += '<option value="custom">Custom range\u2026</option>';
+        select.innerHTML = html;
+        syncControls();
+
+        if (_eventsBound) { return; }
+        _eventsBound = true;
+
+        select.addEventListener("change", function () {
+            if (select.value === "custom") {
+                showCustom(true);
+                return;
+            }
+            showCustom(false);
+            setPreset(select.value);
+        });
+
+        var applyBtn = document.getElementById("dhdWindowApply");
+        if (applyBtn) {
+            applyBtn.addEventListener("click", function () {
+                var from = parseDateInput(document.getElementById("dhdWindowFrom"));
+                var to = parseDateInput(document.getElementById("dhdWindowTo"));
+                if (from && to) {
+                    setCustom(from, to);
+                }
+            });
+        }
+    }
+
+    function syncControls() {
+        var select = document.getElementById("dhdWindowSelect");
+        if (select) { select.value = _preset; }
+        showCustom(_preset === "custom");
+
+        var range = get();
+        var fromEl = document.getElementById("dhdWindowFrom");
+        var toEl = document.getElementById("dhdWindowTo");
+        if (fromEl) { fromEl.value = toDateInput(range.fromDate); }
+        if (toEl) { toEl.value = toDateInput(range.toDate); }
+    }
+
+    function showCustom(visible) {
+        var el = document.getElementById("dhdCustomRange");
+        if (el) { el.style.display = visible ? "inline" : "none"; }
+    }
+
+    // ── Utilities ──────────────────────────────────────────────────────
+
+    function parseDateInput(input) {
+        if (!input || !input.value) { return null; }
+        var parts = input.value.split("-");
+        if (parts.length !== 3) { return null; }
+        return new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+    }
+
+    function toDateInput(d) {
+        return d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate());
+    }
+
+    function formatDay(d) {
+        return (d.getMonth() + 1) + "/" + d.getDate() + "/" + d.getFullYear();
+    }
+
+    function pad(n) { return n < 10 ? "0" + n : String(n); }
+
+    return {
+        get: get,
+        setPreset: setPreset,
+        setCustom: setCustom,
+        bind: bind
+    };
+})();
@@ -0,0 +1,204 @@
+/**
+ * cellularCoverage.js — Where a device loses cellular signal.
+ * Joins RSSI StatusData to LogRecord positions, buckets them into grid
+ * cells and compares each cell with what other devices saw there, to
+ * tell a modem problem from a known dead zone.
+ *
+ * Other devices' cells are built the same way from their own RSSI and
+ * LogRecords, fetched for the drill-down window. Peers are the devices
+ * last seen nearest the device's poor-signal cells.
+ */
+var DHD = DHD || {};
+
+DHD.CellularCoverage = (function () {
+    "use strict";
+
+    var C = DHD.Constants;
+
+    // Grid cell size in degrees (≈1 km north-south)
+    var CELL_DEG = 0.01;
+
+    // Max time between an RSSI reading and the LogRecord used for its position
+    var MAX_JOIN_MS = 15 * 60 * 1000;
+
+    // A cell is "poor" for a device when at least this share of its samples are
+    var POOR_SHARE = 0.5;
+    // Other devices needed before a cell counts as a known dead zone / good cell
+    var MIN_OTHER_DEVICES = 2;
+    // Share of a device's poor samples that must fall in one kind of cell
+    var VERDICT_SHARE = 0.6;
+
+    // Peers to compare with, and how far from a poor cell one may be last seen
+    var MAX_PEERS = 10;
+    var PEER_RADIUS_KM = 50;
+
+    /**
+     * Bucket a device's RSSI readings into grid cells by nearest position.
+     * @param {Object[]} rssiRecords - StatusData for CELLULAR_RSSI
+     * @param {Object[]} logRecords
+     * @param {Object} [t] - device thresholds; defaults to DHD.Constants
+     * @returns {Object[]} cells, worst first:
+     *   { key, latitude, longitude, samples, poor, worstRssi, lastSeen }
+     */
+    function buildCells(rssiRecords, logRecords, t) {
+        var poorBelow = (t || C).RSSI.POOR;
+        var positions = (logRecords || []).filter(function (rec) {
+            return rec.latitude != null && rec.longitude != null &&
+                !(rec.latitude === 0 && rec.longitude === 0);
+        }).map(function (rec) {
+            return { ms: new Date(rec.dateTime).getTime(), latitude: rec.latitude, longitude: rec.longitude };
+        }).sort(function (a, b) { return a.ms - b.ms; });
+        if (positions.length === 0) { return []; }
+
+        var cells = {};
+        (rssiRecords || []).forEach(function (rec) {
+            if (typeof rec.data !== "number") { return; }
+            var ms = new Date(rec.dateTime).getTime();
+            var pos = nearest(positions, ms);
+            if (!pos || Math.abs(pos.ms - ms) > MAX_JOIN_MS) { return; }
+
+            var key = cellKey(pos.latitude, pos.longitude);
+            var cell = cells[key];
+            if (!cell) {
+                var parts = key.split(",");
+                cell = cells[key] = {
+                    key: key,
+                    latitude: parseFloat(parts[0]) + CELL_DEG / 2,
+                    longitude: parseFloat(parts[1]) + CELL_DEG / 2,
+                    samples: 0,
+                    poor: 0,
+                    worstRssi: rec.data,
+                    lastSeen: rec.dateTime
+                };
+            }
+            cell.samples++;
+            if (rec.data < poorBelow) { cell.poor++; }
+            if (rec.data < cell.worstRssi) { cell.worstRssi = rec.data; }
+            if (new Date(rec.dateTime) > new Date(cell.lastSeen)) { cell.lastSeen = rec.dateTime; }
+        });
+
+        return Object.keys(cells).map(function (k) { return cells[k]; }).sort(function (a, b) {
+            return (b.poor / b.samples) - (a.poor / a.samples) || a.worstRssi - b.worstRssi;
+        });
+    }
+
+    /**
+     * Pick the devices to compare with: those whose last known position is
+     * closest to one of the device's poor-signal cells.
+     * @param {string} deviceId - excluded
+     * @param {Object[]} cells - from buildCells
+     * @param {Object[]} candidates - { id, latitude, longitude }
+     * @returns {string[]} up to MAX_PEERS device ids, nearest first
+     */
+    function pickPeers(deviceId, cells, candidates) {
+        var poorCells = cells.filter(function (cell) { return cell.poor > 0; });
+        if (poorCells.length === 0) { return []; }
+
+        return candidates.filter(function (c) {
+            return c.id !== deviceId && c.latitude != null && c.longitude != null &&
+                !(c.latitude === 0 && c.longitude === 0);
+        }).map(function (c) {
+            var km = poorCells.reduce(function (min, cell) {
+                return Math.min(min, DHD.GpsQuality.distanceKm(cell, c));
+            }, Infinity);
+            return { id: c.id, km: km };
+        }).filter(function (c) {
+            return c.km <= PEER_RADIUS_KM;
+        }).sort(function (a, b) {
+            return a.km - b.km || (a.id < b.id ? -1 : 1);
+        }).slice(0, MAX_PEERS).map(function (c) { return c.id; });
+    }
+
+    /**
+     * Compare a device's cells with its peers' cells for the same window.
+     * @param {Object[]} cells - from buildCells
+     * @param {Object} peerCells - device id → cells from buildCells
+     * @returns {{ cells: Object[], peerCount: number, poorSamples: number, deadZoneCells: Object[],
+     *             modemCells: Object[], verdict: ?string }}
+     *   cells gain { otherDevices, otherPoorDevices, deadZone, othersFine };
+     *   verdict is "modem", "deadZone" or null when the data doesn't say
+     */
+    function compare(cells, peerCells) {
+        var byCell = indexPeerCells(peerCells || {});
+        var poorSamples = 0;
+        var deadZonePoor = 0;
+        var modemPoor = 0;
+
+        var annotated = cells.map(function (cell) {
+            var others = byCell[cell.key] || [];
+            var otherPoor = others.filter(function (d) { return d.poor / d.samples >= POOR_SHARE; }).length;
+            var out = copy(cell);
+            out.otherDevices = others.length;
+            out.otherPoorDevices = otherPoor;
+            out.deadZone = otherPoor >= MIN_OTHER_DEVICES;
+            out.othersFine = others.length - otherPoor >= MIN_OTHER_DEVICES && otherPoor === 0;
+
+            poorSamples += cell.poor;
+            if (out.deadZone) { deadZonePoor += cell.poor; }
+            if (out.othersFine) { modemPoor += cell.poor; }
+            return out;
+        });
+
+        var verdict = null;
+        if (poorSamples > 0) {
+            if (modemPoor / poorSamples >= VERDICT_SHARE) { verdict = "modem"; }
+            else if (deadZonePoor / poorSamples >= VERDICT_SHARE) { verdict = "deadZone"; }
+        }
+
+        return {
+            cells: annotated,
+            peerCount: Object.keys(peerCells || {}).length,
+            poorSamples: poorSamples,
+            deadZoneCells: annotated.filter(function (c) { return c.deadZone && c.poor > 0; }),
+            modemCells: annotated.filter(function (c) { return c.othersFine && c.poor > 0; }),
+            verdict: verdict
+        };
+    }
+
+    // Cell key → peer cells with samples there (one per peer)
+    function indexPeerCells(peerCells) {
+        var byCell = {};
+        Object.keys(peerCells).forEach(function (id) {
+            peerCells[id].forEach(function (cell) {
+                if (cell.samples > 0) {
+                    (byCell[cell.key] = byCell[cell.key] || []).push(cell);
+                }
+            });
+        });
+        return byCell;
+    }
+
+    // ── Utilities ──────────────────────────────────────────────────────
+
+    function cellKey(lat, lon) {
+        return (Math.floor(lat / CELL_DEG) * CELL_DEG).toFixed(2) + "," +
+            (Math.floor(lon / CELL_DEG) * CELL_DEG).toFixed(2);
+    }
+
+    // Binary search for the position closest in time
+    function nearest(positions, ms) {
+        var lo = 0;
+        var hi = positions.length - 1;
+        while (lo < hi) {
+            var mid = (lo + hi) >> 1;
+            if (positions[mid].ms < ms) { lo = mid + 1; } else { hi = mid; }
+        }
+        var best = positions[lo];
+        if (lo > 0 && Math.abs(positions[lo - 1].ms - ms) < Math.abs(best.ms - ms)) {
+            best = positions[lo - 1];
+        }
+        return best;
+    }
+
+    function copy(obj) {
+        var out = {};
+        Object.keys(obj).forEach(function (k) { out[k] = obj[k]; });
+        return out;
+    }
+
+    return {
+        buildCells: buildCells,
+        pickPeers: pickPeers,
+        compare: compare
+    };
+})();
@@ -7,6 +7,11 @@ var DHD = DHD || {};
 DHD.Constants = (function () {
     "use strict";
 
+    // AddInData id for this add-in's stored settings (one record set per
+    // database). It is the addInId from config.json, which build.js puts
+    // in DHD.AddInConfig; null when the page is served unbuilt from src/.
+    var ADDIN_ID = (DHD.AddInConfig && DHD.AddInConfig.addInId) || null;
+
     // ── StatusData diagnostic KnownIds (16 total) ──────────────────────
 
     var Diagnostics = {
@@ -39,6 +44,25 @@ DHD.Constants = (function () {
         BOOTLOADER_FAIL: "DiagnosticBootloaderUpdateHasFailedId"
     };
 
+    // Short display names, keyed by diagnostic id
+    var DiagnosticLabels = {};
+    DiagnosticLabels[Diagnostics.VOLTAGE] = "Battery voltage";
+    DiagnosticLabels[Diagnostics.CRANKING_VOLTAGE] = "Cranking voltage";
+    DiagnosticLabels[Diagnostics.GPS_NOT_RESPONDING] = "GPS not responding";
+    DiagnosticLabels[Diagnostics.GPS_ANTENNA_UNPLUGGED] = "GPS antenna unplugged";
+    DiagnosticLabels[Diagnostics.GPS_ANTENNA_SHORT] = "GPS antenna short";
+    DiagnosticLabels[Diagnostics.CELLULAR_RSSI] = "Cellular RSSI";
+    DiagnosticLabels[Diagnostics.INTERMITTENT_CONNECTION] = "Intermittent connection";
+    DiagnosticLabels[Diagnostics.HARNESS_STANDARD] = "Standard harness";
+    DiagnosticLabels[Diagnostics.HARNESS_6PIN] = "6-pin harness";
+    DiagnosticLabels[Diagnostics.HARNESS_9PIN] = "9-pin harness";
+    DiagnosticLabels[Diagnostics.CAN_INIT_FAIL] = "CAN init failure";
+    DiagnosticLabels[Diagnostics.CAN_SHORT] = "CAN bus short";
+    DiagnosticLabels[Diagnostics.CAN_DISABLED] = "CAN bus disabled";
+    DiagnosticLabels[Diagnostics.UNPLUGGED] = "Device unplugged";
+    DiagnosticLabels[Diagnostics.FLASH_ERROR] = "Flash errors";
+    DiagnosticLabels[Diagnostics.BOOTLOADER_FAIL] = "Bootloader update failed";
+
     // Ordered list for multiCall StatusData requests
     var ALL_DIAGNOSTIC_IDS = [
         Diagnostics.VOLTAGE,
@@ -76,6 +100,28 @@ DHD.Constants = (function () {
     var HARDWARE_FAULT_CODES = [128, 297, 450, 467, 468];
     var OEM_FAULT_CODES = [488, 491];
 
+    // ── Harnesses and vehicle classes ──────────────────────────────────
+
+    var VehicleClass = {
+        LIGHT: "light",
+        MEDIUM: "medium",
+        HEAVY: "heavy"
+    };
+
+    // Harness key → detection diagnostic and display name
+    var Harnesses = {
+        standard: { diagnosticId: Diagnostics.HARNESS_STANDARD, label: "Standard (OBD-II)" },
+        "6pin": { diagnosticId: Diagnostics.HARNESS_6PIN, label: "6-pin (J1708)" },
+        "9pin": { diagnosticId: Diagnostics.HARNESS_9PIN, label: "9-pin (J1939)" }
+    };
+
+    // Vehicle classes each harness is expected on (overridable per database)
+    var HarnessVehicleClasses = {
+        standard: [VehicleClass.LIGHT, VehicleClass.MEDIUM],
+        "6pin": [VehicleClass.MEDIUM, VehicleClass.HEAVY],
+        "9pin": [VehicleClass.MEDIUM, VehicleClass.HEAVY]
+    };
+
     // ── Thresholds ─────────────────────────────────────────────────────
 
     var Voltage = {
@@ -90,6 +136,21 @@ DHD.Constants = (function () {
         FAIR: -85
     };
 
+    // Resting-voltage decay while the engine is off above this rate
+    // suggests a parasitic drain
+    var ParasiticDrain = {
+        MV_PER_HOUR: 15
+    };
+
+    // Fault weighting: a fault's pull on the health score halves every
+    // HALF_LIFE_DAYS, inactive faults count for INACTIVE_FACTOR of an
+    // active one, and faults weighing less than MIN_WEIGHT are ignored
+    var FaultWeighting = {
+        HALF_LIFE_DAYS: 7,
+        INACTIVE_FACTOR: 0.4,
+        MIN_WEIGHT: 0.05
+    };
+
     var OfflineHours = {
         NORMAL_SLEEP: 24,
         EXTENDED: 72
@@ -119,6 +180,17 @@ DHD.Constants = (function () {
         HEALTHY: "healthy"
     };
 
+    // ── Analysis window presets ────────────────────────────────────────
+
+    var AnalysisWindows = [
+        { key: "24h", label: "Last 24 hours", hours: 24 },
+        { key: "7d",  label: "Last 7 days",   hours: 7 * 24 },
+        { key: "30d", label: "Last 30 days",  hours: 30 * 24 },
+        { key: "90d", label: "Last 90 days",  hours: 90 * 24 }
+    ];
+
+    var DEFAULT_WINDOW = "30d";
+
     // ── Health score deductions ─────────────────────────────────────────
 
     var ScoreDeductions = {
@@ -128,16 +200,25 @@ DHD.Constants = (function () {
     };
 
     return {
+        ADDIN_ID: ADDIN_ID,
         Diagnostics: Diagnostics,
+        DiagnosticLabels: DiagnosticLabels,
         ALL_DIAGNOSTIC_IDS: ALL_DIAGNOSTIC_IDS,
         FaultCategories: FaultCategories,
         HARDWARE_FAULT_CODES: HARDWARE_FAULT_CODES,
         OEM_FAULT_CODES: OEM_FAULT_CODES,
+        VehicleClass: VehicleClass,
+        Harnesses: Harnesses,
+        HarnessVehicleClasses: HarnessVehicleClasses,
         Voltage: Voltage,
         RSSI: RSSI,
+        ParasiticDrain: ParasiticDrain,
         OfflineHours: OfflineHours,
+        FaultWeighting: FaultWeighting,
         Severity: Severity,
         Category: Category,
+        AnalysisWindows: AnalysisWindows,
+        DEFAULT_WINDOW: DEFAULT_WINDOW,
         ScoreDeductions: ScoreDeductions
     };
 })();
@@ -1,5 +1,5 @@
 /**
- * deviceCache.js — Caches Device + Group data via multiCall at startup.
+ * deviceCache.js — Caches Device + Group data via paged multiCalls at startup.
  * Provides O(1) lookups by device ID.
  */
 var DHD = DHD || {};
@@ -9,38 +9,169 @@ DHD.DeviceCache = (function () {
 
     var _devices = {};   // id → device object
     var _groups = {};    // id → group object
+    var _groupParents = {}; // group id → parent group id (from children links)
     var _loaded = false;
+    var _warnings = [];  // truncation warnings from the last load
+
+    // Page size per Get call, and a hard stop so a misbehaving cursor
+    // can never loop forever (200 × 5,000 = 1M records per type).
+    var PAGE_SIZE = 5000;
+    var MAX_PAGES = 200;
+    var TYPES = ["Device", "Group"];
 
     /**
-     * Load all devices and groups in a single multiCall.
+     * Load all devices and groups, paging through each type with an id
+     * sort/offset cursor until every record is fetched. Both types are
+     * requested in the same multiCall while either still has pages left.
+     * The first round also asks GetCountOf for each type so the loaded
+     * totals can be checked against what the server reports.
+     *
      * @param {Object} api - Geotab API object
+     * @param {Function} [onProgress] - called after each page with
+     *        { devices, groups, deviceTotal, groupTotal } (totals may be null)
      * @returns {Promise}
      */
-    function load(api) {
+    function load(api, onProgress) {
+        var state = {};
+        TYPES.forEach(function (typeName) {
+            state[typeName] = { records: {}, count: 0, total: null, lastId: null, done: false, stalled: false };
+        });
+        var pages = 0;
+
         return new Promise(function (resolve, reject) {
-            api.multiCall([
-                ["Get", { typeName: "Device", resultsLimit: 50000 }],
-                ["Get", { typeName: "Group", resultsLimit: 10000 }]
-            ], function (results) {
-                var deviceList = results[0];
-                var groupList = results[1];
-
-                _devices = {};
-                deviceList.forEach(function (d) {
-                    _devices[d.id] = d;
+            function nextPage() {
+                var pending = TYPES.filter(function (typeName) { return !state[typeName].done; });
+                var calls = pending.map(function (typeName) {
+                    return ["Get", buildPageRequest(typeName, state[typeName].lastId)];
                 });
+                var countIndex = calls.length;
+                if (pages === 0) {
+                    TYPES.forEach(function (typeName) {
+                        calls.push(["GetCountOf", { typeName: typeName }]);
+                    });
+                }
+
+                api.multiCall(calls, function (results) {
+                    pages++;
+
+                    if (pages === 1) {
+                        TYPES.forEach(function (typeName, i) {
+                            var total = results[countIndex + i];
+                            state[typeName].total = typeof total === "number" ? total : null;
+                        });
+                    }
+
+                    pending.forEach(function (typeName, i) {
+                        applyPage(state[typeName], results[i] || []);
+                    });
 
-                _groups = {};
-                groupList.forEach(function (g) {
-                    _groups[g.id] = g;
+                    if (onProgress) {
+                        onProgress({
+                            devices: state.Device.count,
+                            groups: state.Group.count,
+                            deviceTotal: state.Device.total,
+                            groupTotal: state.Group.total
+                        });
+                    }
+
+                    var more = TYPES.some(function (typeName) { return !state[typeName].done; });
+                    if (more && pages < MAX_PAGES) {
+                        nextPage();
+                        return;
+                    }
+
+                    _devices = state.Device.records;
+                    _groups = state.Group.records;
+                    _groupParents = indexGroupParents(_groups);
+                    _warnings = collectWarnings(state, more);
+                    _warnings.forEach(function (w) { console.warn("DHD DeviceCache:", w); });
+                    _loaded = true;
+                    resolve();
+                }, function (err) {
+                    reject(err);
                 });
+            }
+
+            nextPage();
+        });
+    }
+
+    function buildPageRequest(typeName, lastId) {
+        var sort = { sortBy: "id", sortDirection: "asc" };
+        if (lastId !== null) {
+            sort.offset = lastId;
+        }
+        return { typeName: typeName, resultsLimit: PAGE_SIZE, sort: sort };
+    }
+
+    /**
+     * Merge one page into a type's paging state and advance its cursor.
+     * A short page ends paging; so does a page that fails to move the
+     * cursor forward (flagged as stalled so it can be reported).
+     */
+    function applyPage(typeState, page) {
+        var added = 0;
+        page.forEach(function (rec) {
+            if (rec && rec.id && !typeState.records[rec.id]) {
+                typeState.records[rec.id] = rec;
+                added++;
+            }
+        });
+        typeState.count += added;
+
+        var last = page.length > 0 ? page[page.length - 1].id : null;
+        if (page.length < PAGE_SIZE) {
+            typeState.done = true;
+        } else if (added === 0 || last === typeState.lastId) {
+            typeState.done = true;
+            typeState.stalled = true;
+        }
+        typeState.lastId = last;
+    }
 
-                _loaded = true;
-                resolve();
-            }, function (err) {
-                reject(err);
+    function indexGroupParents(groups) {
+        var parents = {};
+        Object.keys(groups).forEach(function (id) {
+            (groups[id].children || []).forEach(function (child) {
+                if (child && child.id) {
+                    parents[child.id] = id;
+                }
             });
         });
+        return parents;
+    }
+
+    function collectWarnings(state, hitPageCap) {
+        var labels = { Device: "devices", Group: "groups" };
+        var warnings = [];
+        TYPES.forEach(function (typeName) {
+            var s = state[typeName];
+            if (hitPageCap && !s.done) {
+                warnings.push("Stopped loading " + labels[typeName] + " after " + MAX_PAGES +
+                    " pages (" + s.count + " loaded); results may be incomplete.");
+            } else if (s.stalled) {
+                warnings.push("The server stopped advancing the " + labels[typeName] +
+                    " page cursor after " + s.count + " records; results may be incomplete.");
+            }
+            if (s.total !== null && s.count < s.total) {
+                warnings.push("The server reported " + s.total + " " + labels[typeName] +
+                    " but only " + s.count + " were returned. Some " + labels[typeName] +
+                    " are missing from this dashboard.");
+            }
+        });
+        return warnings;
+    }
+
+    /**
+     * Add or replace devices in the cache (e.g. from a Device GetFeed).
+     * @param {Object[]} devices
+     */
+    function upsertDevices(devices) {
+        devices.forEach(function (d) {
+            if (d && d.id) {
+                _devices[d.id] = d;
+            }
+        });
     }
 
     /**
@@ -72,6 +203,45 @@ DHD.DeviceCache = (function () {
         return g ? (g.name || id) : id;
     }
 
+    /**
+     * Get a group's ancestors, nearest first (excluding the group itself).
+     * @param {string} id
+     * @returns {string[]}
+     */
+    function getGroupAncestors(id) {
+        var ancestors = [];
+        var seen = {};
+        var parent = _groupParents[id];
+        while (parent && !seen[parent]) {
+            seen[parent] = true;
+            ancestors.push(parent);
+            parent = _groupParents[parent];
+        }
+        return ancestors;
+    }
+
+    /**
+     * Get a group's direct child group ids.
+     * @param {string} id
+     * @returns {string[]}
+     */
+    function getGroupChildren(id) {
+        var g = _groups[id];
+        return ((g && g.children) || []).map(function (child) {
+            return child && child.id;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Get all groups as an array.
+     * @returns {Object[]}
+     */
+    function getAllGroups() {
+        return Object.keys(_groups).map(function (id) {
+            return _groups[id];
+        });
+    }
+
     /**
      * @returns {boolean}
      */
@@ -79,11 +249,24 @@ DHD.DeviceCache = (function () {
         return _loaded;
     }
 
+    /**
+     * Warnings from the last load (e.g. server-side truncation).
+     * @returns {string[]}
+     */
+    function getWarnings() {
+        return _warnings.slice();
+    }
+
     return {
         load: load,
+        upsertDevices: upsertDevices,
         getDevice: getDevice,
         getAllDevices: getAllDevices,
         getGroupName: getGroupName,
-        isLoaded: isLoaded
+        getGroupAncestors: getGroupAncestors,
+        getGroupChildren: getGroupChildren,
+        getAllGroups: getAllGroups,
+        isLoaded: isLoaded,
+        getWarnings: getWarnings
     };
 })();
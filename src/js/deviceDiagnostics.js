@@ -8,22 +8,26 @@ DHD.DeviceDiagnostics = (function () {
     "use strict";
 
     var C = DHD.Constants;
+    var _zoomBound = false;
 
     /**
      * Render the drill-down view for a single device.
      * @param {Object} device - Device from cache
      * @param {Object} statusInfo - DeviceStatusInfo
      * @param {Object} analysis - result from rootCauseEngine.analyzeDevice()
-     * @param {Object} drillData - raw drill-down data (statusData, faults)
+     * @param {Object} drillData - raw drill-down data (statusData, faults, range)
      * @param {Function} onBack - callback to return to fleet view
      */
     function render(device, statusInfo, analysis, drillData, onBack) {
         renderHeader(device, onBack);
-        renderHealthScore(analysis.healthScore);
+        renderHealthScore(analysis.healthScore, analysis.scoreBreakdown || []);
         renderActiveIssues(analysis.issues);
         renderRootCauses(analysis.rootCauses);
-        renderCharts(drillData.statusData);
-        renderFaultHistory(drillData.faults);
+        renderWindowTitles(drillData.range);
+        renderCharts(drillData.statusData, drillData.range, analysis.thresholds, drillData.faults);
+        renderScoreHistory(device);
+        renderFaultHistory(drillData.faults, drillData.range);
+        renderCoverage(drillData.coverage);
         renderDeviceInfo(device, statusInfo);
     }
 
@@ -48,7 +52,7 @@ DHD.DeviceDiagnostics = (function () {
 
     // ── Health Score ───────────────────────────────────────────────────
 
-    function renderHealthScore(score) {
+    function renderHealthScore(score, breakdown) {
         var el = document.getElementById("dhdHealthScore");
         if (!el) { return; }
 
@@ -57,9 +61,44 @@ DHD.DeviceDiagnostics = (function () {
         else if (score < 70) { colorClass = "dhd-score--warning"; }
 
         el.innerHTML =
-            '<div class="dhd-score ' + colorClass + '">' +
-                '<div class="dhd-score__value">' + score + '</div>' +
-                '<div class="dhd-score__label">Health Score</div>' +
+            '<div class="dhd-score-panel">' +
+                '<div class="dhd-score ' + colorClass + '">' +
+                    '<div class="dhd-score__value">' + score + '</div>' +
+                    '<div class="dhd-score__label">Health Score</div>' +
+                '</div>' +
+                renderScoreWaterfall(score, breakdown, colorClass) +
+            '</div>';
+    }
+
+    // Waterfall from 100 down to the score: one bar per deduction, each
+    // starting where the previous one ended
+    function renderScoreWaterfall(score, breakdown, colorClass) {
+        var deductions = breakdown.filter(function (item) { return item.points > 0; });
+        if (deductions.length === 0) {
+            return '<div class="dhd-waterfall dhd-waterfall--empty">No deductions \u2014 full marks.</div>';
+        }
+
+        var html = '<div class="dhd-waterfall">' + waterfallRow("Starting score", "", 0, 100, "dhd-waterfall__bar--start");
+        var level = 100;
+        deductions.forEach(function (item) {
+            var points = Math.min(item.points, level);
+            level -= points;
+            var note = item.kind === "offline" ? "" :
+                capitalize(item.severity) + (item.weight < 1 ? " \u00b7 " + Math.round(item.weight * 100) + "% weight" : "");
+            html += waterfallRow(item.label, note, level, points,
+                "dhd-waterfall__bar--" + (item.severity || "offline"), "\u2212" + item.points);
+        });
+        html += waterfallRow("Health score", "", 0, score, "dhd-waterfall__bar--total " + colorClass, String(score));
+        return html + '</div>';
+    }
+
+    function waterfallRow(label, note, from, width, barClass, value) {
+        return '<div class="dhd-waterfall__row">' +
+            '<div class="dhd-waterfall__label" title="' + escHtml(label) + '">' + escHtml(label) +
+                (note ? '<span class="dhd-waterfall__note">' + escHtml(note) + '</span>' : "") + '</div>' +
+            '<div class="dhd-waterfall__track"><div class="dhd-waterfall__bar ' + barClass + '" style="margin-left:' +
+                from + '%;width:' + width + '%;"></div></div>' +
+            '<div class="dhd-waterfall__value">' + (value != null ? value : "100") + '</div>' +
             '</div>';
     }
 
@@ -98,7 +137,7 @@ DHD.DeviceDiagnostics = (function () {
             html += '<div class="dhd-root-cause dhd-root-cause--' + rc.severity + '">' +
                 '<div class="dhd-root-cause__header">' +
                     '<span class="dhd-root-cause__rank">#' + rc.rank + '</span>' +
-                    '<span class="dhd-root-cause__category">' + capitalize(rc.category) + '</span>' +
+                    '<span class="dhd-root-cause__category">' + escHtml(rc.label || capitalize(rc.category)) + '</span>' +
                     '<span class="dhd-root-cause__confidence">' + rc.confidence + '% confidence</span>' +
                     '<span class="dhd-badge dhd-severity--' + rc.severity + '">' + capitalize(rc.severity) + '</span>' +
                 '</div>' +
@@ -108,32 +147,160 @@ DHD.DeviceDiagnostics = (function () {
             rc.actions.forEach(function (action) {
                 html += '<li>' + escHtml(action) + '</li>';
             });
-            html += '</ul></div></div>';
+            html += '</ul></div>' + renderEvidence(rc.evidence || []) + '</div>';
         });
 
         el.innerHTML = html;
+        bindEvidenceLinks(el);
+    }
+
+    // Charts an evidence item can point at, keyed by diagnostic id
+    var EVIDENCE_CHARTS = {};
+    EVIDENCE_CHARTS[C.Diagnostics.VOLTAGE] = "dhdVoltageChart";
+    EVIDENCE_CHARTS[C.Diagnostics.CELLULAR_RSSI] = "dhdRSSIChart";
+    EVIDENCE_CHARTS[C.Diagnostics.CRANKING_VOLTAGE] = "dhdCrankingChart";
+    EVIDENCE_CHARTS[C.Diagnostics.FLASH_ERROR] = "dhdFlashErrorChart";
+
+    // Faults are marked on the voltage (and RSSI) charts
+    var FAULT_CHART = "dhdVoltageChart";
+
+    function renderEvidence(evidence) {
+        if (evidence.length === 0) { return ""; }
+
+        var html = '<details class="dhd-evidence"><summary>Evidence (' + evidence.length + ')</summary>' +
+            '<ul class="dhd-evidence__list">';
+        evidence.forEach(function (ev) {
+            var name = ev.source === "FaultData" ? "Code " + (ev.diagnosticId || "?") :
+                C.DiagnosticLabels[ev.diagnosticId] || ev.diagnosticId || ev.source;
+            var text = '<span class="dhd-evidence__source">' + escHtml(ev.source) + '</span> ' +
+                escHtml(name) +
+                (ev.value != null ? ': <strong>' + escHtml(String(ev.value)) + '</strong>' : "") +
+                (ev.threshold ? ' <span class="dhd-evidence__threshold">(' + escHtml(ev.threshold) + ')</span>' : "") +
+                (ev.dateTime ? ' &middot; ' + formatDate(ev.dateTime) : "") +
+                (ev.recordId ? ' <span class="dhd-evidence__id">#' + escHtml(String(ev.recordId)) + '</span>' : "");
+
+            var chartId = ev.source === "FaultData" ? FAULT_CHART : EVIDENCE_CHARTS[ev.diagnosticId];
+            if (chartId && ev.dateTime) {
+                html += '<li><a href="#" class="dhd-evidence__link" data-chart="' + chartId +
+                    '" data-time="' + escHtml(String(ev.dateTime)) + '" title="Show on chart">' + text + '</a></li>';
+            } else {
+                html += '<li>' + text + '</li>';
+            }
+        });
+        return html + '</ul></details>';
+    }
+
+    function bindEvidenceLinks(el) {
+        if (el.getAttribute("data-evidence-bound")) { return; }
+        el.setAttribute("data-evidence-bound", "1");
+        el.addEventListener("click", function (e) {
+            var link = e.target.closest(".dhd-evidence__link");
+            if (!link) { return; }
+            e.preventDefault();
+            DHD.DiagnosticTimeline.highlight(link.getAttribute("data-chart"), link.getAttribute("data-time"));
+        });
     }
 
     // ── Charts ─────────────────────────────────────────────────────────
 
-    function renderCharts(statusData) {
+    function renderWindowTitles(range) {
+        var titles = {
+            dhdVoltageChartTitle: "Battery Voltage",
+            dhdCrankingChartTitle: "Cranking Voltage",
+            dhdRSSIChartTitle: "Cellular RSSI",
+            dhdFlashErrorChartTitle: "Flash Error Count",
+            dhdEventLanesTitle: "Device Events",
+            dhdFaultHistoryTitle: "Fault History"
+        };
+        Object.keys(titles).forEach(function (id) {
+            var el = document.getElementById(id);
+            if (el) { el.textContent = titles[id] + " (" + range.label + ")"; }
+        });
+    }
+
+    // On/off diagnostics drawn as event lanes, grouped by subsystem
+    var EVENT_LANES = [
+        { diagnosticId: C.Diagnostics.GPS_NOT_RESPONDING, color: "#1976d2" },
+        { diagnosticId: C.Diagnostics.GPS_ANTENNA_UNPLUGGED, color: "#1976d2" },
+        { diagnosticId: C.Diagnostics.GPS_ANTENNA_SHORT, color: "#1976d2" },
+        { diagnosticId: C.Diagnostics.INTERMITTENT_CONNECTION, color: "#0097a7" },
+        { diagnosticId: C.Diagnostics.CAN_INIT_FAIL, color: "#f57c00" },
+        { diagnosticId: C.Diagnostics.CAN_SHORT, color: "#f57c00" },
+        { diagnosticId: C.Diagnostics.CAN_DISABLED, color: "#f57c00" },
+        { diagnosticId: C.Diagnostics.UNPLUGGED, color: "#d32f2f" },
+        { diagnosticId: C.Diagnostics.BOOTLOADER_FAIL, color: "#d32f2f" },
+        { diagnosticId: C.Diagnostics.HARNESS_STANDARD, color: "#757575" },
+        { diagnosticId: C.Diagnostics.HARNESS_6PIN, color: "#757575" },
+        { diagnosticId: C.Diagnostics.HARNESS_9PIN, color: "#757575" }
+    ];
+    EVENT_LANES.forEach(function (lane) { EVIDENCE_CHARTS[lane.diagnosticId] = "dhdEventLanes"; });
+
+    function renderCharts(statusData, range, thresholds, faults) {
+        bindZoomControls();
+
         // Slight delay so canvas elements are in the DOM
         setTimeout(function () {
+            // A new device or window starts zoomed out
+            DHD.DiagnosticTimeline.resetZoom();
             DHD.DiagnosticTimeline.renderVoltageChart("dhdVoltageChart",
-                statusData[C.Diagnostics.VOLTAGE]);
+                statusData[C.Diagnostics.VOLTAGE], range, thresholds, faults);
+            DHD.DiagnosticTimeline.renderCrankingChart("dhdCrankingChart",
+                statusData[C.Diagnostics.CRANKING_VOLTAGE], range, thresholds);
             DHD.DiagnosticTimeline.renderRSSIChart("dhdRSSIChart",
-                statusData[C.Diagnostics.CELLULAR_RSSI]);
+                statusData[C.Diagnostics.CELLULAR_RSSI], range, thresholds, faults);
+            DHD.DiagnosticTimeline.renderFlashErrorChart("dhdFlashErrorChart",
+                statusData[C.Diagnostics.FLASH_ERROR], range);
+            DHD.DiagnosticTimeline.renderEventLanes("dhdEventLanes", EVENT_LANES.map(function (lane) {
+                return {
+                    label: C.DiagnosticLabels[lane.diagnosticId],
+                    color: lane.color,
+                    records: statusData[lane.diagnosticId] || []
+                };
+            }), range);
         }, 50);
     }
 
+    // Daily snapshots from the fleet view, independent of the analysis window
+    function renderScoreHistory(device) {
+        var days = DHD.ScoreHistory.HISTORY_DAYS;
+        var title = document.getElementById("dhdScoreHistoryTitle");
+        if (title) { title.textContent = "Health Score History (Last " + days + " days)"; }
+
+        setTimeout(function () {
+            DHD.DiagnosticTimeline.renderScoreHistoryChart("dhdScoreHistoryChart",
+                DHD.ScoreHistory.get(device.id), days);
+        }, 50);
+    }
+
+    // Reset button and zoom label in the timeline header follow the shared zoom
+    function bindZoomControls() {
+        if (_zoomBound) { return; }
+        _zoomBound = true;
+
+        var btn = document.getElementById("dhdZoomReset");
+        var label = document.getElementById("dhdZoomLabel");
+        if (btn) {
+            btn.addEventListener("click", function () {
+                DHD.DiagnosticTimeline.resetZoom();
+            });
+        }
+        DHD.DiagnosticTimeline.onZoomChange(function (zoom) {
+            if (btn) { btn.style.display = zoom ? "" : "none"; }
+            if (label) {
+                label.textContent = zoom ? "Zoomed to " + formatDate(zoom.from) + " \u2013 " + formatDate(zoom.to) :
+                    "Drag across a chart to zoom \u00b7 Shift-drag to pan";
+            }
+        });
+    }
+
     // ── Fault History ──────────────────────────────────────────────────
 
-    function renderFaultHistory(faults) {
+    function renderFaultHistory(faults, range) {
         var el = document.getElementById("dhdFaultHistory");
         if (!el) { return; }
 
         if (!faults || faults.length === 0) {
-            el.innerHTML = '<div class="dhd-empty-state">No faults recorded in the last 30 days.</div>';
+            el.innerHTML = '<div class="dhd-empty-state">No faults recorded (' + escHtml(range.label) + ').</div>';
             return;
         }
 
@@ -151,7 +318,7 @@ DHD.DeviceDiagnostics = (function () {
             var dt = f.dateTime ? formatDate(f.dateTime) : "N/A";
             var code = f.diagnostic ? (f.diagnostic.id || "—") : "—";
             var desc = f.diagnostic ? (f.diagnostic.name || code) : "—";
-            var sev = classifyFaultSeverity(f);
+            var sev = DHD.RootCauseEngine.classifyFaultSeverity(f);
             var state = f.failureModeState === 1 ? "Active" : "Inactive";
 
             html += '<tr>' +
@@ -167,6 +334,52 @@ DHD.DeviceDiagnostics = (function () {
         el.innerHTML = html;
     }
 
+    // ── Signal Coverage ────────────────────────────────────────────────
+
+    // coverage: result of DHD.CellularCoverage.compare (see main.loadCoverage)
+    function renderCoverage(coverage) {
+        var el = document.getElementById("dhdCoverage");
+        if (!el) { return; }
+
+        var cells = coverage ? coverage.cells : [];
+        var poorCells = cells.filter(function (cell) { return cell.poor > 0; });
+
+        if (poorCells.length === 0) {
+            el.innerHTML = '<div class="dhd-empty-state">' + (cells.length === 0 ?
+                "No RSSI readings could be matched to a position." :
+                "No poor-signal areas in " + cells.length + " area" + (cells.length === 1 ? "" : "s") + " visited.") +
+                '</div>';
+            return;
+        }
+
+        var html = '<div class="dhd-coverage__note">' + (coverage.peerCount > 0 ?
+            "Compared with " + coverage.peerCount + " device" + (coverage.peerCount === 1 ? "" : "s") +
+                " last seen near these areas, over the same window." :
+            "No other devices were last seen near these areas to compare with.") + '</div>';
+        html += '<table class="dhd-table dhd-table--faults">' +
+            '<thead><tr>' +
+            '<th>Area</th><th>Poor / Samples</th><th>Worst RSSI</th><th>Other Devices</th><th>Assessment</th><th>Last Seen</th>' +
+            '</tr></thead><tbody>';
+
+        poorCells.slice(0, 25).forEach(function (cell) {
+            var assessment = cell.deadZone ?
+                '<span class="dhd-badge dhd-severity--info">Known dead zone</span>' :
+                cell.othersFine ? '<span class="dhd-badge dhd-severity--warning">Others fine here</span>' :
+                '<span class="dhd-badge">Not enough data</span>';
+            html += '<tr>' +
+                '<td>' + cell.latitude.toFixed(3) + ", " + cell.longitude.toFixed(3) + '</td>' +
+                '<td>' + cell.poor + " / " + cell.samples + '</td>' +
+                '<td>' + cell.worstRssi + ' dBm</td>' +
+                '<td>' + (cell.otherDevices ? cell.otherPoorDevices + " of " + cell.otherDevices + " poor" : "None") + '</td>' +
+                '<td>' + assessment + '</td>' +
+                '<td>' + formatDate(cell.lastSeen) + '</td>' +
+                '</tr>';
+        });
+
+        html += '</tbody></table>';
+        el.innerHTML = html;
+    }
+
     // ── Device Info ────────────────────────────────────────────────────
 
     function renderDeviceInfo(device, statusInfo) {
@@ -199,14 +412,6 @@ DHD.DeviceDiagnostics = (function () {
             escHtml(label) + '</span><span class="dhd-info-item__value">' + value + '</span></div>';
     }
 
-    function classifyFaultSeverity(fault) {
-        if (!fault.diagnostic) { return C.Severity.INFO; }
-        var id = parseInt(fault.diagnostic.id, 10);
-        if (C.HARDWARE_FAULT_CODES.indexOf(id) !== -1) { return C.Severity.CRITICAL; }
-        if (id === 135 || id === 287) { return C.Severity.WARNING; }
-        return C.Severity.INFO;
-    }
-
     function formatFirmware(device) {
         if (device.majorVersion != null) {
             return device.majorVersion + "." + (device.minorVersion || 0);
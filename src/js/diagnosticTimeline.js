@@ -1,5 +1,7 @@
 /**
- * diagnosticTimeline.js — Canvas-based line charts for voltage and RSSI trends.
+ * diagnosticTimeline.js — Canvas-based charts for a device's diagnostics
+ * (line, step and event-lane charts on the analysis window's time axis)
+ * and for health score trends.
  * No external charting library — pure canvas rendering.
  */
 var DHD = DHD || {};
@@ -9,6 +11,19 @@ DHD.DiagnosticTimeline = (function () {
 
     var C = DHD.Constants;
     var PADDING = { top: 20, right: 20, bottom: 40, left: 50 };
+    var CHART_HEIGHT = 200;
+    var LANE_HEIGHT = 26;
+
+    // Fault marker colors by C.Severity value
+    var FAULT_COLORS = {
+        critical: "#d32f2f",
+        warning: "#ed6c02",
+        info: "#0288d1"
+    };
+
+    // Smallest drag that zooms, and the narrowest window it can zoom to
+    var MIN_DRAG_PX = 5;
+    var MIN_ZOOM_MS = 60 * 1000;
     var COLORS = {
         line: "#1976d2",
         point: "#1565c0",
@@ -16,88 +31,770 @@ DHD.DiagnosticTimeline = (function () {
         text: "#616161",
         thresholdCritical: "rgba(244, 67, 54, 0.6)",
         thresholdWarning: "rgba(255, 152, 0, 0.6)",
-        thresholdOk: "rgba(76, 175, 80, 0.3)"
+        thresholdOk: "rgba(76, 175, 80, 0.3)",
+        marker: "#e91e63",
+        crosshair: "rgba(33, 33, 33, 0.5)",
+        selection: "rgba(25, 118, 210, 0.15)",
+        tooltipBg: "rgba(33, 33, 33, 0.9)"
     };
 
+    // Per canvas: { redraw(markerTime), sync, markerTime, view, snapshot, tooltipAt(x, y) }
+    // where view is the drawn time span and geometry, null when nothing was drawn
+    var _charts = {};
+
+    // Zoom shared by every synced (drill-down diagnostic) chart: { from, to } in ms, or null
+    var _zoom = null;
+    var _zoomListeners = [];
+
     /**
      * Render a voltage chart on a canvas element.
      * @param {string} canvasId - DOM id of the canvas
      * @param {Object[]} statusRecords - StatusData records for voltage
+     * @param {Object} [range] - analysis window used for the x-axis
+     * @param {Object} [t] - device thresholds (DHD.ThresholdProfiles); defaults to DHD.Constants
+     * @param {Object[]} [faults] - FaultData to mark on the time axis
+     */
+    function renderVoltageChart(canvasId, statusRecords, range, t, faults) {
+        var V = (t || C).Voltage;
+        var thresholds = [
+            { value: V.DEAD, color: COLORS.thresholdCritical, label: "Dead (" + V.DEAD + "V)" },
+            { value: V.LOW, color: COLORS.thresholdWarning, label: "Low (" + V.LOW + "V)" },
+            { value: V.WARNING, color: COLORS.thresholdWarning, label: "Warning (" + V.WARNING + "V)" }
+        ];
+        renderChart(canvasId, statusRecords, {
+            thresholds: thresholds, yLabel: "Voltage (V)", yMin: 0, yMax: voltageAxisMax(V), range: range,
+            sync: true, unit: "V", decimals: 2, faults: faults
+        });
+    }
+
+    /**
+     * Render a cranking voltage chart on a canvas element. Shares the
+     * battery voltage axis so dips compare directly.
+     * @param {string} canvasId - DOM id of the canvas
+     * @param {Object[]} statusRecords - StatusData records for cranking voltage
+     * @param {Object} [range] - analysis window used for the x-axis
+     * @param {Object} [t] - device thresholds; defaults to DHD.Constants
      */
-    function renderVoltageChart(canvasId, statusRecords) {
+    function renderCrankingChart(canvasId, statusRecords, range, t) {
+        var V = (t || C).Voltage;
         var thresholds = [
-            { value: C.Voltage.DEAD, color: COLORS.thresholdCritical, label: "Dead (7V)" },
-            { value: C.Voltage.LOW, color: COLORS.thresholdWarning, label: "Low (9V)" },
-            { value: C.Voltage.WARNING, color: COLORS.thresholdWarning, label: "Warning (11V)" }
+            { value: V.DEAD, color: COLORS.thresholdCritical, label: "Dead (" + V.DEAD + "V)" }
         ];
-        renderChart(canvasId, statusRecords, thresholds, "Voltage (V)", 0, 16);
+        renderChart(canvasId, statusRecords, {
+            thresholds: thresholds, yLabel: "Cranking (V)", yMin: 0, yMax: voltageAxisMax(V), range: range,
+            sync: true, unit: "V", decimals: 2
+        });
+    }
+
+    /**
+     * Render the flash error count as a step chart — the count only
+     * changes when a new error is logged.
+     * @param {string} canvasId - DOM id of the canvas
+     * @param {Object[]} statusRecords - StatusData records for flash error count
+     * @param {Object} [range] - analysis window used for the x-axis
+     */
+    function renderFlashErrorChart(canvasId, statusRecords, range) {
+        var max = (statusRecords || []).reduce(function (m, rec) {
+            return typeof rec.data === "number" ? Math.max(m, rec.data) : m;
+        }, 0);
+        renderChart(canvasId, statusRecords, {
+            thresholds: [], yLabel: "Flash errors", yMin: 0, yMax: Math.max(5, Math.ceil(max * 1.2 / 5) * 5),
+            range: range, step: true, sync: true, unit: "errors", decimals: 0
+        });
+    }
+
+    // 24V systems need a taller axis than the 0–16V default
+    function voltageAxisMax(V) {
+        return Math.max(16, Math.ceil((V.WARNING + 6) / 4) * 4);
     }
 
     /**
      * Render an RSSI chart on a canvas element.
      * @param {string} canvasId - DOM id of the canvas
      * @param {Object[]} statusRecords - StatusData records for RSSI
+     * @param {Object} [range] - analysis window used for the x-axis
+     * @param {Object} [t] - device thresholds (DHD.ThresholdProfiles); defaults to DHD.Constants
+     * @param {Object[]} [faults] - FaultData to mark on the time axis
      */
-    function renderRSSIChart(canvasId, statusRecords) {
+    function renderRSSIChart(canvasId, statusRecords, range, t, faults) {
+        var R = (t || C).RSSI;
         var thresholds = [
-            { value: C.RSSI.POOR, color: COLORS.thresholdWarning, label: "Poor (-95)" },
-            { value: C.RSSI.FAIR, color: COLORS.thresholdOk, label: "Fair (-85)" }
+            { value: R.POOR, color: COLORS.thresholdWarning, label: "Poor (" + R.POOR + ")" },
+            { value: R.FAIR, color: COLORS.thresholdOk, label: "Fair (" + R.FAIR + ")" }
         ];
-        renderChart(canvasId, statusRecords, thresholds, "RSSI (dBm)", -120, -50);
+        renderChart(canvasId, statusRecords, {
+            thresholds: thresholds, yLabel: "RSSI (dBm)", yMin: -120, yMax: -50, range: range,
+            sync: true, unit: "dBm", decimals: 0, faults: faults
+        });
+    }
+
+    /**
+     * Render a device's daily health score history (DHD.ScoreHistory).
+     * @param {string} canvasId - DOM id of the canvas
+     * @param {Object[]} history - { dateTime, score } snapshots
+     * @param {number} days - how many days back from today the x-axis spans
+     */
+    function renderScoreHistoryChart(canvasId, history, days) {
+        var now = new Date();
+        var range = { fromDate: new Date(now.getTime() - days * 24 * 60 * 60 * 1000), toDate: now };
+        var records = history.map(function (h) {
+            return { dateTime: h.dateTime, data: h.score };
+        });
+        var thresholds = [
+            { value: 40, color: COLORS.thresholdCritical, label: "Critical (40)" },
+            { value: 70, color: COLORS.thresholdWarning, label: "Warning (70)" }
+        ];
+        renderChart(canvasId, records, {
+            thresholds: thresholds, yLabel: "Health score", yMin: 0, yMax: 100, range: range,
+            unit: "", decimals: 0
+        });
+    }
+
+    /**
+     * Core chart renderer. When a range is given the x-axis spans the whole
+     * analysis window (or the shared zoom, for synced charts); otherwise it
+     * spans the first to last record.
+     * @param {string} canvasId
+     * @param {Object[]} records - { dateTime, data }
+     * @param {Object} opts - { thresholds, yLabel, yMin, yMax, range?, step?,
+     *        sync? (joins the shared zoom), unit?, decimals? (tooltip value),
+     *        faults? (FaultData drawn as markers) }
+     * @param {number} [markerTime] - ms timestamp to highlight
+     */
+    function renderChart(canvasId, records, opts, markerTime) {
+        var canvas = document.getElementById(canvasId);
+        if (!canvas) { return; }
+
+        var chart = track(canvasId, canvas, !!opts.sync, markerTime, function (time) {
+            renderChart(canvasId, records, opts, time);
+        });
+
+        var thresholds = opts.thresholds;
+        var yMin = opts.yMin;
+        var yMax = opts.yMax;
+        var range = opts.range;
+        var g = setupCanvas(canvas, CHART_HEIGHT);
+        var ctx = g.ctx;
+
+        // No data
+        if (!records || records.length === 0) {
+            drawEmpty(g);
+            return;
+        }
+
+        var sorted = sortByTime(records);
+        var full = range ? { from: range.fromDate.getTime(), to: range.toDate.getTime() } : null;
+        var span = visibleSpan(full, chart.sync);
+        var tMin = span ? span.from : new Date(sorted[0].dateTime).getTime();
+        var tMax = span ? span.to : new Date(sorted[sorted.length - 1].dateTime).getTime();
+        if (tMin === tMax) { tMax = tMin + 1; }
+        if (range) {
+            sorted = sorted.filter(function (rec) {
+                var t = new Date(rec.dateTime).getTime();
+                return t >= tMin && t <= tMax;
+            });
+        }
+
+        var xScale = g.xScale(tMin, tMax);
+        var yScale = g.yScale(yMin, yMax);
+
+        drawGrid(g, yMin, yMax, yScale);
+        drawThresholds(g, thresholds, yMin, yMax, yScale);
+
+        // Fault markers go under the data so the line around them stays visible
+        var faultMarks = faultMarkers(opts.faults, tMin, tMax, xScale);
+        drawFaultMarkers(g, faultMarks);
+
+        // Data line; a step chart holds each value until the next record
+        // and to the end of the window
+        drawLine(ctx, sorted, xScale, yScale, COLORS.line, 1.5, opts.step);
+        if (opts.step && range && sorted.length > 0) {
+            var last = sorted[sorted.length - 1];
+            ctx.beginPath();
+            ctx.moveTo(xScale(new Date(last.dateTime).getTime()), yScale(last.data));
+            ctx.lineTo(xScale(tMax), yScale(last.data));
+            ctx.stroke();
+        }
+
+        // Data points (only if < 100 points)
+        if (sorted.length < 100) {
+            ctx.fillStyle = COLORS.point;
+            sorted.forEach(function (rec) {
+                var x = xScale(new Date(rec.dateTime).getTime());
+                var y = yScale(rec.data);
+                ctx.beginPath();
+                ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        // Highlight marker (evidence link): vertical rule plus the nearest point
+        if (markerTime != null && markerTime >= tMin && markerTime <= tMax) {
+            var mx = xScale(markerTime);
+            ctx.strokeStyle = COLORS.marker;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(mx, PADDING.top);
+            ctx.lineTo(mx, PADDING.top + g.plotH);
+            ctx.stroke();
+
+            var nearest = null;
+            sorted.forEach(function (rec) {
+                var d = Math.abs(new Date(rec.dateTime).getTime() - markerTime);
+                if (!nearest || d < nearest.d) { nearest = { rec: rec, d: d }; }
+            });
+            if (nearest) {
+                ctx.fillStyle = COLORS.marker;
+                ctx.beginPath();
+                ctx.arc(xScale(new Date(nearest.rec.dateTime).getTime()), yScale(nearest.rec.data), 5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        drawTimeAxis(g, tMin, tMax, range ? 5 : Math.min(5, sorted.length), xScale);
+        drawYTitle(g, opts.yLabel);
+
+        var times = sorted.map(function (rec) { return new Date(rec.dateTime).getTime(); });
+        finish(chart, canvas, g, full, tMin, tMax, function (x) {
+            var mark = faultAt(faultMarks, x);
+            if (mark) {
+                return { x: mark.x, y: null, lines: faultTooltip(mark.fault) };
+            }
+            var i = nearestIndex(times, tMin + ((x - PADDING.left) / g.plotW) * (tMax - tMin));
+            if (i < 0) { return null; }
+            return {
+                x: xScale(times[i]),
+                y: yScale(sorted[i].data),
+                lines: [formatTooltipTime(times[i]), formatValue(sorted[i].data, opts)]
+            };
+        });
+    }
+
+    /**
+     * Render on/off diagnostics as one lane each on a shared time axis.
+     * A record with data > 0 marks the diagnostic active until the next
+     * record clears it; without a clearing record it runs to the window
+     * end, and a diagnostic already active before the window (by its last
+     * earlier record) starts at the window start. Diagnostics that never
+     * log a clearing record are one-off events, drawn as a tick each.
+     * @param {string} canvasId
+     * @param {Object[]} lanes - { label, color, records } StatusData per diagnostic
+     * @param {Object} range - analysis window used for the x-axis
+     * @param {number} [markerTime] - ms timestamp to highlight
+     */
+    function renderEventLanes(canvasId, lanes, range, markerTime) {
+        var canvas = document.getElementById(canvasId);
+        if (!canvas) { return; }
+
+        var chart = track(canvasId, canvas, true, markerTime, function (time) {
+            renderEventLanes(canvasId, lanes, range, time);
+        });
+
+        var g = setupCanvas(canvas, PADDING.top + lanes.length * LANE_HEIGHT + PADDING.bottom);
+        var ctx = g.ctx;
+        var full = { from: range.fromDate.getTime(), to: range.toDate.getTime() };
+        var span = visibleSpan(full, true);
+        var tMin = span.from;
+        var tMax = span.to;
+        var xScale = g.xScale(tMin, tMax);
+        var laneSpans = [];
+
+        lanes.forEach(function (lane, i) {
+            var top = PADDING.top + i * LANE_HEIGHT;
+            // Spans are found over the whole window, then clipped, so an
+            // event that began before a zoomed view still shows
+            var events = laneEvents(sortByTime(lane.records || []), full.from, full.to).filter(function (e) {
+                return e.start <= tMax && e.end >= tMin;
+            });
+            laneSpans.push(events);
+
+            ctx.fillStyle = events.length > 0 ? COLORS.text : "#bdbdbd";
+            ctx.font = "10px -apple-system, BlinkMacSystemFont, sans-serif";
+            ctx.textAlign = "left";
+            ctx.fillText(lane.label + (events.length > 0 ? " (" + events.length + ")" : ""), PADDING.left, top + 9);
+
+            ctx.fillStyle = "#f5f5f5";
+            ctx.fillRect(PADDING.left, top + 12, g.plotW, 10);
+
+            ctx.fillStyle = lane.color || COLORS.line;
+            events.forEach(function (e) {
+                var x1 = xScale(Math.max(e.start, tMin));
+                var x2 = xScale(Math.min(e.end, tMax));
+                ctx.fillRect(x1 - 1, top + 12, Math.max(3, x2 - x1 + 1), 10);
+            });
+        });
+
+        if (markerTime != null && markerTime >= tMin && markerTime <= tMax) {
+            var mx = xScale(markerTime);
+            ctx.strokeStyle = COLORS.marker;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(mx, PADDING.top);
+            ctx.lineTo(mx, PADDING.top + g.plotH);
+            ctx.stroke();
+        }
+
+        drawTimeAxis(g, tMin, tMax, 5, xScale);
+
+        finish(chart, canvas, g, full, tMin, tMax, function (x, y) {
+            var t = tMin + ((x - PADDING.left) / g.plotW) * (tMax - tMin);
+            var i = Math.floor((y - PADDING.top) / LANE_HEIGHT);
+            var lines = [formatTooltipTime(t)];
+            if (i >= 0 && i < lanes.length) {
+                // Within a few pixels of an event counts as on it
+                var slack = 4 * (tMax - tMin) / g.plotW;
+                var hit = laneSpans[i].filter(function (e) {
+                    return t >= e.start - slack && t <= e.end + slack;
+                })[0];
+                lines = [lanes[i].label, hit ? formatSpan(hit) : formatTooltipTime(t)];
+            }
+            return { x: x, y: null, lines: lines };
+        });
+    }
+
+    // Active spans { start, end, seeded, ongoing } (ms) from a lane's
+    // sorted records. A diagnostic that never logs a clearing 0 is a
+    // one-off event (e.g. unplugged): every record is its own tick. One
+    // that does is a state: the last record before the window gives the
+    // state it opens in (seeded), and a span still open at the end runs
+    // to tMax (ongoing).
+    function laneEvents(sorted, tMin, tMax) {
+        var events = [];
+        var clears = sorted.some(function (rec) { return !(rec.data > 0); });
+        if (!clears) {
+            sorted.forEach(function (rec) {
+                var t = new Date(rec.dateTime).getTime();
+                if (t >= tMin && t <= tMax) {
+                    events.push({ start: t, end: t, seeded: false, ongoing: false });
+                }
+            });
+            return events;
+        }
+
+        var open = null;
+        var before = null;
+        sorted.forEach(function (rec) {
+            var t = new Date(rec.dateTime).getTime();
+            if (t < tMin) {
+                before = rec;
+                return;
+            }
+            if (t > tMax) { return; }
+            if (!open && before && before.data > 0) {
+                open = { start: tMin, end: null, seeded: true, ongoing: false };
+                events.push(open);
+            }
+            before = null;
+            if (rec.data > 0) {
+                if (!open) {
+                    open = { start: t, end: null, seeded: false, ongoing: false };
+                    events.push(open);
+                }
+            } else if (open) {
+                open.end = t;
+                open = null;
+            }
+        });
+        if (!open && before && before.data > 0) {
+            open = { start: tMin, end: null, seeded: true, ongoing: false };
+            events.push(open);
+        }
+        if (open) {
+            open.end = tMax;
+            open.ongoing = true;
+        }
+        return events;
     }
 
     /**
-     * Core chart renderer.
+     * Render several series on one time axis, with optional vertical
+     * annotations (e.g. refreshes, rollouts) and a legend.
+     * @param {string} canvasId
+     * @param {Object[]} series - { label, color, records: [{ dateTime, data }], width? }
+     * @param {Object} options - { yMin, yMax, yLabel, range, thresholds?, annotations? }
+     *   annotations are { dateTime, label, color }
      */
-    function renderChart(canvasId, records, thresholds, yLabel, yMin, yMax) {
+    function renderTrendChart(canvasId, series, options) {
         var canvas = document.getElementById(canvasId);
         if (!canvas) { return; }
 
+        var g = setupCanvas(canvas);
+        var ctx = g.ctx;
+        var hasData = series.some(function (s) { return s.records.length > 0; });
+        if (!hasData) {
+            drawEmpty(g);
+            return;
+        }
+
+        var tMin = options.range.fromDate.getTime();
+        var tMax = options.range.toDate.getTime();
+        var xScale = g.xScale(tMin, tMax);
+        var yScale = g.yScale(options.yMin, options.yMax);
+
+        drawGrid(g, options.yMin, options.yMax, yScale);
+        drawThresholds(g, options.thresholds || [], options.yMin, options.yMax, yScale);
+
+        // Annotations sit behind the data so lines stay readable
+        (options.annotations || []).forEach(function (a) {
+            var t = new Date(a.dateTime).getTime();
+            if (t < tMin || t > tMax) { return; }
+            var ax = xScale(t);
+            ctx.strokeStyle = a.color || COLORS.grid;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(ax, PADDING.top);
+            ctx.lineTo(ax, PADDING.top + g.plotH);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            if (a.label) {
+                ctx.save();
+                ctx.translate(ax + 3, PADDING.top + 2);
+                ctx.rotate(Math.PI / 2);
+                ctx.fillStyle = a.color || COLORS.text;
+                ctx.font = "9px -apple-system, BlinkMacSystemFont, sans-serif";
+                ctx.textAlign = "left";
+                ctx.fillText(a.label, 0, 0);
+                ctx.restore();
+            }
+        });
+
+        series.forEach(function (s) {
+            var sorted = sortByTime(s.records).filter(function (rec) {
+                var t = new Date(rec.dateTime).getTime();
+                return t >= tMin && t <= tMax;
+            });
+            drawLine(ctx, sorted, xScale, yScale, s.color, s.width || 1.5);
+            if (sorted.length === 1) {
+                ctx.fillStyle = s.color;
+                ctx.beginPath();
+                ctx.arc(xScale(new Date(sorted[0].dateTime).getTime()), yScale(sorted[0].data), 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+
+        // Legend along the top edge
+        var lx = PADDING.left;
+        ctx.font = "10px -apple-system, BlinkMacSystemFont, sans-serif";
+        ctx.textAlign = "left";
+        series.forEach(function (s) {
+            ctx.fillStyle = s.color;
+            ctx.fillRect(lx, 6, 10, 3);
+            ctx.fillStyle = COLORS.text;
+            ctx.fillText(s.label, lx + 14, 11);
+            lx += 24 + ctx.measureText(s.label).width;
+        });
+
+        drawTimeAxis(g, tMin, tMax, 5, xScale);
+        drawYTitle(g, options.yLabel);
+    }
+
+    // ── Fault markers ────────────────────────────────────────────────────
+
+    // Visible faults with their x position and severity color, oldest first
+    function faultMarkers(faults, tMin, tMax, xScale) {
+        return (faults || []).filter(function (f) {
+            var t = f.dateTime ? new Date(f.dateTime).getTime() : NaN;
+            return t >= tMin && t <= tMax;
+        }).map(function (f) {
+            var severity = DHD.RootCauseEngine.classifyFaultSeverity(f);
+            return {
+                fault: f,
+                x: xScale(new Date(f.dateTime).getTime()),
+                color: FAULT_COLORS[severity] || FAULT_COLORS.info
+            };
+        }).sort(function (a, b) { return a.x - b.x; });
+    }
+
+    // Vertical rule per fault with a small flag at the top of the plot
+    function drawFaultMarkers(g, marks) {
+        var ctx = g.ctx;
+        marks.forEach(function (m) {
+            ctx.strokeStyle = m.color;
+            ctx.globalAlpha = 0.6;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(m.x, PADDING.top);
+            ctx.lineTo(m.x, PADDING.top + g.plotH);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+
+            ctx.fillStyle = m.color;
+            ctx.beginPath();
+            ctx.moveTo(m.x - 4, PADDING.top - 6);
+            ctx.lineTo(m.x + 4, PADDING.top - 6);
+            ctx.lineTo(m.x, PADDING.top);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    // The marker nearest to x, if the cursor is close enough to be on it
+    function faultAt(marks, x) {
+        var best = null;
+        marks.forEach(function (m) {
+            var d = Math.abs(m.x - x);
+            if (d <= 4 && (!best || d < Math.abs(best.x - x))) { best = m; }
+        });
+        return best;
+    }
+
+    function faultTooltip(fault) {
+        var code = fault.diagnostic ? String(fault.diagnostic.id || "\u2014") : "\u2014";
+        var severity = DHD.RootCauseEngine.classifyFaultSeverity(fault);
+        var lines = ["Fault " + code + " \u00b7 " + severity.charAt(0).toUpperCase() + severity.slice(1)];
+        var name = fault.diagnostic && fault.diagnostic.name;
+        var category = C.FaultCategories[parseInt(code, 10)];
+        if (name) { lines.push(name); }
+        else if (category) { lines.push(category.charAt(0).toUpperCase() + category.slice(1) + " fault"); }
+        lines.push(formatTooltipTime(new Date(fault.dateTime).getTime()) +
+            (fault.failureModeState === 1 ? " \u00b7 Active" : " \u00b7 Inactive"));
+        return lines;
+    }
+
+    // ── Interaction: crosshair tooltips and shared zoom ─────────────────
+
+    // Register a chart for redraws and bind its mouse handlers once
+    function track(canvasId, canvas, sync, markerTime, redraw) {
+        var chart = _charts[canvasId] = {
+            redraw: redraw,
+            sync: sync,
+            markerTime: markerTime,
+            view: null,
+            snapshot: null,
+            tooltipAt: null
+        };
+        if (!canvas.getAttribute("data-interactive")) {
+            canvas.setAttribute("data-interactive", "1");
+            bindInteractions(canvasId, canvas);
+        }
+        return chart;
+    }
+
+    // Remember what was drawn, and a copy of the pixels so hover overlays
+    // can be drawn and cleared without re-rendering the data
+    function finish(chart, canvas, g, full, tMin, tMax, tooltipAt) {
+        chart.view = { g: g, full: full, tMin: tMin, tMax: tMax };
+        chart.tooltipAt = tooltipAt;
+        chart.snapshot = g.ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    function visibleSpan(full, sync) {
+        if (!full) { return null; }
+        if (sync && _zoom) { return _zoom; }
+        return full;
+    }
+
+    function bindInteractions(canvasId, canvas) {
+        var drag = null;
+
+        function chartView() {
+            var chart = _charts[canvasId];
+            return chart && chart.view ? chart : null;
+        }
+
+        function inPlot(g, x, y) {
+            return x >= PADDING.left && x <= PADDING.left + g.plotW &&
+                y >= PADDING.top && y <= PADDING.top + g.plotH;
+        }
+
+        function timeAt(view, x) {
+            var ratio = (Math.min(Math.max(x, PADDING.left), PADDING.left + view.g.plotW) - PADDING.left) / view.g.plotW;
+            return view.tMin + ratio * (view.tMax - view.tMin);
+        }
+
+        canvas.addEventListener("mousemove", function (e) {
+            var chart = chartView();
+            if (!chart) { return; }
+            var g = chart.view.g;
+            restore(chart);
+            if (drag) {
+                drawDrag(g, drag, e.offsetX);
+            } else if (inPlot(g, e.offsetX, e.offsetY)) {
+                var tip = chart.tooltipAt(e.offsetX, e.offsetY);
+                if (tip) { drawTooltip(g, tip); }
+            }
+        });
+
+        canvas.addEventListener("mouseleave", function () {
+            var chart = chartView();
+            drag = null;
+            if (chart) { restore(chart); }
+        });
+
+        canvas.addEventListener("mousedown", function (e) {
+            var chart = chartView();
+            if (!chart || !chart.sync || !chart.view.full || !inPlot(chart.view.g, e.offsetX, e.offsetY)) { return; }
+            e.preventDefault();
+            drag = { x0: e.offsetX, pan: e.shiftKey && !!_zoom };
+        });
+
+        canvas.addEventListener("mouseup", function (e) {
+            var chart = chartView();
+            var d = drag;
+            drag = null;
+            if (!chart || !d || Math.abs(e.offsetX - d.x0) < MIN_DRAG_PX) { return; }
+
+            var view = chart.view;
+            if (d.pan) {
+                var shift = timeAt(view, d.x0) - timeAt(view, e.offsetX);
+                var width = view.tMax - view.tMin;
+                var from = Math.min(Math.max(view.tMin + shift, view.full.from), view.full.to - width);
+                setZoom({ from: from, to: from + width });
+            } else {
+                var t0 = timeAt(view, Math.min(d.x0, e.offsetX));
+                var t1 = timeAt(view, Math.max(d.x0, e.offsetX));
+                if (t1 - t0 < MIN_ZOOM_MS) {
+                    var mid = (t0 + t1) / 2;
+                    t0 = mid - MIN_ZOOM_MS / 2;
+                    t1 = mid + MIN_ZOOM_MS / 2;
+                }
+                setZoom({ from: t0, to: t1 });
+            }
+        });
+
+        canvas.addEventListener("dblclick", function () {
+            var chart = chartView();
+            if (chart && chart.sync && _zoom) { resetZoom(); }
+        });
+    }
+
+    function restore(chart) {
+        if (chart.snapshot) {
+            chart.view.g.ctx.putImageData(chart.snapshot, 0, 0);
+        }
+    }
+
+    function setZoom(zoom) {
+        _zoom = zoom;
+        Object.keys(_charts).forEach(function (id) {
+            var chart = _charts[id];
+            if (chart.sync) { chart.redraw(chart.markerTime); }
+        });
+        _zoomListeners.forEach(function (fn) { fn(_zoom ? { from: new Date(_zoom.from), to: new Date(_zoom.to) } : null); });
+    }
+
+    /**
+     * Zoom every synced drill-down chart back out to the full window.
+     */
+    function resetZoom() {
+        setZoom(null);
+    }
+
+    /**
+     * Be told when the shared zoom changes.
+     * @param {Function} fn - called with { from: Date, to: Date }, or null when reset
+     */
+    function onZoomChange(fn) {
+        _zoomListeners.push(fn);
+    }
+
+    function drawDrag(g, drag, x) {
+        var ctx = g.ctx;
+        var x1 = Math.min(Math.max(x, PADDING.left), PADDING.left + g.plotW);
+        if (drag.pan) {
+            ctx.strokeStyle = COLORS.line;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(drag.x0, PADDING.top + g.plotH / 2);
+            ctx.lineTo(x1, PADDING.top + g.plotH / 2);
+            ctx.stroke();
+            return;
+        }
+        ctx.fillStyle = COLORS.selection;
+        ctx.fillRect(Math.min(drag.x0, x1), PADDING.top, Math.abs(x1 - drag.x0), g.plotH);
+    }
+
+    // Vertical crosshair, a dot on the value, and a label box beside the cursor
+    function drawTooltip(g, tip) {
+        var ctx = g.ctx;
+        ctx.strokeStyle = COLORS.crosshair;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(tip.x, PADDING.top);
+        ctx.lineTo(tip.x, PADDING.top + g.plotH);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (tip.y != null) {
+            ctx.fillStyle = COLORS.point;
+            ctx.beginPath();
+            ctx.arc(tip.x, tip.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.font = "11px -apple-system, BlinkMacSystemFont, sans-serif";
+        var boxW = tip.lines.reduce(function (w, line) { return Math.max(w, ctx.measureText(line).width); }, 0) + 12;
+        var boxH = tip.lines.length * 14 + 6;
+        var bx = tip.x + 10 + boxW > g.w ? tip.x - 10 - boxW : tip.x + 10;
+        var by = PADDING.top + 4;
+        ctx.fillStyle = COLORS.tooltipBg;
+        ctx.fillRect(bx, by, boxW, boxH);
+        ctx.fillStyle = "#fff";
+        ctx.textAlign = "left";
+        tip.lines.forEach(function (line, i) {
+            ctx.fillText(line, bx + 6, by + 15 + i * 14);
+        });
+    }
+
+    // Index of the time closest to t in a sorted array, -1 if empty
+    function nearestIndex(times, t) {
+        if (times.length === 0) { return -1; }
+        var lo = 0;
+        var hi = times.length - 1;
+        while (lo < hi) {
+            var mid = (lo + hi) >> 1;
+            if (times[mid] < t) { lo = mid + 1; } else { hi = mid; }
+        }
+        if (lo > 0 && Math.abs(times[lo - 1] - t) <= Math.abs(times[lo] - t)) { return lo - 1; }
+        return lo;
+    }
+
+    // ── Drawing helpers ──────────────────────────────────────────────────
+
+    // Size the canvas to its container and return the plot geometry
+    function setupCanvas(canvas, height) {
         var ctx = canvas.getContext("2d");
         var dpr = window.devicePixelRatio || 1;
         var rect = canvas.parentElement.getBoundingClientRect();
         var w = rect.width || 400;
-        var h = 200;
+        var h = height || CHART_HEIGHT;
 
         canvas.width = w * dpr;
         canvas.height = h * dpr;
         canvas.style.width = w + "px";
         canvas.style.height = h + "px";
         ctx.scale(dpr, dpr);
+        ctx.clearRect(0, 0, w, h);
 
         var plotW = w - PADDING.left - PADDING.right;
         var plotH = h - PADDING.top - PADDING.bottom;
+        return {
+            ctx: ctx,
+            w: w,
+            h: h,
+            plotW: plotW,
+            plotH: plotH,
+            xScale: function (tMin, tMax) {
+                return function (t) { return PADDING.left + ((t - tMin) / (tMax - tMin)) * plotW; };
+            },
+            yScale: function (yMin, yMax) {
+                return function (v) { return PADDING.top + plotH - ((v - yMin) / (yMax - yMin)) * plotH; };
+            }
+        };
+    }
 
-        // Clear
-        ctx.clearRect(0, 0, w, h);
-
-        // No data
-        if (!records || records.length === 0) {
-            ctx.fillStyle = C.Severity ? "#9e9e9e" : "#999";
-            ctx.font = "13px -apple-system, BlinkMacSystemFont, sans-serif";
-            ctx.textAlign = "center";
-            ctx.fillText("No data available", w / 2, h / 2);
-            return;
-        }
-
-        // Sort by date
-        var sorted = records.slice().sort(function (a, b) {
-            return new Date(a.dateTime) - new Date(b.dateTime);
-        });
-
-        var tMin = new Date(sorted[0].dateTime).getTime();
-        var tMax = new Date(sorted[sorted.length - 1].dateTime).getTime();
-        if (tMin === tMax) { tMax = tMin + 1; }
-
-        // Scale functions
-        function xScale(t) {
-            return PADDING.left + ((t - tMin) / (tMax - tMin)) * plotW;
-        }
-        function yScale(v) {
-            return PADDING.top + plotH - ((v - yMin) / (yMax - yMin)) * plotH;
-        }
+    function drawEmpty(g) {
+        g.ctx.fillStyle = "#9e9e9e";
+        g.ctx.font = "13px -apple-system, BlinkMacSystemFont, sans-serif";
+        g.ctx.textAlign = "center";
+        g.ctx.fillText("No data available", g.w / 2, g.h / 2);
+    }
 
-        // Grid lines (horizontal)
+    // Horizontal grid lines with y-axis labels
+    function drawGrid(g, yMin, yMax, yScale) {
+        var ctx = g.ctx;
         ctx.strokeStyle = COLORS.grid;
         ctx.lineWidth = 0.5;
         var ySteps = 5;
@@ -107,17 +804,18 @@ DHD.DiagnosticTimeline = (function () {
             var yy = yScale(yv);
             ctx.beginPath();
             ctx.moveTo(PADDING.left, yy);
-            ctx.lineTo(PADDING.left + plotW, yy);
+            ctx.lineTo(PADDING.left + g.plotW, yy);
             ctx.stroke();
 
-            // Y-axis labels
             ctx.fillStyle = COLORS.text;
             ctx.font = "10px -apple-system, BlinkMacSystemFont, sans-serif";
             ctx.textAlign = "right";
             ctx.fillText(yv.toFixed(0), PADDING.left - 6, yy + 3);
         }
+    }
 
-        // Threshold lines
+    function drawThresholds(g, thresholds, yMin, yMax, yScale) {
+        var ctx = g.ctx;
         thresholds.forEach(function (t) {
             if (t.value >= yMin && t.value <= yMax) {
                 var ty = yScale(t.value);
@@ -126,7 +824,7 @@ DHD.DiagnosticTimeline = (function () {
                 ctx.setLineDash([5, 3]);
                 ctx.beginPath();
                 ctx.moveTo(PADDING.left, ty);
-                ctx.lineTo(PADDING.left + plotW, ty);
+                ctx.lineTo(PADDING.left + g.plotW, ty);
                 ctx.stroke();
                 ctx.setLineDash([]);
 
@@ -134,52 +832,48 @@ DHD.DiagnosticTimeline = (function () {
                 ctx.fillStyle = t.color;
                 ctx.font = "9px -apple-system, BlinkMacSystemFont, sans-serif";
                 ctx.textAlign = "left";
-                ctx.fillText(t.label, PADDING.left + plotW + 2, ty + 3);
+                ctx.fillText(t.label, PADDING.left + g.plotW + 2, ty + 3);
             }
         });
+    }
 
-        // Data line
-        ctx.strokeStyle = COLORS.line;
-        ctx.lineWidth = 1.5;
+    function drawLine(ctx, sorted, xScale, yScale, color, width, step) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
         ctx.lineJoin = "round";
         ctx.beginPath();
+        var prevY = null;
         sorted.forEach(function (rec, i) {
             var x = xScale(new Date(rec.dateTime).getTime());
             var y = yScale(rec.data);
             if (i === 0) { ctx.moveTo(x, y); }
-            else { ctx.lineTo(x, y); }
+            else {
+                if (step) { ctx.lineTo(x, prevY); }
+                ctx.lineTo(x, y);
+            }
+            prevY = y;
         });
         ctx.stroke();
+    }
 
-        // Data points (only if < 100 points)
-        if (sorted.length < 100) {
-            ctx.fillStyle = COLORS.point;
-            sorted.forEach(function (rec) {
-                var x = xScale(new Date(rec.dateTime).getTime());
-                var y = yScale(rec.data);
-                ctx.beginPath();
-                ctx.arc(x, y, 2.5, 0, Math.PI * 2);
-                ctx.fill();
-            });
-        }
-
-        // X-axis date labels (5 evenly spaced)
+    // X-axis date labels, evenly spaced
+    function drawTimeAxis(g, tMin, tMax, steps, xScale) {
+        var ctx = g.ctx;
         ctx.fillStyle = COLORS.text;
         ctx.font = "10px -apple-system, BlinkMacSystemFont, sans-serif";
         ctx.textAlign = "center";
-        var xSteps = Math.min(5, sorted.length);
-        for (var xi = 0; xi < xSteps; xi++) {
-            var ratio = xi / (xSteps - 1 || 1);
+        var showTime = (tMax - tMin) <= 48 * 60 * 60 * 1000;
+        for (var xi = 0; xi < steps; xi++) {
+            var ratio = xi / (steps - 1 || 1);
             var tVal = tMin + ratio * (tMax - tMin);
-            var dt = new Date(tVal);
-            var label = (dt.getMonth() + 1) + "/" + dt.getDate();
-            var xPos = xScale(tVal);
-            ctx.fillText(label, xPos, h - PADDING.bottom + 16);
+            ctx.fillText(formatAxisDate(new Date(tVal), showTime), xScale(tVal), g.h - PADDING.bottom + 16);
         }
+    }
 
-        // Y-axis title
+    function drawYTitle(g, yLabel) {
+        var ctx = g.ctx;
         ctx.save();
-        ctx.translate(12, PADDING.top + plotH / 2);
+        ctx.translate(12, PADDING.top + g.plotH / 2);
         ctx.rotate(-Math.PI / 2);
         ctx.fillStyle = COLORS.text;
         ctx.font = "11px -apple-system, BlinkMacSystemFont, sans-serif";
@@ -188,8 +882,74 @@ DHD.DiagnosticTimeline = (function () {
         ctx.restore();
     }
 
+    function sortByTime(records) {
+        return records.slice().sort(function (a, b) {
+            return new Date(a.dateTime) - new Date(b.dateTime);
+        });
+    }
+
+    /**
+     * Redraw a previously rendered chart with a marker at the given time
+     * and scroll it into view.
+     * @param {string} canvasId
+     * @param {Date|string|number} time
+     * @returns {boolean} false if the chart has not been rendered
+     */
+    function highlight(canvasId, time) {
+        var chart = _charts[canvasId];
+        if (!chart) { return false; }
+        var t = new Date(time).getTime();
+        // Zoom back out if the marker falls outside the zoomed window
+        if (chart.sync && _zoom && (t < _zoom.from || t > _zoom.to)) {
+            setZoom(null);
+        }
+        chart.redraw(t);
+        var canvas = document.getElementById(canvasId);
+        if (canvas && canvas.scrollIntoView) {
+            canvas.scrollIntoView({ behavior: "smooth", block: "center" });
+        }
+        return true;
+    }
+
+    function formatTooltipTime(ms) {
+        var d = new Date(ms);
+        return (d.getMonth() + 1) + "/" + d.getDate() + "/" + d.getFullYear() + " " +
+            pad(d.getHours()) + ":" + pad(d.getMinutes()) + ":" + pad(d.getSeconds());
+    }
+
+    function formatSpan(e) {
+        if (e.end === e.start && !e.seeded && !e.ongoing) { return formatTooltipTime(e.start); }
+        return (e.seeded ? "Before " : "") + formatTooltipTime(e.start) + " \u2013 " +
+            (e.ongoing ? "still active" : formatTooltipTime(e.end));
+    }
+
+    function formatValue(v, opts) {
+        if (typeof v !== "number") { return String(v); }
+        var str = v.toFixed(opts.decimals != null ? opts.decimals : 1);
+        return opts.unit ? str + " " + opts.unit : str;
+    }
+
+    function pad(n) { return n < 10 ? "0" + n : String(n); }
+
+    function formatAxisDate(dt, showTime) {
+        var label = (dt.getMonth() + 1) + "/" + dt.getDate();
+        if (showTime) {
+            var m = dt.getMinutes();
+            label += " " + dt.getHours() + ":" + (m < 10 ? "0" + m : m);
+        }
+        return label;
+    }
+
     return {
         renderVoltageChart: renderVoltageChart,
-        renderRSSIChart: renderRSSIChart
+        renderRSSIChart: renderRSSIChart,
+        renderCrankingChart: renderCrankingChart,
+        renderFlashErrorChart: renderFlashErrorChart,
+        renderEventLanes: renderEventLanes,
+        resetZoom: resetZoom,
+        onZoomChange: onZoomChange,
+        renderScoreHistoryChart: renderScoreHistoryChart,
+        renderTrendChart: renderTrendChart,
+        highlight: highlight
     };
 })();
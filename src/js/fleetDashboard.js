@@ -8,12 +8,32 @@ DHD.FleetDashboard = (function () {
     "use strict";
 
     var C = DHD.Constants;
+
+    // Virtual table: estimated row height (measured after the first render),
+    // rows rendered above and below the viewport, and the search debounce
+    var ROW_HEIGHT = 41;
+    var OVERSCAN_ROWS = 10;
+    var SEARCH_DEBOUNCE_MS = 150;
+
     var _classifications = [];
     var _searchText = "";
     var _sortCol = "score";
     var _sortAsc = false;
     var _onDeviceClick = null;
     var _eventsBound = false;
+    var _trendDays = 90;
+    // Active filter chips: values within a facet are ORed, facets are ANDed
+    var _filters = { severity: [], category: [], issue: [], group: [], deviceType: [], firmware: [], offlineHours: null };
+    var _donutSegments = [];    // drawn arcs, for click-through
+    var _rows = [];             // filtered, sorted table rows
+    var _derived = {};          // deviceId → per-render values, see derived()
+    var _windowStart = -1;      // first row index currently in the DOM
+    var _rowHeight = ROW_HEIGHT;
+    var _scrollPending = false;
+    var _searchTimer = null;
+    var _groupSort = "worst";
+    var _expandedGroups = null; // group id → true; null until the first tree render
+    var _issueLabels = {};      // issue key → label shown for it
 
     // ── Health status levels (maps to severity system) ──────────────
 
@@ -24,6 +44,37 @@ DHD.FleetDashboard = (function () {
         { key: "critical", label: "Critical", severity: C.Severity.CRITICAL, color: "#f44336", bg: "#ffebee" }
     ];
 
+    // Devices listed under an expanded group before pointing at the filter
+    var GROUP_DEVICES_SHOWN = 50;
+
+    // Group tree orderings, each with a tie-break on name
+    var GROUP_SORTS = {
+        worst:    function (a, b) { return a.avgScore - b.avgScore; },
+        critical: function (a, b) { return b.critical - a.critical || a.avgScore - b.avgScore; },
+        offline:  function (a, b) { return b.offline - a.offline || a.avgScore - b.avgScore; },
+        name:     function () { return 0; }
+    };
+
+    // Days back for the "7d Change" column
+    var CHANGE_DAYS = 7;
+
+    // Fleet trend panel
+    var MONTHS_SHOWN = 6;
+    var MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+    var ANNOTATION_KINDS = {
+        refresh:  { label: "Refresh",           color: "#bdbdbd" },
+        firmware: { label: "Firmware rollout",  color: "#7b1fa2" },
+        config:   { label: "Threshold change",  color: "#00897b" }
+    };
+
+    var CATEGORY_COLORS = {
+        power: "#f9a825",
+        gps: "#1976d2",
+        cellular: "#0097a7",
+        installation: "#8d6e63",
+        hardware: "#e64a19"
+    };
+
     // Issue categories shown as table columns
     var CATEGORY_COLS = [
         { key: "power",        label: "Power",    categories: [C.Category.POWER] },
@@ -33,6 +84,16 @@ DHD.FleetDashboard = (function () {
         { key: "hardware",     label: "Hardware", categories: [C.Category.HARDWARE, C.Category.UNPLUGGED] }
     ];
 
+    // Filter facets with a value list; "offline longer than" is separate
+    var FACETS = [
+        { key: "severity",   label: "Severity" },
+        { key: "category",   label: "Issue category" },
+        { key: "issue",      label: "Issue" },
+        { key: "group",      label: "Group" },
+        { key: "deviceType", label: "Device type" },
+        { key: "firmware",   label: "Firmware" }
+    ];
+
     function getHealthLevel(severity) {
         for (var i = 0; i < HEALTH_LEVELS.length; i++) {
             if (HEALTH_LEVELS[i].severity === severity) {
@@ -55,28 +116,53 @@ DHD.FleetDashboard = (function () {
         _classifications = classifications;
         _onDeviceClick = onDeviceClick;
         _searchText = "";
+        _derived = {};
+        _issueLabels = indexIssueLabels(classifications);
+
+        // Filters stay applied across refreshes; the trend stays fleet-wide
+        renderFilterBar();
+        renderFiltered();
+        renderFleetTrend();
+        bindEvents();
+    }
 
-        var metrics = computeFleetMetrics();
+    // Everything that follows the filter chips; resetScroll when the
+    // filters changed, so the table starts from the top
+    function renderFiltered(resetScroll) {
+        var metrics = computeFleetMetrics(getFacetData());
         renderKPICards(metrics);
         renderHealthDistribution(metrics);
         renderTopIssues();
         renderNeedAttention();
+        renderMap();
+        renderGroupTree();
         renderTableHeader();
-        renderTable();
-        bindEvents();
+        renderTable(resetScroll);
     }
 
     // ── Compute fleet metrics ───────────────────────────────────────
 
-    function computeFleetMetrics() {
-        var total = _classifications.length;
+    /**
+     * Fleet-wide totals for the KPI cards and the fleet trend.
+     * @param {Object[]} classifications - { device, classification } items
+     * @returns {{ fleetScore: number, totalDevices: number, healthyCount: number,
+     *             issueCount: number, offlineCount: number, statusCounts: Object,
+     *             categoryCounts: Object, firmwareCounts: Object }}
+     *   categoryCounts: devices with an issue per table category column;
+     *   firmwareCounts: devices per "major.minor" firmware version
+     */
+    function computeFleetMetrics(classifications) {
+        var total = classifications.length;
         var totalScore = 0;
         var healthyCount = 0;
         var issueCount = 0;
         var offlineCount = 0;
         var statusCounts = { healthy: 0, info: 0, warning: 0, critical: 0 };
+        var categoryCounts = {};
+        var firmwareCounts = {};
+        CATEGORY_COLS.forEach(function (col) { categoryCounts[col.key] = 0; });
 
-        _classifications.forEach(function (item) {
+        classifications.forEach(function (item) {
             var cls = item.classification;
             totalScore += cls.healthScore;
 
@@ -94,6 +180,17 @@ DHD.FleetDashboard = (function () {
             if (cls.issues.some(function (issue) { return issue.category === C.Category.OFFLINE; })) {
                 offlineCount++;
             }
+
+            CATEGORY_COLS.forEach(function (col) {
+                if (cls.issues.some(function (issue) { return col.categories.indexOf(issue.category) !== -1; })) {
+                    categoryCounts[col.key]++;
+                }
+            });
+
+            if (item.device.majorVersion != null) {
+                var version = item.device.majorVersion + "." + (item.device.minorVersion || 0);
+                firmwareCounts[version] = (firmwareCounts[version] || 0) + 1;
+            }
         });
 
         return {
@@ -102,7 +199,9 @@ DHD.FleetDashboard = (function () {
             healthyCount: healthyCount,
             issueCount: issueCount,
             offlineCount: offlineCount,
-            statusCounts: statusCounts
+            statusCounts: statusCounts,
+            categoryCounts: categoryCounts,
+            firmwareCounts: firmwareCounts
         };
     }
 
@@ -112,18 +211,21 @@ DHD.FleetDashboard = (function () {
         var container = document.getElementById("dhdKpiRow");
         if (!container) { return; }
 
+        // filter: severity levels the card narrows the table to ([] clears all filters)
         var cards = [
-            { value: metrics.fleetScore.toFixed(1), label: "Fleet Health", accent: "dhd-kpi-card--success" },
-            { value: formatNum(metrics.totalDevices), label: "Total Devices", accent: "" },
-            { value: formatNum(metrics.healthyCount), label: "Healthy", accent: "dhd-kpi-card--success" },
-            { value: formatNum(metrics.issueCount), label: "Issues Detected", accent: metrics.issueCount > 0 ? "dhd-kpi-card--error" : "" }
+            { value: metrics.fleetScore.toFixed(1), label: "Fleet Health", accent: "dhd-kpi-card--success", filter: null },
+            { value: formatNum(metrics.totalDevices), label: hasFilters() ? "Matching Devices" : "Total Devices", accent: "", filter: [] },
+            { value: formatNum(metrics.healthyCount), label: "Healthy", accent: "dhd-kpi-card--success", filter: ["healthy"] },
+            { value: formatNum(metrics.issueCount), label: "Issues Detected", accent: metrics.issueCount > 0 ? "dhd-kpi-card--error" : "", filter: ["info", "warning", "critical"] }
         ];
 
         var accentColors = { "dhd-kpi-card--success": "#2e7d32", "dhd-kpi-card--error": "#d32f2f", "": "#1976d2" };
         var html = '<div style="display:flex;gap:16px;margin-bottom:24px;">';
         cards.forEach(function (c) {
             var topColor = accentColors[c.accent] || "#1976d2";
-            html += '<div style="flex:1;min-width:0;background:#fff;border:1px solid #e0e0e0;border-radius:8px;padding:20px 12px;text-align:center;box-shadow:0 1px 3px rgba(0,0,0,0.12);border-top:4px solid ' + topColor + ';">' +
+            var clickable = c.filter !== null ?
+                ' data-kpi-filter="' + c.filter.join(",") + '" title="' + (c.filter.length ? "Show these devices" : "Show all devices") + '"' : '';
+            html += '<div' + clickable + ' style="flex:1;min-width:0;background:#fff;border:1px solid #e0e0e0;border-radius:8px;padding:20px 12px;text-align:center;box-shadow:0 1px 3px rgba(0,0,0,0.12);border-top:4px solid ' + topColor + ';' + (clickable ? 'cursor:pointer;' : '') + '">' +
                 '<div style="font-size:36px;font-weight:700;line-height:1.1;margin-bottom:4px;">' + c.value + '</div>' +
                 '<div style="font-size:11px;font-weight:600;text-transform:uppercase;letter-spacing:0.8px;color:#616161;">' + c.label + '</div>' +
                 '</div>';
@@ -160,7 +262,7 @@ DHD.FleetDashboard = (function () {
         HEALTH_LEVELS.forEach(function (level) {
             var count = metrics.statusCounts[level.key] || 0;
             if (count > 0) {
-                segments.push({ label: level.label, count: count, color: level.color });
+                segments.push({ key: level.key, label: level.label, count: count, color: level.color });
             }
         });
 
@@ -170,9 +272,13 @@ DHD.FleetDashboard = (function () {
 
         // Draw arcs
         var startAngle = -Math.PI / 2;
+        _donutSegments = [];
         segments.forEach(function (seg) {
             var sweep = (seg.count / total) * 2 * Math.PI;
             var endAngle = startAngle + sweep;
+            if (seg.key) {
+                _donutSegments.push({ key: seg.key, start: startAngle, end: endAngle, cx: cx, cy: cy, innerR: innerR, outerR: outerR });
+            }
 
             ctx.beginPath();
             ctx.arc(cx, cy, outerR, startAngle, endAngle);
@@ -195,7 +301,7 @@ DHD.FleetDashboard = (function () {
             var lhtml = "";
             HEALTH_LEVELS.forEach(function (level) {
                 var count = metrics.statusCounts[level.key] || 0;
-                lhtml += '<span style="display:inline-block;margin:0 8px 4px 0;font-size:11px;color:#616161;white-space:nowrap;">' +
+                lhtml += '<span data-severity="' + level.key + '" style="display:inline-block;margin:0 8px 4px 0;font-size:11px;color:#616161;white-space:nowrap;cursor:pointer;">' +
                     '<span style="display:inline-block;width:10px;height:10px;border-radius:50%;background:' + level.color + ';vertical-align:middle;margin-right:4px;"></span>' +
                     level.label + ' (' + count + ')' +
                     '</span>';
@@ -210,23 +316,23 @@ DHD.FleetDashboard = (function () {
         var container = document.getElementById("dhdTopIssues");
         if (!container) { return; }
 
-        // Aggregate issues by label across all devices
+        // Aggregate issues by key across the filtered devices
         var issueCounts = {};
         var issueSeverity = {};
-        _classifications.forEach(function (item) {
+        getFacetData().forEach(function (item) {
             item.classification.issues.forEach(function (issue) {
-                var lbl = issue.label || "Unknown";
-                issueCounts[lbl] = (issueCounts[lbl] || 0) + 1;
+                var key = issue.key;
+                issueCounts[key] = (issueCounts[key] || 0) + 1;
                 // Keep the worst severity seen for this issue type
-                if (!issueSeverity[lbl] || severityRank(issue.severity) < severityRank(issueSeverity[lbl])) {
-                    issueSeverity[lbl] = issue.severity;
+                if (!issueSeverity[key] || severityRank(issue.severity) < severityRank(issueSeverity[key])) {
+                    issueSeverity[key] = issue.severity;
                 }
             });
         });
 
         // Sort by count descending, take top 5
-        var sorted = Object.keys(issueCounts).map(function (lbl) {
-            return { label: lbl, count: issueCounts[lbl], severity: issueSeverity[lbl] };
+        var sorted = Object.keys(issueCounts).map(function (key) {
+            return { key: key, label: facetLabel("issue", key), count: issueCounts[key], severity: issueSeverity[key] };
         }).sort(function (a, b) {
             return b.count - a.count;
         }).slice(0, 5);
@@ -247,7 +353,7 @@ DHD.FleetDashboard = (function () {
         sorted.forEach(function (item) {
             var color = severityColors[item.severity] || "#9e9e9e";
             var barPct = Math.round((item.count / maxCount) * 100);
-            html += '<tr style="border-bottom:1px solid #e0e0e0;">' +
+            html += '<tr data-issue="' + escHtml(item.key) + '" title="Show devices with this issue" style="cursor:pointer;border-bottom:1px solid #e0e0e0;">' +
                 '<td style="width:12px;padding:8px 4px 8px 0;vertical-align:middle;"><span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:' + color + ';"></span></td>' +
                 '<td style="padding:8px 4px;font-size:13px;font-weight:500;vertical-align:middle;">' + escHtml(item.label) + '</td>' +
                 '<td style="width:30px;padding:8px 4px;font-size:13px;font-weight:700;text-align:right;vertical-align:middle;">' + item.count + '</td>' +
@@ -267,7 +373,7 @@ DHD.FleetDashboard = (function () {
         if (!container) { return; }
 
         // Filter to devices that have issues, sort by health score ascending
-        var withIssues = _classifications.filter(function (item) {
+        var withIssues = getFacetData().filter(function (item) {
             return item.classification.severity !== C.Severity.HEALTHY;
         }).sort(function (a, b) {
             return a.classification.healthScore - b.classification.healthScore;
@@ -293,70 +399,519 @@ DHD.FleetDashboard = (function () {
         container.innerHTML = html;
     }
 
+    // ── Device Map ──────────────────────────────────────────────────
+
+    // Filtered devices at their last known position
+    function renderMap() {
+        var data = getFacetData();
+        var points = [];
+        data.forEach(function (item) {
+            var si = item.statusInfo;
+            if (!si || si.latitude == null || si.longitude == null || (si.latitude === 0 && si.longitude === 0)) {
+                return;
+            }
+            var level = getHealthLevel(item.classification.severity);
+            points.push({
+                id: item.device.id,
+                name: item.device.name,
+                latitude: si.latitude,
+                longitude: si.longitude,
+                score: item.classification.healthScore,
+                label: level.label,
+                color: level.color,
+                rank: severityRank(level.severity)
+            });
+        });
+
+        // Defer so the canvas has its final width
+        setTimeout(function () {
+            DHD.FleetMap.render(points, _onDeviceClick);
+        }, 50);
+
+        var legendEl = document.getElementById("dhdMapLegend");
+        if (legendEl) {
+            var missing = data.length - points.length;
+            legendEl.innerHTML = HEALTH_LEVELS.map(function (level) {
+                return '<span style="display:inline-block;margin-right:12px;font-size:11px;color:#616161;white-space:nowrap;">' +
+                    '<span style="display:inline-block;width:10px;height:10px;border-radius:50%;background:' + level.color + ';vertical-align:middle;margin-right:4px;"></span>' +
+                    level.label + '</span>';
+            }).join("") + (missing > 0 ?
+                '<span style="font-size:11px;color:#9e9e9e;">' + missing + ' device' + (missing === 1 ? "" : "s") + ' without a position</span>' : '');
+        }
+    }
+
+    // ── Group Health ────────────────────────────────────────────────
+
+    // Filtered devices rolled up over the group hierarchy
+    function renderGroupTree() {
+        var container = document.getElementById("dhdGroupTree");
+        if (!container) { return; }
+
+        var compare = GROUP_SORTS[_groupSort] || GROUP_SORTS.worst;
+        var roots = DHD.GroupTree.sort(DHD.GroupTree.build(getFacetData()), function (a, b) {
+            return compare(a, b) || a.name.localeCompare(b.name);
+        });
+        if (roots.length === 0) {
+            container.innerHTML = '<div class="dhd-empty-state">No devices to group</div>';
+            return;
+        }
+
+        // Open a lone root (usually the company group) so its branches show
+        if (_expandedGroups === null) {
+            _expandedGroups = {};
+            if (roots.length === 1) { _expandedGroups[roots[0].id] = true; }
+        }
+
+        var html = '<table class="dhd-table dhd-group-tree__table"><thead><tr>' +
+            '<th class="dhd-table__th">Group</th><th class="dhd-table__th">Devices</th>' +
+            '<th class="dhd-table__th">Avg Health</th><th class="dhd-table__th">Lowest</th>' +
+            '<th class="dhd-table__th">Critical</th><th class="dhd-table__th">Warning</th>' +
+            '<th class="dhd-table__th">Offline</th></tr></thead><tbody>';
+        roots.forEach(function (node) { html += renderGroupNode(node); });
+        container.innerHTML = html + '</tbody></table>';
+    }
+
+    function renderGroupNode(node) {
+        var open = !!_expandedGroups[node.id];
+        var hasContent = node.children.length > 0 || node.devices.length > 0;
+        var indent = 'padding-left:' + (16 + node.depth * 20) + 'px !important;';
+
+        var html = '<tr class="dhd-group-tree__group" data-group-id="' + escHtml(node.id) + '">' +
+            '<td class="dhd-table__cell" style="' + indent + '">' +
+            (hasContent ? '<span class="dhd-group-tree__toggle">' + (open ? "\u25be" : "\u25b8") + '</span>' : '<span class="dhd-group-tree__toggle"></span>') +
+            '<strong>' + escHtml(node.name) + '</strong>' +
+            ' <a href="#" class="dhd-group-tree__filter" data-filter-group="' + escHtml(node.id) + '" title="Filter the dashboard to this group">filter</a></td>' +
+            '<td class="dhd-table__cell">' + formatNum(node.deviceCount) + '</td>' +
+            '<td class="dhd-table__cell">' + renderScoreBar(Math.round(node.avgScore)) + '</td>' +
+            '<td class="dhd-table__cell" style="font-weight:600;color:' + getScoreColor(node.minScore) + ';">' + node.minScore + '</td>' +
+            '<td class="dhd-table__cell">' + renderCount(node.critical, "#f44336") + '</td>' +
+            '<td class="dhd-table__cell">' + renderCount(node.warning, "#ff9800") + '</td>' +
+            '<td class="dhd-table__cell">' + renderCount(node.offline, "#616161") + '</td>' +
+            '</tr>';
+        if (!open) { return html; }
+
+        node.children.forEach(function (child) { html += renderGroupNode(child); });
+
+        var devices = node.devices.slice().sort(function (a, b) {
+            return a.classification.healthScore - b.classification.healthScore;
+        });
+        var deviceIndent = 'padding-left:' + (36 + node.depth * 20) + 'px !important;';
+        devices.slice(0, GROUP_DEVICES_SHOWN).forEach(function (item) {
+            var level = getHealthLevel(item.classification.severity);
+            html += '<tr class="dhd-table__row" data-device-id="' + item.device.id + '">' +
+                '<td class="dhd-table__cell" style="' + deviceIndent + '">' + escHtml(item.device.name) + '</td>' +
+                '<td class="dhd-table__cell"></td>' +
+                '<td class="dhd-table__cell">' + renderScoreBar(item.classification.healthScore) + '</td>' +
+                '<td class="dhd-table__cell" colspan="4"><span class="dhd-badge dhd-status-badge--' + level.key + '">' + level.label + '</span></td>' +
+                '</tr>';
+        });
+        if (devices.length > GROUP_DEVICES_SHOWN) {
+            html += '<tr><td class="dhd-table__cell" colspan="7" style="' + deviceIndent + 'color:#9e9e9e;">' +
+                'and ' + formatNum(devices.length - GROUP_DEVICES_SHOWN) + ' more \u2014 ' +
+                '<a href="#" data-filter-group="' + escHtml(node.id) + '">filter to this group</a> to see them all in the table</td></tr>';
+        }
+        return html;
+    }
+
+    function renderCount(count, color) {
+        return count > 0 ? '<span style="font-weight:600;color:' + color + ';">' + count + '</span>' :
+            '<span style="color:#9e9e9e;">0</span>';
+    }
+
+    // ── Fleet Trend ─────────────────────────────────────────────────
+
+    function renderFleetTrend() {
+        var days = _trendDays;
+        var rows = DHD.ScoreHistory.getFleet();
+        var snapshots = rows.filter(function (r) { return r.fleetScore != null; });
+        var now = new Date();
+        var range = { fromDate: new Date(now.getTime() - days * 24 * 60 * 60 * 1000), toDate: now };
+
+        var annotations = [];
+        rows.forEach(function (r) {
+            (r.annotations || []).forEach(function (a) {
+                var kind = ANNOTATION_KINDS[a.kind] || ANNOTATION_KINDS.refresh;
+                annotations.push({
+                    dateTime: a.dateTime,
+                    color: kind.color,
+                    // Refreshes are frequent; unlabeled ticks keep the chart readable
+                    label: a.kind === "refresh" ? "" : a.label
+                });
+            });
+        });
+
+        function seriesOf(pick) {
+            return snapshots.map(function (r) { return { dateTime: r.date + "T12:00:00", data: pick(r) }; });
+        }
+
+        // Defer so the canvases have their final width
+        setTimeout(function () {
+            DHD.DiagnosticTimeline.renderTrendChart("dhdFleetScoreChart", [
+                { label: "Fleet score", color: "#1976d2", width: 2, records: seriesOf(function (r) { return r.fleetScore; }) }
+            ], {
+                yMin: 0, yMax: 100, yLabel: "Fleet score", range: range, annotations: annotations
+            });
+
+            var maxCount = snapshots.reduce(function (max, r) { return Math.max(max, r.issueCount || 0); }, 0);
+            var series = [
+                { label: "Issues", color: "#d32f2f", width: 2, records: seriesOf(function (r) { return r.issueCount; }) },
+                { label: "Offline", color: "#616161", records: seriesOf(function (r) { return r.offlineCount; }) }
+            ];
+            CATEGORY_COLS.forEach(function (col) {
+                series.push({
+                    label: col.label,
+                    color: CATEGORY_COLORS[col.key],
+                    records: seriesOf(function (r) { return (r.categoryCounts || {})[col.key] || 0; })
+                });
+            });
+            DHD.DiagnosticTimeline.renderTrendChart("dhdFleetIssueChart", series, {
+                yMin: 0, yMax: Math.max(5, Math.ceil(maxCount / 5) * 5), yLabel: "Devices", range: range,
+                annotations: annotations
+            });
+        }, 50);
+
+        renderTrendLegend();
+        renderMonthlySummary(snapshots);
+    }
+
+    function renderTrendLegend() {
+        var el = document.getElementById("dhdFleetTrendLegend");
+        if (!el) { return; }
+        el.innerHTML = Object.keys(ANNOTATION_KINDS).map(function (key) {
+            var kind = ANNOTATION_KINDS[key];
+            return '<span style="display:inline-block;margin-right:12px;font-size:11px;color:#616161;white-space:nowrap;">' +
+                '<span style="display:inline-block;width:0;height:10px;border-left:2px dashed ' + kind.color + ';vertical-align:middle;margin-right:4px;"></span>' +
+                kind.label + '</span>';
+        }).join("");
+    }
+
+    // Average fleet score per calendar month, latest first, with the change
+    // from the month before
+    function renderMonthlySummary(snapshots) {
+        var el = document.getElementById("dhdFleetTrendSummary");
+        if (!el) { return; }
+
+        var months = {};
+        var order = [];
+        snapshots.forEach(function (r) {
+            var key = r.date.slice(0, 7);
+            if (!months[key]) {
+                months[key] = { key: key, total: 0, days: 0, issues: 0 };
+                order.push(key);
+            }
+            months[key].total += r.fleetScore;
+            months[key].issues += r.issueCount || 0;
+            months[key].days++;
+        });
+
+        if (order.length === 0) {
+            el.innerHTML = '<div class="dhd-empty-state">Fleet history starts with today\u2019s snapshot.</div>';
+            return;
+        }
+
+        var html = '<table style="width:100%;border-collapse:collapse;font-size:12px;">' +
+            '<tr style="color:#616161;text-align:left;"><th style="padding:4px;">Month</th><th style="padding:4px;">Avg score</th>' +
+            '<th style="padding:4px;">Change</th><th style="padding:4px;">Avg devices with issues</th><th style="padding:4px;">Days</th></tr>';
+        var keys = order.sort().reverse();
+        keys.slice(0, MONTHS_SHOWN).forEach(function (key, i) {
+            var m = months[key];
+            var avg = m.total / m.days;
+            var prevKey = keys[i + 1];
+            var delta = prevKey ? avg - months[prevKey].total / months[prevKey].days : null;
+            var deltaColor = delta === null || Math.abs(delta) < 0.05 ? "#9e9e9e" : delta > 0 ? "#2e7d32" : "#d32f2f";
+            html += '<tr style="border-top:1px solid #e0e0e0;">' +
+                '<td style="padding:4px;">' + formatMonth(key) + '</td>' +
+                '<td style="padding:4px;font-weight:600;color:' + getScoreColor(avg) + ';">' + avg.toFixed(1) + '</td>' +
+                '<td style="padding:4px;color:' + deltaColor + ';">' + (delta === null ? "\u2014" : (delta >= 0 ? "+" : "\u2212") + Math.abs(delta).toFixed(1)) + '</td>' +
+                '<td style="padding:4px;">' + (m.issues / m.days).toFixed(1) + '</td>' +
+                '<td style="padding:4px;color:#9e9e9e;">' + m.days + '</td>' +
+                '</tr>';
+        });
+        el.innerHTML = html + '</table>';
+    }
+
+    function formatMonth(key) {
+        var parts = key.split("-");
+        return MONTH_NAMES[+parts[1] - 1] + " " + parts[0];
+    }
+
+    // ── Filter Bar ──────────────────────────────────────────────────
+
+    function renderFilterBar() {
+        var el = document.getElementById("dhdFilterBar");
+        if (!el) { return; }
+
+        var html = '<div class="dhd-filter-bar__controls">';
+        FACETS.forEach(function (f) {
+            var chosen = _filters[f.key];
+            var options = facetOptions(f.key).filter(function (o) { return chosen.indexOf(o.value) === -1; });
+            html += '<select class="dhd-select" data-facet="' + f.key + '"' + (options.length === 0 ? " disabled" : "") + '>' +
+                '<option value="">' + f.label + '\u2026</option>';
+            options.forEach(function (o) {
+                html += '<option value="' + escHtml(o.value) + '">' + escHtml(o.label) + ' (' + o.count + ')</option>';
+            });
+            html += '</select>';
+        });
+        html += '<label class="dhd-filter-bar__offline">Offline &gt; ' +
+            '<input type="number" id="dhdOfflineHours" class="dhd-search" min="0" step="1" placeholder="N" value="' +
+            (_filters.offlineHours === null ? "" : _filters.offlineHours) + '"> h</label>' +
+            '</div>';
+
+        var chips = [];
+        FACETS.forEach(function (f) {
+            _filters[f.key].forEach(function (v) {
+                chips.push(renderChip(f.label, facetLabel(f.key, v), f.key, v));
+            });
+        });
+        if (_filters.offlineHours !== null) {
+            chips.push(renderChip("Offline", "> " + _filters.offlineHours + " h", "offlineHours", ""));
+        }
+        if (chips.length > 0) {
+            html += '<div class="dhd-filter-bar__chips">' + chips.join("") +
+                '<button class="dhd-btn dhd-btn--small" data-clear-filters>Clear all</button></div>';
+        }
+
+        el.innerHTML = html;
+    }
+
+    function renderChip(facetLabelText, valueLabel, key, value) {
+        return '<span class="dhd-chip">' + escHtml(facetLabelText) + ': <strong>' + escHtml(valueLabel) + '</strong>' +
+            '<button class="dhd-chip__remove" data-remove-facet="' + key + '" data-value="' + escHtml(value) + '" title="Remove filter">&times;</button>' +
+            '</span>';
+    }
+
+    function addFilter(key, value) {
+        if (!value || _filters[key].indexOf(value) !== -1) { return; }
+        _filters[key].push(value);
+        applyFilters();
+    }
+
+    function removeFilter(key, value) {
+        if (key === "offlineHours") {
+            _filters.offlineHours = null;
+        } else {
+            _filters[key] = _filters[key].filter(function (v) { return v !== value; });
+        }
+        applyFilters();
+    }
+
+    // Click-through from the summary panels: show exactly these values
+    function setFilter(key, values) {
+        _filters[key] = values.slice();
+        applyFilters();
+    }
+
+    // Clicking the only selected value again drops it
+    function toggleFilter(key, value) {
+        var current = _filters[key];
+        setFilter(key, current.length === 1 && current[0] === value ? [] : [value]);
+    }
+
+    function clearFilters() {
+        FACETS.forEach(function (f) { _filters[f.key] = []; });
+        _filters.offlineHours = null;
+        applyFilters();
+    }
+
+    function applyFilters() {
+        renderFilterBar();
+        renderFiltered(true);
+    }
+
+    // Handles chip removal and "clear" in both the filter bar and the breadcrumb
+    function onFilterClick(e) {
+        var remove = e.target.closest("[data-remove-facet]");
+        if (remove) {
+            removeFilter(remove.getAttribute("data-remove-facet"), remove.getAttribute("data-value"));
+        } else if (e.target.closest("[data-clear-filters]")) {
+            clearFilters();
+        }
+    }
+
+    // Breadcrumb of active filters above the table
+    function renderBreadcrumb() {
+        var el = document.getElementById("dhdFilterCrumb");
+        if (!el) { return; }
+        if (!hasFilters()) {
+            el.innerHTML = "";
+            el.style.display = "none";
+            return;
+        }
+
+        var crumbs = ['<a href="#" data-clear-filters title="Clear all filters">All Devices</a>'];
+        FACETS.forEach(function (f) {
+            _filters[f.key].forEach(function (v) {
+                crumbs.push(renderCrumb(f.label + ": " + facetLabel(f.key, v), f.key, v));
+            });
+        });
+        if (_filters.offlineHours !== null) {
+            crumbs.push(renderCrumb("Offline > " + _filters.offlineHours + " h", "offlineHours", ""));
+        }
+        el.innerHTML = crumbs.join('<span class="dhd-crumb__sep">\u203a</span>');
+        el.style.display = "";
+    }
+
+    function renderCrumb(text, key, value) {
+        return '<span class="dhd-crumb">' + escHtml(text) +
+            '<button class="dhd-chip__remove" data-remove-facet="' + key + '" data-value="' + escHtml(value) + '" title="Remove filter">&times;</button>' +
+            '</span>';
+    }
+
+    // Severity level under a point on the donut canvas, or null
+    function donutSegmentAt(canvas, e) {
+        var rect = canvas.getBoundingClientRect();
+        for (var i = 0; i < _donutSegments.length; i++) {
+            var seg = _donutSegments[i];
+            var dx = e.clientX - rect.left - seg.cx;
+            var dy = e.clientY - rect.top - seg.cy;
+            var r = Math.sqrt(dx * dx + dy * dy);
+            if (r < seg.innerR || r > seg.outerR) { continue; }
+            // Arcs start at 12 o'clock; bring the angle into the same turn
+            var angle = Math.atan2(dy, dx);
+            if (angle < -Math.PI / 2) { angle += 2 * Math.PI; }
+            if (angle >= seg.start && angle < seg.end) { return seg.key; }
+        }
+        return null;
+    }
+
     // ── Table Header ────────────────────────────────────────────────
 
     function renderTableHeader() {
-        var countEl = document.getElementById("dhdTableCount");
-        if (countEl) {
-            var filtered = getFilteredData();
-            countEl.textContent = "All Devices (" + filtered.length + ")";
+        renderBreadcrumb();
+    }
+
+    function tableCountText(count) {
+        if (count === _classifications.length && !hasFilters() && !_searchText) {
+            return "All Devices (" + count + ")";
         }
+        return "Devices (" + count + " of " + _classifications.length + ")";
     }
 
     // ── Table ───────────────────────────────────────────────────────
 
-    function renderTable() {
+    /**
+     * Filter and sort the table rows, then render the rows in view.
+     * Only the visible window (plus overscan) is in the DOM; spacer rows
+     * keep the scroll height, so fleets of tens of thousands stay responsive.
+     * A refresh keeps the scroll position; new filters, search or sort
+     * start again from the top.
+     * @param {boolean} [resetScroll]
+     */
+    function renderTable(resetScroll) {
         var tbody = document.getElementById("dhdTableBody");
         if (!tbody) { return; }
 
-        var filtered = getFilteredData();
-        filtered = sortData(filtered);
+        _rows = sortData(getFilteredData().slice());
 
         // Update count
         var countEl = document.getElementById("dhdTableCount");
         if (countEl) {
-            countEl.textContent = "All Devices (" + filtered.length + ")";
+            countEl.textContent = tableCountText(_rows.length);
         }
 
-        if (filtered.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="8" class="dhd-empty">No devices match the current filters.</td></tr>';
+        if (_rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="10" class="dhd-empty">No devices match the current filters.</td></tr>';
             return;
         }
 
-        var html = "";
-        filtered.forEach(function (item) {
-            var cls = item.classification;
-            var device = item.device;
-            var score = cls.healthScore;
-            var level = getHealthLevel(cls.severity);
+        var wrap = document.getElementById("dhdTableWrap");
+        if (wrap && resetScroll) { wrap.scrollTop = 0; }
+        renderWindow(true);
+    }
 
-            // Compute per-category scores
-            var catScores = computeCategoryScores(cls);
+    // Render the rows around the scroll position; skipped when the window
+    // hasn't moved unless forced
+    function renderWindow(force) {
+        var tbody = document.getElementById("dhdTableBody");
+        var wrap = document.getElementById("dhdTableWrap");
+        if (!tbody || _rows.length === 0) { return; }
+
+        var viewRows = Math.ceil((wrap && wrap.clientHeight || 600) / _rowHeight);
+        var first = Math.floor((wrap ? wrap.scrollTop : 0) / _rowHeight);
+        var start = Math.max(0, first - OVERSCAN_ROWS);
+        var end = Math.min(_rows.length, first + viewRows + OVERSCAN_ROWS);
+        if (!force && start === _windowStart) { return; }
+        _windowStart = start;
+
+        var html = spacerRow(start * _rowHeight);
+        for (var i = start; i < end; i++) {
+            html += renderRow(_rows[i]);
+        }
+        html += spacerRow((_rows.length - end) * _rowHeight);
+        tbody.innerHTML = html;
 
-            html += '<tr class="dhd-table__row" data-device-id="' + device.id + '">';
+        // Adopt the real row height once the browser has laid a row out
+        var row = _rowHeight === ROW_HEIGHT ? tbody.querySelector(".dhd-table__row") : null;
+        if (row && row.offsetHeight > 0 && row.offsetHeight !== _rowHeight) {
+            _rowHeight = row.offsetHeight;
+            renderWindow(true);
+        }
+    }
 
-            // Name
-            html += '<td class="dhd-table__cell">' + escHtml(device.name) + '</td>';
+    function onTableScroll() {
+        if (_scrollPending) { return; }
+        _scrollPending = true;
+        window.requestAnimationFrame(function () {
+            _scrollPending = false;
+            renderWindow(false);
+        });
+    }
 
-            // Health Score
-            html += '<td class="dhd-table__cell">' + renderScoreBar(score) + '</td>';
+    function spacerRow(height) {
+        return height > 0 ? '<tr class="dhd-table__spacer" style="height:' + height + 'px;"><td colspan="10"></td></tr>' : "";
+    }
 
-            // Status badge
-            html += '<td class="dhd-table__cell"><span class="dhd-badge dhd-status-badge--' + level.key + '">' + level.label + '</span></td>';
+    function renderRow(item) {
+        var cls = item.classification;
+        var device = item.device;
+        var score = cls.healthScore;
+        var level = getHealthLevel(cls.severity);
+        var values = derived(item);
 
-            // Category columns
-            CATEGORY_COLS.forEach(function (col) {
-                var cs = catScores[col.key];
-                html += '<td class="dhd-table__cell">' + renderScoreBar(cs.score, cs.count) + '</td>';
-            });
+        var html = '<tr class="dhd-table__row" data-device-id="' + device.id + '">';
+
+        // Name
+        html += '<td class="dhd-table__cell">' + escHtml(device.name) + '</td>';
+
+        // Health Score
+        html += '<td class="dhd-table__cell">' + renderScoreBar(score) + '</td>';
+
+        // Status badge
+        html += '<td class="dhd-table__cell"><span class="dhd-badge dhd-status-badge--' + level.key + '">' + level.label + '</span></td>';
 
-            html += '</tr>';
+        // Score history
+        html += '<td class="dhd-table__cell">' + renderSparkline(DHD.ScoreHistory.get(device.id)) + '</td>';
+        html += '<td class="dhd-table__cell">' + renderChange(values.change) + '</td>';
+
+        // Category columns
+        CATEGORY_COLS.forEach(function (col) {
+            var cs = values.categoryScores[col.key];
+            html += '<td class="dhd-table__cell">' + renderScoreBar(cs.score, cs.count) + '</td>';
         });
 
-        tbody.innerHTML = html;
+        return html + '</tr>';
+    }
+
+    /**
+     * Values the table sorts, searches and draws by, computed once per
+     * device per render instead of in every sort comparison or keystroke.
+     * @param {Object} item - { device, classification }
+     * @returns {{ categoryScores: Object, change: ?number, search: string }}
+     */
+    function derived(item) {
+        var values = _derived[item.device.id];
+        if (!values) {
+            values = _derived[item.device.id] = {
+                categoryScores: computeCategoryScores(item.classification),
+                change: DHD.ScoreHistory.change(item.device.id, CHANGE_DAYS),
+                search: buildSearchString(item)
+            };
+        }
+        return values;
     }
 
     function computeCategoryScores(classification) {
+        var deductions = classification.thresholds ? classification.thresholds.ScoreDeductions : C.ScoreDeductions;
         var scores = {};
         CATEGORY_COLS.forEach(function (col) {
             var count = 0;
@@ -364,17 +919,49 @@ DHD.FleetDashboard = (function () {
             classification.issues.forEach(function (issue) {
                 if (col.categories.indexOf(issue.category) !== -1) {
                     count++;
-                    deduction += (C.ScoreDeductions[issue.severity] || 0);
+                    deduction += (deductions[issue.severity] || 0) * (issue.weight != null ? issue.weight : 1);
                 }
             });
             scores[col.key] = {
-                score: Math.max(0, 100 - deduction),
+                score: Math.max(0, Math.round(100 - deduction)),
                 count: count
             };
         });
         return scores;
     }
 
+    // Inline SVG polyline of the daily scores, 0–100 bottom to top
+    function renderSparkline(history) {
+        if (history.length < 2) {
+            return '<span style="color:#9e9e9e;font-size:12px;">\u2014</span>';
+        }
+        var w = 80;
+        var h = 20;
+        var t0 = history[0].dateTime.getTime();
+        var span = history[history.length - 1].dateTime.getTime() - t0 || 1;
+        var points = history.map(function (p) {
+            var x = ((p.dateTime.getTime() - t0) / span) * (w - 2) + 1;
+            var y = h - 1 - (p.score / 100) * (h - 2);
+            return x.toFixed(1) + "," + y.toFixed(1);
+        }).join(" ");
+        var color = getScoreColor(history[history.length - 1].score);
+        return '<svg width="' + w + '" height="' + h + '" viewBox="0 0 ' + w + ' ' + h + '" style="display:block;">' +
+            '<polyline points="' + points + '" fill="none" stroke="' + color + '" stroke-width="1.5" stroke-linejoin="round"/>' +
+            '</svg>';
+    }
+
+    function renderChange(delta) {
+        if (delta === null) {
+            return '<span style="color:#9e9e9e;font-size:12px;">\u2014</span>';
+        }
+        var color = delta > 0 ? "#2e7d32" : delta < 0 ? "#d32f2f" : "#9e9e9e";
+        return '<span style="font-size:12px;font-weight:600;color:' + color + ';">' + formatChange(delta) + '</span>';
+    }
+
+    function formatChange(delta) {
+        return delta > 0 ? "+" + delta : delta < 0 ? "\u2212" + (-delta) : "0";
+    }
+
     function renderScoreBar(score, eventCount) {
         var color = getScoreColor(score);
         var countStr = typeof eventCount === "number" ? ' <span style="color:#9e9e9e">(' + eventCount + ')</span>' : '';
@@ -386,14 +973,131 @@ DHD.FleetDashboard = (function () {
 
     // ── Filtering ───────────────────────────────────────────────────
 
+    function hasFilters() {
+        return _filters.offlineHours !== null || FACETS.some(function (f) {
+            return _filters[f.key].length > 0;
+        });
+    }
+
+    // Devices matching the filter chips; the summary panels show these
+    function getFacetData() {
+        if (!hasFilters()) { return _classifications; }
+        return _classifications.filter(matchesFilters);
+    }
+
+    function matchesFilters(item) {
+        var facetsMatch = FACETS.every(function (f) {
+            var wanted = _filters[f.key];
+            if (wanted.length === 0) { return true; }
+            return facetValues(item, f.key).some(function (v) { return wanted.indexOf(v) !== -1; });
+        });
+        return facetsMatch && (_filters.offlineHours === null || hoursSinceContact(item) > _filters.offlineHours);
+    }
+
+    /**
+     * A device's values for a filter facet. Groups include their ancestors,
+     * so picking a parent group also matches devices in its subgroups.
+     * @param {Object} item - { device, statusInfo, classification }
+     * @param {string} key - FACETS key
+     * @returns {string[]}
+     */
+    function facetValues(item, key) {
+        var device = item.device;
+        var cls = item.classification;
+        switch (key) {
+            case "severity":
+                return [getHealthLevel(cls.severity).key];
+            case "category":
+                return CATEGORY_COLS.filter(function (col) {
+                    return cls.issues.some(function (issue) { return col.categories.indexOf(issue.category) !== -1; });
+                }).map(function (col) { return col.key; });
+            case "group":
+                // Same membership as the group tree, including its "No group" node
+                var ids = [];
+                (device.groups || []).forEach(function (g) {
+                    if (!g.id) { return; }
+                    [g.id].concat(DHD.DeviceCache.getGroupAncestors(g.id)).forEach(function (id) {
+                        if (ids.indexOf(id) === -1) { ids.push(id); }
+                    });
+                });
+                return ids.length > 0 ? ids : [DHD.GroupTree.NO_GROUP_ID];
+            case "deviceType":
+                var type = device.deviceType || (device.productId ? "GO" + device.productId : "");
+                return type ? [type] : [];
+            case "issue":
+                var keys = [];
+                cls.issues.forEach(function (issue) {
+                    if (keys.indexOf(issue.key) === -1) { keys.push(issue.key); }
+                });
+                return keys;
+            case "firmware":
+                return device.majorVersion != null ? [device.majorVersion + "." + (device.minorVersion || 0)] : [];
+            default:
+                return [];
+        }
+    }
+
+    function facetLabel(key, value) {
+        switch (key) {
+            case "severity":
+                return HEALTH_LEVELS.filter(function (l) { return l.key === value; })[0].label;
+            case "category":
+                return CATEGORY_COLS.filter(function (col) { return col.key === value; })[0].label;
+            case "group":
+                return value === DHD.GroupTree.NO_GROUP_ID ? DHD.GroupTree.NO_GROUP_NAME : DHD.DeviceCache.getGroupName(value);
+            case "issue":
+                return _issueLabels[value] || value;
+            default:
+                return value;
+        }
+    }
+
+    // Issue keys are stable across threshold profiles but their labels may
+    // not be (e.g. "Offline > 24h"); the first label seen names the key
+    function indexIssueLabels(classifications) {
+        var labels = {};
+        classifications.forEach(function (item) {
+            item.classification.issues.forEach(function (issue) {
+                if (!labels[issue.key]) { labels[issue.key] = issue.label || "Unknown"; }
+            });
+        });
+        return labels;
+    }
+
+    // Values seen across the whole fleet with their device counts, in display order
+    function facetOptions(key) {
+        var counts = {};
+        _classifications.forEach(function (item) {
+            facetValues(item, key).forEach(function (v) { counts[v] = (counts[v] || 0) + 1; });
+        });
+        var order = key === "severity" ? HEALTH_LEVELS.map(function (l) { return l.key; })
+            : key === "category" ? CATEGORY_COLS.map(function (col) { return col.key; })
+            : null;
+        var values = Object.keys(counts);
+        if (order) {
+            values = order.filter(function (v) { return counts[v]; });
+        } else {
+            values.sort(function (a, b) {
+                return facetLabel(key, a).localeCompare(facetLabel(key, b), undefined, { numeric: true });
+            });
+        }
+        return values.map(function (v) { return { value: v, label: facetLabel(key, v), count: counts[v] }; });
+    }
+
+    // Hours since the device last reported; Infinity without status info
+    function hoursSinceContact(item) {
+        if (!item.statusInfo || !item.statusInfo.dateTime) { return Infinity; }
+        return (Date.now() - new Date(item.statusInfo.dateTime).getTime()) / 3600000;
+    }
+
     function getFilteredData() {
-        var data = _classifications;
+        var data = getFacetData();
 
         if (_searchText) {
             var terms = _searchText.toLowerCase().trim().split(/\s+/).filter(function (t) { return t.length > 0; });
             if (terms.length > 0) {
                 data = data.filter(function (item) {
-                    var searchable = buildSearchString(item);
+                    var searchable = derived(item).search;
                     return terms.every(function (term) {
                         return searchable.indexOf(term) !== -1;
                     });
@@ -468,15 +1172,21 @@ DHD.FleetDashboard = (function () {
                     va = severityRank(a.classification.severity);
                     vb = severityRank(b.classification.severity);
                     break;
+                case "change":
+                    // Devices without enough history sort last either way
+                    va = derived(a).change;
+                    vb = derived(b).change;
+                    if (va === null || vb === null) {
+                        return (va === null) - (vb === null);
+                    }
+                    break;
                 case "power":
                 case "gps":
                 case "cellular":
                 case "installation":
                 case "hardware":
-                    var aCat = computeCategoryScores(a.classification);
-                    var bCat = computeCategoryScores(b.classification);
-                    va = aCat[col].score;
-                    vb = bCat[col].score;
+                    va = derived(a).categoryScores[col].score;
+                    vb = derived(b).categoryScores[col].score;
                     break;
                 default:
                     va = 0; vb = 0;
@@ -517,15 +1227,131 @@ DHD.FleetDashboard = (function () {
             });
         }
 
+        // Filter chips (the bar is re-rendered, so listen on the container)
+        var filterBar = document.getElementById("dhdFilterBar");
+        if (filterBar) {
+            filterBar.addEventListener("change", function (e) {
+                var facet = e.target.getAttribute("data-facet");
+                if (facet) {
+                    addFilter(facet, e.target.value);
+                } else if (e.target.id === "dhdOfflineHours") {
+                    var hours = parseFloat(e.target.value);
+                    _filters.offlineHours = isNaN(hours) || hours < 0 ? null : hours;
+                    applyFilters();
+                }
+            });
+            filterBar.addEventListener("click", onFilterClick);
+        }
+
+        var crumb = document.getElementById("dhdFilterCrumb");
+        if (crumb) {
+            crumb.addEventListener("click", function (e) {
+                e.preventDefault();
+                onFilterClick(e);
+            });
+        }
+
+        // Click-through from the summary panels into the filters
+        var kpiRow = document.getElementById("dhdKpiRow");
+        if (kpiRow) {
+            kpiRow.addEventListener("click", function (e) {
+                var card = e.target.closest("[data-kpi-filter]");
+                if (!card) { return; }
+                var levels = card.getAttribute("data-kpi-filter");
+                if (levels) {
+                    setFilter("severity", levels.split(","));
+                } else {
+                    clearFilters();
+                }
+            });
+        }
+
+        var donut = document.getElementById("dhdDonutChart");
+        if (donut) {
+            donut.addEventListener("click", function (e) {
+                var key = donutSegmentAt(donut, e);
+                if (key) { toggleFilter("severity", key); }
+            });
+            donut.addEventListener("mousemove", function (e) {
+                donut.style.cursor = donutSegmentAt(donut, e) ? "pointer" : "";
+            });
+        }
+
+        var legend = document.getElementById("dhdDonutLegend");
+        if (legend) {
+            legend.addEventListener("click", function (e) {
+                var entry = e.target.closest("[data-severity]");
+                if (entry) { toggleFilter("severity", entry.getAttribute("data-severity")); }
+            });
+        }
+
+        var topIssues = document.getElementById("dhdTopIssues");
+        if (topIssues) {
+            topIssues.addEventListener("click", function (e) {
+                var row = e.target.closest("[data-issue]");
+                if (row) { toggleFilter("issue", row.getAttribute("data-issue")); }
+            });
+        }
+
+        // Group tree: expand/collapse, filter to a group, open a device
+        var groupTree = document.getElementById("dhdGroupTree");
+        if (groupTree) {
+            groupTree.addEventListener("click", function (e) {
+                var filterLink = e.target.closest("[data-filter-group]");
+                if (filterLink) {
+                    e.preventDefault();
+                    setFilter("group", [filterLink.getAttribute("data-filter-group")]);
+                    return;
+                }
+                var deviceRow = e.target.closest("[data-device-id]");
+                if (deviceRow) {
+                    if (_onDeviceClick) { _onDeviceClick(deviceRow.getAttribute("data-device-id")); }
+                    return;
+                }
+                var groupRow = e.target.closest("[data-group-id]");
+                if (groupRow) {
+                    var id = groupRow.getAttribute("data-group-id");
+                    _expandedGroups[id] = !_expandedGroups[id];
+                    renderGroupTree();
+                }
+            });
+        }
+
+        var groupSort = document.getElementById("dhdGroupSort");
+        if (groupSort) {
+            groupSort.addEventListener("change", function () {
+                _groupSort = groupSort.value;
+                renderGroupTree();
+            });
+        }
+
+        // Fleet trend span
+        var trendDays = document.getElementById("dhdTrendDays");
+        if (trendDays) {
+            trendDays.addEventListener("change", function () {
+                _trendDays = parseInt(trendDays.value, 10) || 90;
+                renderFleetTrend();
+            });
+        }
+
         // Search
         var searchInput = document.getElementById("dhdSearch");
         if (searchInput) {
             searchInput.addEventListener("input", function () {
-                _searchText = searchInput.value;
-                renderTable();
+                clearTimeout(_searchTimer);
+                _searchTimer = setTimeout(function () {
+                    _searchText = searchInput.value;
+                    renderTable(true);
+                }, SEARCH_DEBOUNCE_MS);
             });
         }
 
+        // Virtual scrolling
+        var tableWrap = document.getElementById("dhdTableWrap");
+        if (tableWrap) {
+            tableWrap.addEventListener("scroll", onTableScroll);
+        }
+
         // Column sort
         var headers = document.querySelectorAll("#dhdFleetView [data-sort]");
         headers.forEach(function (header) {
@@ -538,7 +1364,7 @@ DHD.FleetDashboard = (function () {
                     _sortAsc = true;
                 }
                 updateSortIndicators();
-                renderTable();
+                renderTable(true);
             });
         });
 
@@ -570,21 +1396,22 @@ DHD.FleetDashboard = (function () {
     // ── CSV Export ───────────────────────────────────────────────────
 
     function exportCSV() {
-        var filtered = getFilteredData();
-        filtered = sortData(filtered);
+        var filtered = sortData(getFilteredData().slice());
 
-        var headers = ["Device Name", "Health Score", "Status", "Power", "GPS", "Cellular", "Installation", "Hardware"];
+        var headers = ["Device Name", "Health Score", "Status", "7d Change", "Power", "GPS", "Cellular", "Installation", "Hardware"];
         var rows = [headers.join(",")];
 
         filtered.forEach(function (item) {
             var cls = item.classification;
-            var catScores = computeCategoryScores(cls);
+            var catScores = derived(item).categoryScores;
             var level = getHealthLevel(cls.severity);
+            var delta = derived(item).change;
 
             var row = [
                 '"' + (item.device.name || "").replace(/"/g, '""') + '"',
                 cls.healthScore,
                 '"' + level.label + '"',
+                delta === null ? "" : delta,
                 catScores.power.score + " (" + catScores.power.count + ")",
                 catScores.gps.score + " (" + catScores.gps.count + ")",
                 catScores.cellular.score + " (" + catScores.cellular.count + ")",
@@ -620,6 +1447,7 @@ DHD.FleetDashboard = (function () {
     }
 
     return {
-        render: render
+        render: render,
+        computeFleetMetrics: computeFleetMetrics
     };
 })();
@@ -0,0 +1,529 @@
+/**
+ * fleetMap.js — Fleet map of last known device positions by health level.
+ * Draws on a canvas with a plain equirectangular projection (longitude
+ * scaled by the cosine of the fleet's mean latitude), so it needs no tile
+ * server. Nearby devices are clustered into pies of their health levels;
+ * users can pan, zoom, click a device to drill down, and load their own
+ * GeoJSON boundaries (regions, depots) to draw underneath.
+ *
+ * Boundaries are kept in localStorage; a file too large for it is kept
+ * for the session only.
+ */
+var DHD = DHD || {};
+
+DHD.FleetMap = (function () {
+    "use strict";
+
+    var CANVAS_ID = "dhdFleetMap";
+    var STORAGE_KEY = "dhd.mapBoundaries.v1";
+    var HEIGHT = 360;
+    var FIT_PADDING = 24;
+
+    // Devices closer than this on screen are drawn as one cluster
+    var CLUSTER_PX = 36;
+    var POINT_RADIUS = 5;
+
+    // Zoom limits relative to the fitted view, and the step per wheel notch
+    var MIN_ZOOM = 0.5;
+    var MAX_ZOOM = 4000;
+    var ZOOM_STEP = 1.25;
+    // Mouse movement below this between down and up is a click, not a pan
+    var CLICK_PX = 4;
+
+    // Graticule spacings in degrees; the smallest at least this far apart is used
+    var GRID_STEPS = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 30];
+    var GRID_MIN_PX = 80;
+
+    var _points = [];       // { id, name, latitude, longitude, score, label, color, rank }
+    var _onDeviceClick = null;
+    var _view = null;       // { cx, cy, scale } in projected units, null until fitted
+    var _fitScale = 1;
+    var _refLat = 0;        // latitude the projection is scaled for
+    var _hits = [];         // drawn points and clusters, for hit-testing
+    var _boundaries = null; // GeoJSON geometry rings: [[ [lon, lat], … ], …]
+    var _bound = false;
+
+    /**
+     * Draw the fleet map.
+     * @param {Object[]} points - devices with a position:
+     *   { id, name, latitude, longitude, score, label, color, rank }
+     *   where rank orders health levels, 0 = worst
+     * @param {Function} onDeviceClick - called with a device id
+     */
+    function render(points, onDeviceClick) {
+        var hadPoints = _points.length > 0;
+        _points = points;
+        _onDeviceClick = onDeviceClick;
+        if (_boundaries === null) { _boundaries = loadBoundaries(); }
+
+        // Keep the user's view across refreshes and filter changes
+        if (!_view || !hadPoints) { fit(); }
+        bindControls();
+        draw();
+    }
+
+    /** Fit the view to the devices (or the boundaries when there are none). */
+    function resetView() {
+        fit();
+        draw();
+    }
+
+    // ── Projection ─────────────────────────────────────────────────────
+
+    function project(lon, lat) {
+        return { x: lon * Math.cos(_refLat * Math.PI / 180), y: -lat };
+    }
+
+    function toScreen(size, p) {
+        return {
+            x: size.w / 2 + (p.x - _view.cx) * _view.scale,
+            y: size.h / 2 + (p.y - _view.cy) * _view.scale
+        };
+    }
+
+    function fromScreen(size, x, y) {
+        return {
+            x: _view.cx + (x - size.w / 2) / _view.scale,
+            y: _view.cy + (y - size.h / 2) / _view.scale
+        };
+    }
+
+    function fit() {
+        var size = canvasSize();
+        var coords = _points.map(function (p) { return [p.longitude, p.latitude]; });
+        if (coords.length === 0) {
+            (_boundaries || []).forEach(function (ring) { coords = coords.concat(ring); });
+        }
+        if (coords.length === 0) {
+            _refLat = 0;
+            _fitScale = size.w / 360;
+            _view = { cx: 0, cy: 0, scale: _fitScale };
+            return;
+        }
+
+        _refLat = coords.reduce(function (sum, c) { return sum + c[1]; }, 0) / coords.length;
+        var b = bounds(coords.map(function (c) { return project(c[0], c[1]); }));
+
+        // A single spot (or a single depot) gets about a degree around it
+        var spanX = Math.max(b.maxX - b.minX, 0.5);
+        var spanY = Math.max(b.maxY - b.minY, 0.5);
+        _fitScale = Math.min((size.w - 2 * FIT_PADDING) / spanX, (size.h - 2 * FIT_PADDING) / spanY);
+        _view = { cx: (b.minX + b.maxX) / 2, cy: (b.minY + b.maxY) / 2, scale: _fitScale };
+    }
+
+    // Bounding box of projected points; a loop, since spreading a large
+    // fleet into Math.min arguments can overflow the stack
+    function bounds(projected) {
+        var b = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        projected.forEach(function (p) {
+            b.minX = Math.min(b.minX, p.x);
+            b.maxX = Math.max(b.maxX, p.x);
+            b.minY = Math.min(b.minY, p.y);
+            b.maxY = Math.max(b.maxY, p.y);
+        });
+        return b;
+    }
+
+    // Zoom by a factor, keeping the map point under (x, y) where it is
+    function zoomAt(size, x, y, factor) {
+        var scale = Math.min(Math.max(_view.scale * factor, _fitScale * MIN_ZOOM), _fitScale * MAX_ZOOM);
+        var anchor = fromScreen(size, x, y);
+        _view.scale = scale;
+        _view.cx = anchor.x - (x - size.w / 2) / scale;
+        _view.cy = anchor.y - (y - size.h / 2) / scale;
+    }
+
+    // ── Clustering ─────────────────────────────────────────────────────
+
+    /**
+     * Group points that fall in the same screen grid cell.
+     * @returns {Object[]} { x, y, points[] } in screen pixels
+     */
+    function cluster(size) {
+        var cells = {};
+        var order = [];
+        _points.forEach(function (p) {
+            var s = toScreen(size, project(p.longitude, p.latitude));
+            if (s.x < -CLUSTER_PX || s.x > size.w + CLUSTER_PX || s.y < -CLUSTER_PX || s.y > size.h + CLUSTER_PX) {
+                return;
+            }
+            var key = Math.floor(s.x / CLUSTER_PX) + ":" + Math.floor(s.y / CLUSTER_PX);
+            if (!cells[key]) {
+                cells[key] = { x: 0, y: 0, points: [] };
+                order.push(key);
+            }
+            cells[key].x += s.x;
+            cells[key].y += s.y;
+            cells[key].points.push(p);
+        });
+        return order.map(function (key) {
+            var c = cells[key];
+            return { x: c.x / c.points.length, y: c.y / c.points.length, points: c.points };
+        });
+    }
+
+    // ── Drawing ────────────────────────────────────────────────────────
+
+    function canvasSize() {
+        var canvas = document.getElementById(CANVAS_ID);
+        var rect = canvas && canvas.parentElement ? canvas.parentElement.getBoundingClientRect() : null;
+        return { w: rect && rect.width || 400, h: HEIGHT };
+    }
+
+    function draw() {
+        var canvas = document.getElementById(CANVAS_ID);
+        if (!canvas || !canvas.getContext || !_view) { return; }
+
+        var size = canvasSize();
+        var ctx = canvas.getContext("2d");
+        var dpr = window.devicePixelRatio || 1;
+        canvas.width = size.w * dpr;
+        canvas.height = size.h * dpr;
+        canvas.style.width = size.w + "px";
+        canvas.style.height = size.h + "px";
+        ctx.scale(dpr, dpr);
+
+        ctx.fillStyle = "#f5f7fa";
+        ctx.fillRect(0, 0, size.w, size.h);
+        drawGraticule(ctx, size);
+        drawBoundaries(ctx, size);
+
+        _hits = [];
+        var clusters = cluster(size);
+        // Worst health on top
+        clusters.sort(function (a, b) { return worstRank(b.points) - worstRank(a.points); });
+        clusters.forEach(function (c) {
+            if (c.points.length === 1) {
+                drawPoint(ctx, c.x, c.y, c.points[0]);
+                _hits.push({ x: c.x, y: c.y, r: POINT_RADIUS + 2, points: c.points });
+            } else {
+                var r = clusterRadius(c.points.length);
+                drawCluster(ctx, c.x, c.y, r, c.points);
+                _hits.push({ x: c.x, y: c.y, r: r, points: c.points });
+            }
+        });
+
+        if (_points.length === 0) {
+            ctx.fillStyle = "#9e9e9e";
+            ctx.font = "13px sans-serif";
+            ctx.textAlign = "center";
+            ctx.fillText("No device positions to show", size.w / 2, size.h / 2);
+        }
+    }
+
+    function drawGraticule(ctx, size) {
+        var degPx = _view.scale;
+        var step = GRID_STEPS.filter(function (s) { return s * degPx >= GRID_MIN_PX; })[0] || GRID_STEPS[GRID_STEPS.length - 1];
+        var topLeft = fromScreen(size, 0, 0);
+        var bottomRight = fromScreen(size, size.w, size.h);
+        var cosRef = Math.cos(_refLat * Math.PI / 180);
+        var decimals = step < 0.1 ? 2 : step < 1 ? 1 : 0;
+
+        ctx.strokeStyle = "#e0e4ea";
+        ctx.lineWidth = 1;
+        ctx.fillStyle = "#9e9e9e";
+        ctx.font = "10px sans-serif";
+
+        ctx.textAlign = "left";
+        for (var lat = Math.ceil(-bottomRight.y / step) * step; lat <= -topLeft.y; lat += step) {
+            var y = toScreen(size, project(0, lat)).y;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(size.w, y);
+            ctx.stroke();
+            ctx.fillText(lat.toFixed(decimals) + "\u00b0", 4, y - 3);
+        }
+
+        ctx.textAlign = "center";
+        for (var lon = Math.ceil(topLeft.x / cosRef / step) * step; lon <= bottomRight.x / cosRef; lon += step) {
+            var x = toScreen(size, project(lon, 0)).x;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, size.h);
+            ctx.stroke();
+            ctx.fillText(lon.toFixed(decimals) + "\u00b0", x, size.h - 4);
+        }
+    }
+
+    function drawBoundaries(ctx, size) {
+        if (!_boundaries || _boundaries.length === 0) { return; }
+        ctx.strokeStyle = "#90a4ae";
+        ctx.lineWidth = 1;
+        _boundaries.forEach(function (ring) {
+            ctx.beginPath();
+            ring.forEach(function (c, i) {
+                var s = toScreen(size, project(c[0], c[1]));
+                if (i === 0) { ctx.moveTo(s.x, s.y); } else { ctx.lineTo(s.x, s.y); }
+            });
+            ctx.stroke();
+        });
+    }
+
+    function drawPoint(ctx, x, y, p) {
+        ctx.beginPath();
+        ctx.arc(x, y, POINT_RADIUS, 0, 2 * Math.PI);
+        ctx.fillStyle = p.color;
+        ctx.fill();
+        ctx.strokeStyle = "#fff";
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    // A donut of health levels with the device count in the middle
+    function drawCluster(ctx, x, y, r, points) {
+        var levels = levelCounts(points);
+        var start = -Math.PI / 2;
+        levels.forEach(function (level) {
+            var end = start + (level.count / points.length) * 2 * Math.PI;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.arc(x, y, r, start, end);
+            ctx.closePath();
+            ctx.fillStyle = level.color;
+            ctx.fill();
+            start = end;
+        });
+
+        ctx.beginPath();
+        ctx.arc(x, y, r * 0.6, 0, 2 * Math.PI);
+        ctx.fillStyle = "#fff";
+        ctx.fill();
+
+        ctx.fillStyle = "#212121";
+        ctx.font = "bold 11px sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(String(points.length), x, y);
+        ctx.textBaseline = "alphabetic";
+    }
+
+    function clusterRadius(count) {
+        return Math.min(26, 10 + 3 * Math.log(count) / Math.LN2);
+    }
+
+    // Devices per health level, worst first
+    function levelCounts(points) {
+        var byLabel = {};
+        var levels = [];
+        points.forEach(function (p) {
+            if (!byLabel[p.label]) {
+                byLabel[p.label] = { label: p.label, color: p.color, rank: p.rank, count: 0 };
+                levels.push(byLabel[p.label]);
+            }
+            byLabel[p.label].count++;
+        });
+        return levels.sort(function (a, b) { return a.rank - b.rank; });
+    }
+
+    function worstRank(points) {
+        return points.reduce(function (min, p) { return Math.min(min, p.rank); }, Infinity);
+    }
+
+    function describe(points) {
+        if (points.length === 1) {
+            return points[0].name + " \u2014 " + points[0].score + " (" + points[0].label + ")";
+        }
+        return points.length + " devices: " + levelCounts(points).map(function (l) {
+            return l.count + " " + l.label.toLowerCase();
+        }).join(", ");
+    }
+
+    function hitAt(x, y) {
+        for (var i = _hits.length - 1; i >= 0; i--) {
+            var h = _hits[i];
+            var dx = x - h.x;
+            var dy = y - h.y;
+            if (dx * dx + dy * dy <= h.r * h.r) { return h; }
+        }
+        return null;
+    }
+
+    // Zoom to fit a cluster; at full zoom the devices share a spot, so
+    // open the worst of them instead
+    function openCluster(size, points) {
+        if (_view.scale >= _fitScale * MAX_ZOOM) {
+            var worst = points.slice().sort(function (a, b) { return a.rank - b.rank || a.score - b.score; })[0];
+            if (_onDeviceClick) { _onDeviceClick(worst.id); }
+            return;
+        }
+        var b = bounds(points.map(function (p) { return project(p.longitude, p.latitude); }));
+        var span = Math.max(b.maxX - b.minX, b.maxY - b.minY);
+        var scale = span > 0 ? Math.min(size.w, size.h) / 2 / span : _view.scale * 4;
+        _view.cx = (b.minX + b.maxX) / 2;
+        _view.cy = (b.minY + b.maxY) / 2;
+        _view.scale = Math.min(Math.max(scale, _view.scale * 2), _fitScale * MAX_ZOOM);
+        draw();
+    }
+
+    // ── Interaction ────────────────────────────────────────────────────
+
+    function bindControls() {
+        if (_bound) { return; }
+        var canvas = document.getElementById(CANVAS_ID);
+        if (!canvas) { return; }
+        _bound = true;
+
+        var drag = null;
+
+        canvas.addEventListener("wheel", function (e) {
+            if (!_view) { return; }
+            e.preventDefault();
+            zoomAt(canvasSize(), e.offsetX, e.offsetY, e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+            draw();
+        });
+
+        canvas.addEventListener("dblclick", function (e) {
+            if (!_view) { return; }
+            zoomAt(canvasSize(), e.offsetX, e.offsetY, ZOOM_STEP * ZOOM_STEP);
+            draw();
+        });
+
+        canvas.addEventListener("mousedown", function (e) {
+            if (!_view) { return; }
+            e.preventDefault();
+            drag = { x0: e.offsetX, y0: e.offsetY, cx: _view.cx, cy: _view.cy, moved: false };
+        });
+
+        canvas.addEventListener("mousemove", function (e) {
+            if (drag) {
+                var dx = e.offsetX - drag.x0;
+                var dy = e.offsetY - drag.y0;
+                if (Math.abs(dx) + Math.abs(dy) >= CLICK_PX) { drag.moved = true; }
+                if (drag.moved) {
+                    _view.cx = drag.cx - dx / _view.scale;
+                    _view.cy = drag.cy - dy / _view.scale;
+                    draw();
+                }
+                return;
+            }
+            var hit = hitAt(e.offsetX, e.offsetY);
+            canvas.style.cursor = hit ? "pointer" : "grab";
+            canvas.title = hit ? describe(hit.points) : "";
+        });
+
+        canvas.addEventListener("mouseup", function (e) {
+            var d = drag;
+            drag = null;
+            if (!d || d.moved) { return; }
+            var hit = hitAt(e.offsetX, e.offsetY);
+            if (!hit) { return; }
+            if (hit.points.length === 1) {
+                if (_onDeviceClick) { _onDeviceClick(hit.points[0].id); }
+            } else {
+                openCluster(canvasSize(), hit.points);
+            }
+        });
+
+        canvas.addEventListener("mouseleave", function () { drag = null; });
+
+        var resetBtn = document.getElementById("dhdMapReset");
+        if (resetBtn) { resetBtn.addEventListener("click", resetView); }
+
+        var fileInput = document.getElementById("dhdMapBoundaries");
+        if (fileInput) {
+            fileInput.addEventListener("change", function () {
+                var file = fileInput.files && fileInput.files[0];
+                if (file) { readBoundaryFile(file); }
+                fileInput.value = "";
+            });
+        }
+
+        var clearBtn = document.getElementById("dhdMapClearBoundaries");
+        if (clearBtn) {
+            clearBtn.addEventListener("click", function () {
+                setBoundaries(null);
+            });
+        }
+    }
+
+    // ── Boundaries ─────────────────────────────────────────────────────
+
+    function readBoundaryFile(file) {
+        var reader = new FileReader();
+        reader.onload = function () {
+            try {
+                setBoundaries(JSON.parse(reader.result));
+                showStatus("");
+            } catch (e) {
+                showStatus("Could not read boundaries: " + (e.message || e));
+            }
+        };
+        reader.onerror = function () {
+            showStatus("Could not read boundaries file.");
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Draw GeoJSON boundaries under the devices, replacing any before.
+     * Accepts a FeatureCollection, Feature or bare geometry; polygons and
+     * lines are drawn as outlines, points are ignored.
+     * @param {Object|null} geojson - null clears the boundaries
+     * @throws {Error} when the GeoJSON has no polygons or lines
+     */
+    function setBoundaries(geojson) {
+        var rings = geojson ? geometryRings(geojson) : [];
+        if (geojson && rings.length === 0) {
+            throw new Error("no polygons or lines found");
+        }
+        _boundaries = rings;
+        saveBoundaries(rings);
+        if (_points.length === 0) { fit(); }
+        draw();
+    }
+
+    function geometryRings(obj) {
+        if (!obj || typeof obj !== "object") { return []; }
+        switch (obj.type) {
+            case "FeatureCollection":
+                return (obj.features || []).reduce(function (all, f) { return all.concat(geometryRings(f)); }, []);
+            case "Feature":
+                return geometryRings(obj.geometry);
+            case "GeometryCollection":
+                return (obj.geometries || []).reduce(function (all, g) { return all.concat(geometryRings(g)); }, []);
+            case "LineString":
+                return [obj.coordinates];
+            case "MultiLineString":
+            case "Polygon":
+                return obj.coordinates;
+            case "MultiPolygon":
+                return obj.coordinates.reduce(function (all, polygon) { return all.concat(polygon); }, []);
+            default:
+                return [];
+        }
+    }
+
+    function loadBoundaries() {
+        try {
+            var raw = window.localStorage.getItem(STORAGE_KEY);
+            var parsed = raw ? JSON.parse(raw) : null;
+            if (Array.isArray(parsed)) { return parsed; }
+        } catch (e) {
+            // Storage blocked or corrupt — draw without boundaries
+        }
+        return [];
+    }
+
+    function saveBoundaries(rings) {
+        try {
+            if (rings.length === 0) {
+                window.localStorage.removeItem(STORAGE_KEY);
+            } else {
+                window.localStorage.setItem(STORAGE_KEY, JSON.stringify(rings));
+            }
+        } catch (e) {
+            console.warn("DHD: could not save map boundaries, keeping them for this session only:", e);
+        }
+    }
+
+    function showStatus(text) {
+        var el = document.getElementById("dhdMapStatus");
+        if (el) { el.textContent = text; }
+    }
+
+    return {
+        render: render,
+        resetView: resetView,
+        setBoundaries: setBoundaries
+    };
+})();
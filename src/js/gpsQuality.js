@@ -0,0 +1,213 @@
+/**
+ * gpsQuality.js — GPS quality checks over a device's LogRecord trail.
+ * Finds impossible jumps between fixes, positions that stay frozen while
+ * the device reports movement, and zero-speed clusters whose positions
+ * wander — antenna and fix problems that don't raise a GPS diagnostic.
+ */
+var DHD = DHD || {};
+
+DHD.GpsQuality = (function () {
+    "use strict";
+
+    var EARTH_RADIUS_KM = 6371;
+
+    // Implied speed between consecutive fixes above this is a jump
+    var MAX_SPEED_KMH = 300;
+    // Ignore tiny hops where timestamp rounding inflates the implied speed
+    var MIN_JUMP_KM = 1;
+
+    // Identical positions (to ~1m) across this many records, enough of
+    // them moving; one stray reading in a parked run is speed noise
+    var FROZEN_MIN_POINTS = 10;
+    var FROZEN_EPSILON = 0.00001;
+    var FROZEN_MIN_MOVING_SHARE = 0.3;
+
+    // Reported speeds below this are noise from a stationary receiver
+    var MOVING_MIN_KMH = 5;
+
+    // A stopped vehicle whose fixes spread further than this is drifting
+    var ZERO_CLUSTER_MIN_POINTS = 8;
+    var ZERO_CLUSTER_SPREAD_KM = 0.2;
+
+    var MAX_EVIDENCE = 6;
+
+    /**
+     * Run every check over a LogRecord trail.
+     * @param {Object[]} logRecords
+     * @returns {Object[]} findings:
+     *   { type: "jump"|"frozen"|"zeroSpeedCluster", confidence, count, summary, points[] }
+     *   where points are { record, note } for the LogRecords that show the problem
+     */
+    function analyze(logRecords) {
+        var fixes = (logRecords || []).filter(function (rec) {
+            return rec.latitude != null && rec.longitude != null &&
+                !(rec.latitude === 0 && rec.longitude === 0);
+        }).sort(function (a, b) {
+            return new Date(a.dateTime) - new Date(b.dateTime);
+        });
+        if (fixes.length < 2) { return []; }
+
+        return [findJumps(fixes), findFrozen(fixes), findZeroSpeedClusters(fixes)].filter(Boolean);
+    }
+
+    // ── Jumps ──────────────────────────────────────────────────────────
+
+    function findJumps(fixes) {
+        var jumps = [];
+        for (var i = 1; i < fixes.length; i++) {
+            var km = distanceKm(fixes[i - 1], fixes[i]);
+            var hours = (new Date(fixes[i].dateTime) - new Date(fixes[i - 1].dateTime)) / 3600000;
+            if (km < MIN_JUMP_KM) { continue; }
+            var kmh = hours > 0 ? km / hours : Infinity;
+            if (kmh > MAX_SPEED_KMH) {
+                jumps.push({ from: fixes[i - 1], to: fixes[i], km: km, kmh: kmh });
+            }
+        }
+        if (jumps.length === 0) { return null; }
+
+        var worst = jumps.reduce(function (a, b) { return b.km > a.km ? b : a; });
+        var points = [];
+        jumps.slice(0, MAX_EVIDENCE / 2).forEach(function (j) {
+            points.push(annotate(j.from, null));
+            points.push(annotate(j.to, formatSpeed(j.kmh) + " implied over " + j.km.toFixed(1) + " km"));
+        });
+
+        return {
+            type: "jump",
+            confidence: Math.min(90, 50 + jumps.length * 10),
+            count: jumps.length,
+            summary: jumps.length + " position jump" + (jumps.length === 1 ? "" : "s") +
+                " with implied speeds above " + MAX_SPEED_KMH + " km/h (largest " + worst.km.toFixed(1) + " km).",
+            points: points
+        };
+    }
+
+    // ── Frozen positions ───────────────────────────────────────────────
+
+    function findFrozen(fixes) {
+        var runs = [];
+        var start = 0;
+        for (var i = 1; i <= fixes.length; i++) {
+            if (i < fixes.length && samePosition(fixes[i], fixes[start])) { continue; }
+            if (i - start >= FROZEN_MIN_POINTS) {
+                runs.push(fixes.slice(start, i));
+            }
+            start = i;
+        }
+
+        // A parked device logs the same spot too; frozen while moving is
+        // the only tell, so a run needs a real share of moving records
+        var moving = runs.map(function (run) {
+            return { records: run, movingCount: run.filter(isMoving).length };
+        }).filter(function (run) {
+            return run.movingCount / run.records.length >= FROZEN_MIN_MOVING_SHARE;
+        });
+        if (moving.length === 0) { return null; }
+
+        var best = moving.reduce(function (a, b) { return b.records.length > a.records.length ? b : a; });
+        var longest = best.records;
+        var share = best.movingCount / longest.length;
+        var hours = (new Date(longest[longest.length - 1].dateTime) - new Date(longest[0].dateTime)) / 3600000;
+
+        return {
+            type: "frozen",
+            confidence: Math.min(90, 50 + Math.round(share * 40)),
+            count: moving.length,
+            summary: "Position stayed at " + formatPosition(longest[0]) + " for " + longest.length +
+                " records over " + hours.toFixed(1) + " h while " + best.movingCount +
+                " of them reported movement.",
+            points: [longest[0]].concat(longest.filter(isMoving).slice(0, 3),
+                [longest[longest.length - 1]]).map(function (rec, i) {
+                    return annotate(rec, i === 0 ? "frozen from" : (isMoving(rec) ? formatSpeed(rec.speed) + " reported" : "frozen until"));
+                })
+        };
+    }
+
+    // ── Zero-speed clusters ────────────────────────────────────────────
+
+    function findZeroSpeedClusters(fixes) {
+        var clusters = [];
+        var run = [];
+        fixes.concat([null]).forEach(function (rec) {
+            if (rec && isStopped(rec)) {
+                run.push(rec);
+                return;
+            }
+            if (run.length >= ZERO_CLUSTER_MIN_POINTS) {
+                var spread = clusterSpreadKm(run);
+                if (spread > ZERO_CLUSTER_SPREAD_KM) {
+                    clusters.push({ points: run, spread: spread });
+                }
+            }
+            run = [];
+        });
+        if (clusters.length === 0) { return null; }
+
+        var worst = clusters.reduce(function (a, b) { return b.spread > a.spread ? b : a; });
+        return {
+            type: "zeroSpeedCluster",
+            confidence: Math.min(80, 50 + clusters.length * 10),
+            count: clusters.length,
+            summary: clusters.length + " stop" + (clusters.length === 1 ? "" : "s") +
+                " where zero-speed fixes wandered up to " + Math.round(worst.spread * 1000) + " m.",
+            points: worst.points.slice(0, MAX_EVIDENCE).map(function (rec) {
+                return annotate(rec, "0 km/h");
+            })
+        };
+    }
+
+    // Greatest distance of any point from the cluster centroid
+    function clusterSpreadKm(points) {
+        var lat = 0, lon = 0;
+        points.forEach(function (p) { lat += p.latitude; lon += p.longitude; });
+        var center = { latitude: lat / points.length, longitude: lon / points.length };
+        return points.reduce(function (max, p) {
+            return Math.max(max, distanceKm(center, p));
+        }, 0);
+    }
+
+    // ── Utilities ──────────────────────────────────────────────────────
+
+    function distanceKm(a, b) {
+        var toRad = Math.PI / 180;
+        var dLat = (b.latitude - a.latitude) * toRad;
+        var dLon = (b.longitude - a.longitude) * toRad;
+        var h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(a.latitude * toRad) * Math.cos(b.latitude * toRad) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    // A record without a speed is neither: it says nothing about movement.
+    // Neither is a crawl below MOVING_MIN_KMH.
+    function isMoving(rec) {
+        return typeof rec.speed === "number" && rec.speed >= MOVING_MIN_KMH;
+    }
+
+    function isStopped(rec) {
+        return typeof rec.speed === "number" && rec.speed <= 0;
+    }
+
+    function samePosition(a, b) {
+        return Math.abs(a.latitude - b.latitude) < FROZEN_EPSILON &&
+            Math.abs(a.longitude - b.longitude) < FROZEN_EPSILON;
+    }
+
+    function annotate(rec, note) {
+        return { record: rec, note: note };
+    }
+
+    function formatPosition(rec) {
+        return rec.latitude.toFixed(5) + ", " + rec.longitude.toFixed(5);
+    }
+
+    function formatSpeed(kmh) {
+        return isFinite(kmh) ? Math.round(kmh) + " km/h" : "instant";
+    }
+
+    return {
+        analyze: analyze,
+        distanceKm: distanceKm,
+        formatPosition: formatPosition
+    };
+})();
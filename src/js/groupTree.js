@@ -0,0 +1,118 @@
+/**
+ * groupTree.js — Health rollup over the group hierarchy.
+ * Builds a tree from DeviceCache's group children/parent links and rolls
+ * each device up into its groups and all of their ancestors, so every
+ * node carries the health of its whole branch. A device in two groups of
+ * the same branch counts once there.
+ */
+var DHD = DHD || {};
+
+DHD.GroupTree = (function () {
+    "use strict";
+
+    var C = DHD.Constants;
+
+    // Node for devices with no group at all; the dashboard's group filter
+    // uses the same id
+    var NO_GROUP_ID = "dhd:noGroup";
+    var NO_GROUP_NAME = "No group";
+
+    /**
+     * Build the group tree for a set of classified devices. Groups with no
+     * devices anywhere in their branch are left out.
+     * @param {Object[]} items - { device, statusInfo, classification }
+     * @returns {Object[]} root nodes:
+     *   { id, name, depth, children: node[], devices: item[], deviceCount,
+     *     avgScore, minScore, critical, warning, offline }
+     *   where devices are the node's direct members and the counts cover
+     *   the whole branch
+     */
+    function build(items) {
+        var rollups = {};
+        var direct = {};
+
+        items.forEach(function (item) {
+            var groupIds = unique((item.device.groups || []).map(function (g) { return g.id; }).filter(Boolean));
+            if (groupIds.length === 0) { groupIds = [NO_GROUP_ID]; }
+
+            var branch = [];
+            groupIds.forEach(function (id) {
+                (direct[id] = direct[id] || []).push(item);
+                var ancestors = id === NO_GROUP_ID ? [] : DHD.DeviceCache.getGroupAncestors(id);
+                [id].concat(ancestors).forEach(function (nodeId) {
+                    if (branch.indexOf(nodeId) === -1) { branch.push(nodeId); }
+                });
+            });
+            branch.forEach(function (nodeId) {
+                addToRollup(rollups[nodeId] || (rollups[nodeId] = emptyRollup()), item);
+            });
+        });
+
+        var seen = {};
+        function node(id, depth) {
+            seen[id] = true;
+            var r = rollups[id];
+            var children = id === NO_GROUP_ID ? [] : DHD.DeviceCache.getGroupChildren(id).filter(function (childId) {
+                return rollups[childId] && !seen[childId];
+            });
+            return {
+                id: id,
+                name: id === NO_GROUP_ID ? NO_GROUP_NAME : DHD.DeviceCache.getGroupName(id),
+                depth: depth,
+                children: children.map(function (childId) { return node(childId, depth + 1); }),
+                devices: direct[id] || [],
+                deviceCount: r.count,
+                avgScore: r.count > 0 ? r.total / r.count : 0,
+                minScore: r.min,
+                critical: r.critical,
+                warning: r.warning,
+                offline: r.offline
+            };
+        }
+
+        // Roots are groups without a parent; groups missing from the cache
+        // (e.g. outside the user's scope) have none either
+        return Object.keys(rollups).filter(function (id) {
+            return id === NO_GROUP_ID || DHD.DeviceCache.getGroupAncestors(id).length === 0;
+        }).map(function (id) { return node(id, 0); });
+    }
+
+    /**
+     * Sort every level of a tree in place.
+     * @param {Object[]} nodes - from build
+     * @param {Function} compare - (nodeA, nodeB) → number
+     * @returns {Object[]} nodes
+     */
+    function sort(nodes, compare) {
+        nodes.sort(compare);
+        nodes.forEach(function (n) { sort(n.children, compare); });
+        return nodes;
+    }
+
+    function emptyRollup() {
+        return { count: 0, total: 0, min: 100, critical: 0, warning: 0, offline: 0 };
+    }
+
+    function addToRollup(r, item) {
+        var cls = item.classification;
+        r.count++;
+        r.total += cls.healthScore;
+        r.min = Math.min(r.min, cls.healthScore);
+        if (cls.severity === C.Severity.CRITICAL) { r.critical++; }
+        if (cls.severity === C.Severity.WARNING) { r.warning++; }
+        if (cls.issues.some(function (issue) { return issue.category === C.Category.OFFLINE; })) {
+            r.offline++;
+        }
+    }
+
+    function unique(values) {
+        return values.filter(function (v, i) { return values.indexOf(v) === i; });
+    }
+
+    return {
+        NO_GROUP_ID: NO_GROUP_ID,
+        NO_GROUP_NAME: NO_GROUP_NAME,
+        build: build,
+        sort: sort
+    };
+})();
@@ -8,106 +8,327 @@ DHD.HealthService = (function () {
 
     var C = DHD.Constants;
 
+    var GO_FAULT_SOURCE = { source: { id: "SourceGeotabGoId" } };
+    var FEED_LIMIT = 50000;
+    var MAX_FEED_ROUNDS = 20;
+
+    // Drill-down StatusData and LogRecords are paged by date so analyses
+    // see the whole window; the page caps only guard against a cursor that
+    // stops moving or a series too long to load
+    var STATUS_PAGE_LIMIT = 5000;
+    var MAX_STATUS_PAGES = 20;
+    var LOG_PAGE_LIMIT = 50000;
+    var MAX_LOG_PAGES = 10;
+
+    // Per-peer record cap for the signal coverage comparison
+    var COVERAGE_LIMIT = 10000;
+
+    // GetFeed version tokens, seeded by fetchFleetHealth and advanced by
+    // fetchFleetChanges. A null token means that feed has not been seeded.
+    var _feedVersions = {
+        DeviceStatusInfo: null,
+        FaultData: null,
+        Device: null
+    };
+
     /**
-     * Fetch fleet-level health data (2 API calls via multiCall):
-     *  1. DeviceStatusInfo for every device
-     *  2. FaultData (GoFault source, last 30 days)
+     * Fetch fleet-level health data (4 API calls via multiCall, then more
+     * feed pages where needed):
+     *  1. DeviceStatusInfo for every device (via GetFeed, paged until it
+     *     catches up, which also gives the feed version to resume from)
+     *  2. FaultData (GoFault source, within the analysis window)
+     *  3. FaultData feed seeded at "now" — only the version is kept
+     *  4. Device feed, paged until it catches up — only the version is
+     *     kept; devices come from DeviceCache. Stopping early would leave
+     *     the version behind, and the first sync would report the rest of
+     *     the fleet as changed.
      *
      * @param {Object} api
-     * @returns {Promise<{statusInfos: Object[], faultsByDevice: Object}>}
+     * @param {Object} range - analysis window from DHD.AnalysisWindow.get()
+     * @returns {Promise<{statusInfos: Object[], faultsByDevice: Object, range: Object}>}
      */
-    function fetchFleetHealth(api) {
+    function fetchFleetHealth(api, range) {
         var now = new Date();
-        var thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
 
         return new Promise(function (resolve, reject) {
             api.multiCall([
-                ["Get", {
+                ["GetFeed", {
                     typeName: "DeviceStatusInfo",
-                    resultsLimit: 50000
+                    resultsLimit: FEED_LIMIT
                 }],
                 ["Get", {
                     typeName: "FaultData",
                     search: {
-                        fromDate: thirtyDaysAgo.toISOString(),
-                        toDate: now.toISOString(),
-                        diagnosticSearch: {
-                            source: { id: "SourceGeotabGoId" }
-                        }
+                        fromDate: range.fromDate.toISOString(),
+                        toDate: range.toDate.toISOString(),
+                        diagnosticSearch: GO_FAULT_SOURCE
                     },
                     resultsLimit: 100000
+                }],
+                ["GetFeed", {
+                    typeName: "FaultData",
+                    search: {
+                        fromDate: now.toISOString(),
+                        diagnosticSearch: GO_FAULT_SOURCE
+                    },
+                    resultsLimit: 1
+                }],
+                ["GetFeed", {
+                    typeName: "Device",
+                    resultsLimit: FEED_LIMIT
                 }]
             ], function (results) {
-                var statusInfos = results[0];
+                var statusInfos = [];
                 var faults = results[1];
 
-                // Index faults by device ID for O(1) lookup
-                var faultsByDevice = {};
-                faults.forEach(function (f) {
-                    var devId = f.device ? f.device.id : null;
-                    if (devId) {
-                        if (!faultsByDevice[devId]) {
-                            faultsByDevice[devId] = [];
-                        }
-                        faultsByDevice[devId].push(f);
+                _feedVersions.FaultData = results[2] ? results[2].toVersion || null : null;
+
+                Promise.all([
+                    followFeed(api, "DeviceStatusInfo", results[0] || {}, function (data) {
+                        Array.prototype.push.apply(statusInfos, data);
+                    }),
+                    followFeed(api, "Device", results[3] || {}, null)
+                ]).then(function (versions) {
+                    _feedVersions.DeviceStatusInfo = versions[0];
+                    _feedVersions.Device = versions[1];
+                    resolve({
+                        statusInfos: statusInfos,
+                        faultsByDevice: indexFaultsByDevice(faults),
+                        range: range
+                    });
+                }, reject);
+            }, function (err) {
+                reject(err);
+            });
+        });
+    }
+
+    /**
+     * Keep reading a feed after a full first page until it returns a
+     * short one (or MAX_FEED_ROUNDS pages).
+     * @param {Object} api
+     * @param {string} typeName
+     * @param {Object} firstPage - GetFeed result { data, toVersion }
+     * @param {Function|null} onData - called with each page's records
+     * @returns {Promise<string|null>} the version to resume from
+     */
+    function followFeed(api, typeName, firstPage, onData) {
+        var rounds = 1;
+
+        return new Promise(function (resolve, reject) {
+            function take(feed) {
+                var data = feed.data || [];
+                if (onData) { onData(data); }
+                if (data.length < FEED_LIMIT || !feed.toVersion || rounds >= MAX_FEED_ROUNDS) {
+                    if (data.length >= FEED_LIMIT) {
+                        console.warn("DHD: " + typeName + " feed still had records after " + rounds + " pages.");
                     }
+                    resolve(feed.toVersion || null);
+                    return;
+                }
+                rounds++;
+                api.multiCall([["GetFeed", {
+                    typeName: typeName,
+                    fromVersion: feed.toVersion,
+                    resultsLimit: FEED_LIMIT
+                }]], function (results) {
+                    take(results[0] || {});
+                }, function (err) {
+                    reject(err);
                 });
+            }
+
+            take(firstPage);
+        });
+    }
+
+    // Index faults by device ID for O(1) lookup
+    function indexFaultsByDevice(faults) {
+        var faultsByDevice = {};
+        faults.forEach(function (f) {
+            var devId = f.device ? f.device.id : null;
+            if (devId) {
+                if (!faultsByDevice[devId]) {
+                    faultsByDevice[devId] = [];
+                }
+                faultsByDevice[devId].push(f);
+            }
+        });
+        return faultsByDevice;
+    }
+
+    // ── Incremental refresh (GetFeed) ───────────────────────────────────
 
-                resolve({
-                    statusInfos: statusInfos,
-                    faultsByDevice: faultsByDevice
+    /**
+     * @returns {boolean} true once every feed has a version to resume from
+     */
+    function hasFeedVersions() {
+        return Object.keys(_feedVersions).every(function (typeName) {
+            return _feedVersions[typeName] !== null;
+        });
+    }
+
+    /**
+     * Fetch everything that changed since the last fetchFleetHealth or
+     * fetchFleetChanges call. Each round asks all three feeds in one
+     * multiCall; rounds repeat while any feed returned a full page.
+     *
+     * @param {Object} api
+     * @returns {Promise<{statusInfos: Object[], faults: Object[], devices: Object[]}>}
+     */
+    function fetchFleetChanges(api) {
+        var changes = { statusInfos: [], faults: [], devices: [] };
+        var rounds = 0;
+
+        return new Promise(function (resolve, reject) {
+            function nextRound() {
+                api.multiCall([
+                    ["GetFeed", {
+                        typeName: "DeviceStatusInfo",
+                        fromVersion: _feedVersions.DeviceStatusInfo,
+                        resultsLimit: FEED_LIMIT
+                    }],
+                    ["GetFeed", {
+                        typeName: "FaultData",
+                        fromVersion: _feedVersions.FaultData,
+                        search: { diagnosticSearch: GO_FAULT_SOURCE },
+                        resultsLimit: FEED_LIMIT
+                    }],
+                    ["GetFeed", {
+                        typeName: "Device",
+                        fromVersion: _feedVersions.Device,
+                        resultsLimit: FEED_LIMIT
+                    }]
+                ], function (results) {
+                    rounds++;
+                    var more = false;
+                    var targets = [changes.statusInfos, changes.faults, changes.devices];
+
+                    ["DeviceStatusInfo", "FaultData", "Device"].forEach(function (typeName, i) {
+                        var feed = results[i] || {};
+                        var data = feed.data || [];
+                        Array.prototype.push.apply(targets[i], data);
+                        if (feed.toVersion) {
+                            _feedVersions[typeName] = feed.toVersion;
+                        }
+                        if (data.length >= FEED_LIMIT) {
+                            more = true;
+                        }
+                    });
+
+                    if (more && rounds < MAX_FEED_ROUNDS) {
+                        nextRound();
+                    } else {
+                        resolve(changes);
+                    }
+                }, function (err) {
+                    reject(err);
                 });
-            }, function (err) {
-                reject(err);
+            }
+
+            nextRound();
+        });
+    }
+
+    /**
+     * Merge feed changes into a fleet data object in place. Status infos
+     * replace the previous record for the same device; faults are appended
+     * (skipping ids already present) and anything older than the start of
+     * the (live) analysis window is dropped. The window is slid forward to
+     * end at "now".
+     *
+     * @param {Object} fleetData - result of fetchFleetHealth
+     * @param {Object} changes - result of fetchFleetChanges
+     * @param {Object} range - current analysis window (must be live)
+     * @returns {string[]} ids of devices whose status, faults or device record changed
+     */
+    function mergeFleetChanges(fleetData, changes, range) {
+        var changed = {};
+        var windowStart = range.fromDate.getTime();
+        fleetData.range = range;
+
+        if (changes.statusInfos.length > 0) {
+            var byDevice = {};
+            fleetData.statusInfos.forEach(function (si, i) {
+                if (si.device && si.device.id) {
+                    byDevice[si.device.id] = i;
+                }
+            });
+            changes.statusInfos.forEach(function (si) {
+                var devId = si.device ? si.device.id : null;
+                if (!devId) { return; }
+                if (byDevice.hasOwnProperty(devId)) {
+                    fleetData.statusInfos[byDevice[devId]] = si;
+                } else {
+                    byDevice[devId] = fleetData.statusInfos.length;
+                    fleetData.statusInfos.push(si);
+                }
+                changed[devId] = true;
+            });
+        }
+
+        changes.faults.forEach(function (f) {
+            var devId = f.device ? f.device.id : null;
+            if (!devId) { return; }
+            var list = fleetData.faultsByDevice[devId] || (fleetData.faultsByDevice[devId] = []);
+            var exists = f.id && list.some(function (existing) { return existing.id === f.id; });
+            if (!exists) {
+                list.push(f);
+                changed[devId] = true;
+            }
+        });
+
+        // Age out faults that have slid past the window start
+        Object.keys(fleetData.faultsByDevice).forEach(function (devId) {
+            var list = fleetData.faultsByDevice[devId];
+            var kept = list.filter(function (f) {
+                return !f.dateTime || new Date(f.dateTime).getTime() >= windowStart;
             });
+            if (kept.length !== list.length) {
+                fleetData.faultsByDevice[devId] = kept;
+                changed[devId] = true;
+            }
         });
+
+        changes.devices.forEach(function (d) {
+            if (d && d.id) {
+                changed[d.id] = true;
+            }
+        });
+
+        return Object.keys(changed);
     }
 
     /**
-     * Fetch device drill-down data (18 API calls via multiCall):
-     *  - 16x StatusData (one per diagnostic KnownId, 30-day range)
-     *  - 1x LogRecord (last 500 for GPS staleness)
+     * Fetch device drill-down data (18 API calls via multiCall, then more
+     * pages for any series that filled its first one):
+     *  - 16x StatusData (one per diagnostic KnownId, analysis window)
+     *  - 1x LogRecord (first page of the analysis window)
      *  - 1x FaultData (all faults for device)
      *
      * @param {Object} api
      * @param {string} deviceId
-     * @returns {Promise<{statusData: Object, logRecords: Object[], faults: Object[]}>}
+     * @param {Object} range - analysis window from DHD.AnalysisWindow.get()
+     * @returns {Promise<{statusData: Object, logRecords: Object[], faults: Object[], range: Object, truncated: string[]}>}
+     *   truncated lists the diagnostic ids (and "LogRecord") whose page cap
+     *   ran out before the window end, so their newest data is missing
      */
-    function fetchDeviceDrillDown(api, deviceId) {
-        var now = new Date();
-        var thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    function fetchDeviceDrillDown(api, deviceId, range) {
         var deviceSearch = { id: deviceId };
         var dateSearch = {
-            fromDate: thirtyDaysAgo.toISOString(),
-            toDate: now.toISOString()
+            fromDate: range.fromDate.toISOString(),
+            toDate: range.toDate.toISOString()
         };
 
         var calls = [];
 
-        // 16 StatusData calls — one per diagnostic
+        // 16 StatusData calls — first page per diagnostic
         C.ALL_DIAGNOSTIC_IDS.forEach(function (diagId) {
-            calls.push(["Get", {
-                typeName: "StatusData",
-                search: {
-                    deviceSearch: deviceSearch,
-                    diagnosticSearch: { id: diagId },
-                    fromDate: dateSearch.fromDate,
-                    toDate: dateSearch.toDate
-                },
-                resultsLimit: 5000
-            }]);
+            calls.push(statusDataPage(deviceId, diagId, dateSearch.fromDate, dateSearch.toDate));
         });
 
-        // LogRecord — last 500
-        calls.push(["Get", {
-            typeName: "LogRecord",
-            search: {
-                deviceSearch: deviceSearch,
-                fromDate: dateSearch.fromDate,
-                toDate: dateSearch.toDate
-            },
-            resultsLimit: 500
-        }]);
+        // LogRecord — first page of the window
+        calls.push(logRecordPage(deviceId, dateSearch.fromDate, dateSearch.toDate));
 
         // FaultData — GoFault source so failureMode is populated
         calls.push(["Get", {
@@ -125,21 +346,158 @@ DHD.HealthService = (function () {
 
         return new Promise(function (resolve, reject) {
             api.multiCall(calls, function (results) {
-                // Map diagnostic results by KnownId
-                var statusData = {};
-                C.ALL_DIAGNOSTIC_IDS.forEach(function (diagId, i) {
-                    statusData[diagId] = results[i];
-                });
-
                 var nDiag = C.ALL_DIAGNOSTIC_IDS.length;
-                var logRecords = results[nDiag];
                 var faults = results[nDiag + 1];
 
-                resolve({
-                    statusData: statusData,
-                    logRecords: logRecords,
-                    faults: faults
+                var series = C.ALL_DIAGNOSTIC_IDS.map(function (diagId, i) {
+                    return fetchRemainingPages(api, results[i] || [], STATUS_PAGE_LIMIT, MAX_STATUS_PAGES, function (from) {
+                        return statusDataPage(deviceId, diagId, from, dateSearch.toDate);
+                    });
+                });
+                series.push(fetchRemainingPages(api, results[nDiag] || [], LOG_PAGE_LIMIT, MAX_LOG_PAGES, function (from) {
+                    return logRecordPage(deviceId, from, dateSearch.toDate);
+                }));
+
+                Promise.all(series).then(function (pages) {
+                    // Map diagnostic results by KnownId
+                    var statusData = {};
+                    var truncated = [];
+                    C.ALL_DIAGNOSTIC_IDS.forEach(function (diagId, i) {
+                        statusData[diagId] = pages[i].records;
+                        if (pages[i].truncated) { truncated.push(diagId); }
+                    });
+                    if (pages[nDiag].truncated) { truncated.push("LogRecord"); }
+
+                    resolve({
+                        statusData: statusData,
+                        logRecords: pages[nDiag].records,
+                        faults: faults,
+                        range: range,
+                        truncated: truncated
+                    });
+                }, reject);
+            }, function (err) {
+                reject(err);
+            });
+        });
+    }
+
+    function statusDataPage(deviceId, diagId, fromDate, toDate) {
+        return ["Get", {
+            typeName: "StatusData",
+            search: {
+                deviceSearch: { id: deviceId },
+                diagnosticSearch: { id: diagId },
+                fromDate: fromDate,
+                toDate: toDate
+            },
+            resultsLimit: STATUS_PAGE_LIMIT
+        }];
+    }
+
+    function logRecordPage(deviceId, fromDate, toDate) {
+        return ["Get", {
+            typeName: "LogRecord",
+            search: {
+                deviceSearch: { id: deviceId },
+                fromDate: fromDate,
+                toDate: toDate
+            },
+            resultsLimit: LOG_PAGE_LIMIT
+        }];
+    }
+
+    /**
+     * Keep fetching after a full first page. Each page starts at the last
+     * record's time; records at that instant that were already seen are
+     * skipped.
+     * @param {Object} api
+     * @param {Object[]} firstPage
+     * @param {number} limit - page size
+     * @param {number} maxPages
+     * @param {Function} pageFrom - (fromDate ISO) → call for the next page
+     * @returns {Promise<{records: Object[], truncated: boolean}>} records
+     *   oldest first; truncated when maxPages ran out before a short page
+     */
+    function fetchRemainingPages(api, firstPage, limit, maxPages, pageFrom) {
+        var records = firstPage.slice();
+        var pages = 1;
+
+        return new Promise(function (resolve, reject) {
+            function nextPage(lastPage) {
+                if (lastPage.length < limit || pages >= maxPages) {
+                    resolve({ records: records, truncated: lastPage.length >= limit });
+                    return;
+                }
+                var from = lastPage[lastPage.length - 1].dateTime;
+                var seen = {};
+                lastPage.forEach(function (rec) {
+                    if (rec.dateTime === from && rec.id) { seen[rec.id] = true; }
+                });
+
+                api.multiCall([pageFrom(from)], function (results) {
+                    pages++;
+                    var page = results[0] || [];
+                    Array.prototype.push.apply(records, page.filter(function (rec) {
+                        return !(rec.id && seen[rec.id]);
+                    }));
+                    nextPage(page);
+                }, function (err) {
+                    reject(err);
+                });
+            }
+
+            nextPage(records);
+        });
+    }
+
+    /**
+     * Fetch RSSI StatusData and LogRecords for the devices a drill-down's
+     * signal coverage is compared with (2 API calls per device via multiCall).
+     *
+     * @param {Object} api
+     * @param {string[]} deviceIds
+     * @param {Object} range - analysis window of the drill-down
+     * @returns {Promise<Object>} device id → { rssi: Object[], logRecords: Object[] }
+     */
+    function fetchCoverageSamples(api, deviceIds, range) {
+        if (deviceIds.length === 0) { return Promise.resolve({}); }
+
+        var fromDate = range.fromDate.toISOString();
+        var toDate = range.toDate.toISOString();
+        var calls = [];
+        deviceIds.forEach(function (id) {
+            calls.push(["Get", {
+                typeName: "StatusData",
+                search: {
+                    deviceSearch: { id: id },
+                    diagnosticSearch: { id: C.Diagnostics.CELLULAR_RSSI },
+                    fromDate: fromDate,
+                    toDate: toDate
+                },
+                resultsLimit: COVERAGE_LIMIT
+            }]);
+            calls.push(["Get", {
+                typeName: "LogRecord",
+                search: {
+                    deviceSearch: { id: id },
+                    fromDate: fromDate,
+                    toDate: toDate
+                },
+                resultsLimit: COVERAGE_LIMIT
+            }]);
+        });
+
+        return new Promise(function (resolve, reject) {
+            api.multiCall(calls, function (results) {
+                var samples = {};
+                deviceIds.forEach(function (id, i) {
+                    samples[id] = {
+                        rssi: results[i * 2] || [],
+                        logRecords: results[i * 2 + 1] || []
+                    };
                 });
+                resolve(samples);
             }, function (err) {
                 reject(err);
             });
@@ -148,6 +506,10 @@ DHD.HealthService = (function () {
 
     return {
         fetchFleetHealth: fetchFleetHealth,
-        fetchDeviceDrillDown: fetchDeviceDrillDown
+        fetchFleetChanges: fetchFleetChanges,
+        mergeFleetChanges: mergeFleetChanges,
+        hasFeedVersions: hasFeedVersions,
+        fetchDeviceDrillDown: fetchDeviceDrillDown,
+        fetchCoverageSamples: fetchCoverageSamples
     };
 })();
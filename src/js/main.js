@@ -18,21 +18,30 @@ geotab.addin.device_health_diagnostics = function () {
     var _fleetData = null;      // cached fleet health
     var _classifications = [];  // classified fleet data
     var _statusInfoMap = {};    // deviceId → statusInfo
+    var _classificationIndex = {}; // deviceId → index in _classifications
+    var _drillDeviceId = null;  // device shown in the drill-down, if open
+    var _fleetStale = false;    // analysis window changed while drilled in
 
     // ── View toggling ──────────────────────────────────────────────────
 
+    var VIEW_IDS = ["dhdFleetView", "dhdDrillView", "dhdSettingsView"];
+
+    function showView(activeId) {
+        VIEW_IDS.forEach(function (id) {
+            var el = document.getElementById(id);
+            if (!el) { return; }
+            var active = id === activeId;
+            el.style.display = active ? "block" : "none";
+            el.classList[active ? "add" : "remove"]("dhd-view--active");
+        });
+    }
+
     function showFleetView() {
-        var fleet = document.getElementById("dhdFleetView");
-        var drill = document.getElementById("dhdDrillView");
-        if (fleet) { fleet.style.display = "block"; fleet.classList.add("dhd-view--active"); }
-        if (drill) { drill.style.display = "none"; drill.classList.remove("dhd-view--active"); }
+        showView("dhdFleetView");
     }
 
     function showDrillView() {
-        var fleet = document.getElementById("dhdFleetView");
-        var drill = document.getElementById("dhdDrillView");
-        if (fleet) { fleet.style.display = "none"; fleet.classList.remove("dhd-view--active"); }
-        if (drill) { drill.style.display = "block"; drill.classList.add("dhd-view--active"); }
+        showView("dhdDrillView");
     }
 
     // ── Loading / Error states ─────────────────────────────────────────
@@ -61,19 +70,56 @@ geotab.addin.device_health_diagnostics = function () {
         }
     }
 
+    function showWarnings(messages) {
+        var el = document.getElementById("dhdWarning");
+        if (!el) { return; }
+        if (!messages || messages.length === 0) {
+            el.style.display = "none";
+            el.textContent = "";
+            return;
+        }
+        el.textContent = messages.join(" ");
+        el.style.display = "block";
+    }
+
+    // Problems from the last fleet load that should stay visible
+    function loadWarnings() {
+        return DHD.DeviceCache.getWarnings().concat(DHD.ThresholdProfiles.getWarnings());
+    }
+
+    function formatProgress(loaded, total) {
+        var str = loaded.toLocaleString();
+        if (total != null) {
+            str += " of " + total.toLocaleString();
+        }
+        return str;
+    }
+
     // ── Fleet data load & classify ─────────────────────────────────────
 
     function loadFleetData() {
         showLoading("Loading fleet health data\u2026");
 
-        DHD.DeviceCache.load(_api)
+        DHD.DeviceCache.load(_api, function (p) {
+            showLoading("Loading devices\u2026 " + formatProgress(p.devices, p.deviceTotal) +
+                " devices, " + formatProgress(p.groups, p.groupTotal) + " groups");
+        })
             .then(function () {
-                return DHD.HealthService.fetchFleetHealth(_api);
+                showWarnings(DHD.DeviceCache.getWarnings());
+                showLoading("Loading threshold settings\u2026");
+                return Promise.all([DHD.ThresholdProfiles.load(_api), DHD.ScoreHistory.load(_api)]);
+            })
+            .then(function () {
+                showWarnings(loadWarnings());
+                showLoading("Loading fleet health data\u2026");
+                return DHD.HealthService.fetchFleetHealth(_api, DHD.AnalysisWindow.get());
             })
             .then(function (data) {
                 _fleetData = data;
                 classifyFleet();
+                recordHistory(data.range, "Full reload");
                 hideLoading();
+                updateSyncStatus(null);
                 DHD.FleetDashboard.render(_classifications, onDeviceClick);
             })
             .catch(function (err) {
@@ -82,37 +128,150 @@ geotab.addin.device_health_diagnostics = function () {
             });
     }
 
-    function classifyFleet() {
-        _classifications = [];
-        _statusInfoMap = {};
+    /**
+     * Pull only what changed since the last sync (GetFeed) and re-run
+     * classification for the affected devices, plus the unchanged ones
+     * whose offline hours or fault ages move with the window end. Falls
+     * back to a full reload when the feeds have not been seeded, the
+     * analysis window does not end now (nothing new can fall inside it),
+     * or the feed call fails.
+     */
+    function refreshFleetData() {
+        var range = DHD.AnalysisWindow.get();
+        if (!_fleetData || !range.isLive || !DHD.HealthService.hasFeedVersions()) {
+            loadFleetData();
+            return;
+        }
 
-        var devices = DHD.DeviceCache.getAllDevices();
-        var siMap = {};
+        showLoading("Syncing fleet changes\u2026");
 
-        // Index statusInfos by device id
+        DHD.HealthService.fetchFleetChanges(_api)
+            .then(function (changes) {
+                DHD.DeviceCache.upsertDevices(changes.devices);
+                var changedIds = DHD.HealthService.mergeFleetChanges(_fleetData, changes, range);
+                reclassifyDevices(changedIds.concat(timeDependentIds(changedIds)));
+                recordHistory(range, "Sync");
+                hideLoading();
+                updateSyncStatus(changedIds.length);
+                DHD.FleetDashboard.render(_classifications, onDeviceClick);
+            })
+            .catch(function (err) {
+                console.warn("DHD incremental refresh failed, doing a full reload:", err);
+                loadFleetData();
+            });
+    }
+
+    /**
+     * Snapshot today's device and fleet scores for the trend views. Only
+     * the default window while live is recorded (ScoreHistory.isRecorded),
+     * and refreshes are annotated only on the series they feed.
+     * @param {Object} range - analysis window the scores were computed for
+     * @param {string|null} refreshLabel - annotation for a data refresh,
+     *        or null when only the classification changed
+     */
+    function recordHistory(range, refreshLabel) {
+        DHD.ScoreHistory.record(_classifications, range);
+        DHD.ScoreHistory.recordFleet(DHD.FleetDashboard.computeFleetMetrics(_classifications), range);
+        if (refreshLabel && DHD.ScoreHistory.isRecorded(range)) {
+            DHD.ScoreHistory.annotate("refresh", refreshLabel);
+        }
+    }
+
+    function indexStatusInfos() {
+        var siMap = {};
         _fleetData.statusInfos.forEach(function (si) {
             if (si.device && si.device.id) {
                 siMap[si.device.id] = si;
             }
         });
+        return siMap;
+    }
+
+    function classifyOne(device, si) {
+        var faults = _fleetData.faultsByDevice[device.id] || [];
+        return {
+            device: device,
+            statusInfo: si,
+            classification: DHD.RootCauseEngine.classifyDevice(si, faults, device, _fleetData.range)
+        };
+    }
+
+    function classifyFleet() {
+        _classifications = [];
+        _statusInfoMap = {};
+        _classificationIndex = {};
+
+        var devices = DHD.DeviceCache.getAllDevices();
+        var siMap = indexStatusInfos();
 
         devices.forEach(function (device) {
             var si = siMap[device.id];
             if (!si) { return; } // no status info — skip
 
             _statusInfoMap[device.id] = si;
+            _classificationIndex[device.id] = _classifications.length;
+            _classifications.push(classifyOne(device, si));
+        });
+    }
 
-            var faults = _fleetData.faultsByDevice[device.id] || [];
-            var classification = DHD.RootCauseEngine.classifyDevice(si, faults, device);
+    /**
+     * Re-run classification for just the given devices, updating their
+     * entries in _classifications in place (or appending new devices).
+     * @param {string[]} deviceIds
+     */
+    function reclassifyDevices(deviceIds) {
+        if (deviceIds.length === 0) { return; }
+        var siMap = indexStatusInfos();
+
+        deviceIds.forEach(function (id) {
+            var device = DHD.DeviceCache.getDevice(id);
+            var si = siMap[id];
+            if (!device || !si) { return; }
+
+            _statusInfoMap[id] = si;
+            var item = classifyOne(device, si);
+            if (_classificationIndex.hasOwnProperty(id)) {
+                _classifications[_classificationIndex[id]] = item;
+            } else {
+                _classificationIndex[id] = _classifications.length;
+                _classifications.push(item);
+            }
+        });
+    }
 
-            _classifications.push({
-                device: device,
-                statusInfo: si,
-                classification: classification
-            });
+    /**
+     * Classified devices outside changedIds whose result still moves with
+     * the clock: offline ones (offline hours) and ones with faults (fault
+     * age). A communicating device without faults stays as it was.
+     * @param {string[]} changedIds - devices already being re-run
+     * @returns {string[]}
+     */
+    function timeDependentIds(changedIds) {
+        var changed = {};
+        changedIds.forEach(function (id) { changed[id] = true; });
+
+        return Object.keys(_classificationIndex).filter(function (id) {
+            if (changed[id]) { return false; }
+            var si = _statusInfoMap[id];
+            return !si.isDeviceCommunicating || (_fleetData.faultsByDevice[id] || []).length > 0;
         });
     }
 
+    /**
+     * Show when the fleet data was last synced.
+     * @param {number|null} changedCount - devices changed by an incremental
+     *        sync, or null after a full reload
+     */
+    function updateSyncStatus(changedCount) {
+        var el = document.getElementById("dhdSyncStatus");
+        if (!el) { return; }
+
+        var time = new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+        var detail = changedCount === null ? "full reload" :
+            changedCount === 1 ? "1 device changed" : changedCount + " devices changed";
+        el.textContent = "Last synced " + time + " \u00b7 " + detail;
+    }
+
     // ── Device drill-down ──────────────────────────────────────────────
 
     function onDeviceClick(deviceId) {
@@ -120,16 +279,23 @@ geotab.addin.device_health_diagnostics = function () {
         var statusInfo = _statusInfoMap[deviceId];
         if (!device || !statusInfo) { return; }
 
+        _drillDeviceId = deviceId;
         showDrillView();
         showLoading("Loading device diagnostics\u2026");
 
-        DHD.HealthService.fetchDeviceDrillDown(_api, deviceId)
-            .then(function (drillData) {
+        var drillData;
+        DHD.HealthService.fetchDeviceDrillDown(_api, deviceId, DHD.AnalysisWindow.get())
+            .then(function (data) {
+                drillData = data;
+                showLoading("Comparing signal coverage\u2026");
+                return loadCoverage(device, drillData);
+            })
+            .then(function (coverage) {
+                drillData.coverage = coverage;
                 var analysis = DHD.RootCauseEngine.analyzeDevice(device, statusInfo, drillData);
                 hideLoading();
-                DHD.DeviceDiagnostics.render(device, statusInfo, analysis, drillData, function () {
-                    showFleetView();
-                });
+                showWarnings(loadWarnings().concat(truncationWarnings(drillData.truncated)));
+                DHD.DeviceDiagnostics.render(device, statusInfo, analysis, drillData, backToFleet);
             })
             .catch(function (err) {
                 showError("Failed to load device diagnostics: " + (err.message || err));
@@ -137,14 +303,105 @@ geotab.addin.device_health_diagnostics = function () {
             });
     }
 
+    /**
+     * Build the device's signal-by-location cells and compare them with
+     * the cells of nearby devices over the same window. A failed peer
+     * fetch leaves the comparison empty rather than failing the drill-down.
+     * @returns {Promise<Object>} result of DHD.CellularCoverage.compare
+     */
+    function loadCoverage(device, drillData) {
+        var Coverage = DHD.CellularCoverage;
+        var cells = Coverage.buildCells(drillData.statusData[C.Diagnostics.CELLULAR_RSSI],
+            drillData.logRecords, DHD.ThresholdProfiles.forDevice(device));
+        var candidates = Object.keys(_statusInfoMap).map(function (id) {
+            var si = _statusInfoMap[id];
+            return { id: id, latitude: si.latitude, longitude: si.longitude };
+        });
+        var peerIds = Coverage.pickPeers(device.id, cells, candidates);
+
+        return DHD.HealthService.fetchCoverageSamples(_api, peerIds, drillData.range)
+            .then(function (samples) {
+                var peerCells = {};
+                peerIds.forEach(function (id) {
+                    peerCells[id] = Coverage.buildCells(samples[id].rssi, samples[id].logRecords,
+                        DHD.ThresholdProfiles.forDevice(DHD.DeviceCache.getDevice(id)));
+                });
+                return Coverage.compare(cells, peerCells);
+            }, function (err) {
+                console.warn("DHD signal coverage comparison failed:", err);
+                return Coverage.compare(cells, {});
+            });
+    }
+
+    // Series the drill-down could not load to the end of the window
+    function truncationWarnings(truncated) {
+        if (!truncated || truncated.length === 0) { return []; }
+        var names = truncated.map(function (id) {
+            return id === "LogRecord" ? "GPS log records" : C.DiagnosticLabels[id] || id;
+        });
+        return ["Only part of the window could be loaded for " + names.join(", ") +
+            "; the newest data is missing, so trends may be out of date. Shorten the analysis window to see it all."];
+    }
+
+    function backToFleet() {
+        _drillDeviceId = null;
+        showWarnings(loadWarnings());
+        showFleetView();
+        if (_fleetStale) {
+            _fleetStale = false;
+            loadFleetData();
+        }
+    }
+
+    // ── Analysis window ────────────────────────────────────────────────
+
+    /**
+     * A new window needs a full reload: fetched data and feed versions
+     * only cover the old one. While drilled in, reload just the device
+     * and defer the fleet reload until the user goes back.
+     */
+    function onWindowChange() {
+        if (_drillDeviceId !== null) {
+            _fleetStale = true;
+            onDeviceClick(_drillDeviceId);
+            return;
+        }
+        loadFleetData();
+    }
+
+    // ── Threshold settings ─────────────────────────────────────────────
+
+    function bindSettings() {
+        var btn = document.getElementById("dhdSettingsBtn");
+        if (btn) {
+            btn.addEventListener("click", function () {
+                _drillDeviceId = null;
+                showView("dhdSettingsView");
+                DHD.SettingsPanel.render(_api, onSettingsSaved, backToFleet);
+            });
+        }
+    }
+
+    // New thresholds only change classification, so no refetch is needed
+    function onSettingsSaved() {
+        if (!_fleetData) { return; }
+        classifyFleet();
+        DHD.ScoreHistory.annotate("config", "Thresholds changed");
+        recordHistory(_fleetData.range, null);
+        DHD.FleetDashboard.render(_classifications, onDeviceClick);
+    }
+
     // ── Refresh button ─────────────────────────────────────────────────
 
     function bindRefresh() {
         var btn = document.getElementById("dhdRefreshBtn");
         if (btn) {
             btn.addEventListener("click", function () {
+                _drillDeviceId = null;
+                _fleetStale = false;
+                showWarnings(loadWarnings());
                 showFleetView();
-                loadFleetData();
+                refreshFleetData();
             });
         }
     }
@@ -184,6 +441,7 @@ geotab.addin.device_health_diagnostics = function () {
         ];
 
         var mockGroups = [
+            { id: "GroupCompanyId", name: "Company Group", children: [{id:"g1"}, {id:"g2"}, {id:"g3"}] },
             { id: "g1", name: "Trucks & Sedans" },
             { id: "g2", name: "Vans" },
             { id: "g3", name: "SUVs" }
@@ -225,25 +483,25 @@ geotab.addin.device_health_diagnostics = function () {
         // Faults — various codes to trigger different categories
         var mockFaults = [
             // d4 — low battery (fault code 135)
-            { device: {id:"d4"},  diagnostic: {id:"135"}, failureMode: {id:"135"}, dateTime: hoursAgo(12) },
+            { device: {id:"d4"},  diagnostic: {id:"135"}, failureMode: {id:"135"}, failureModeState: 1, dateTime: hoursAgo(12) },
             // d7 — loose install (fault code 287)
-            { device: {id:"d7"},  diagnostic: {id:"287"}, failureMode: {id:"287"}, dateTime: hoursAgo(24) },
+            { device: {id:"d7"},  diagnostic: {id:"287"}, failureMode: {id:"287"}, failureModeState: 1, dateTime: hoursAgo(24) },
             // d10 — low battery
-            { device: {id:"d10"}, diagnostic: {id:"135"}, failureMode: {id:"135"}, dateTime: hoursAgo(6) },
+            { device: {id:"d10"}, diagnostic: {id:"135"}, failureMode: {id:"135"}, failureModeState: 1, dateTime: hoursAgo(6) },
             // d12 — loose install
-            { device: {id:"d12"}, diagnostic: {id:"287"}, failureMode: {id:"287"}, dateTime: hoursAgo(18) },
+            { device: {id:"d12"}, diagnostic: {id:"287"}, failureMode: {id:"287"}, failureModeState: 1, dateTime: hoursAgo(18) },
             // d16 — low battery + loose install
-            { device: {id:"d16"}, diagnostic: {id:"135"}, failureMode: {id:"135"}, dateTime: hoursAgo(10) },
-            { device: {id:"d16"}, diagnostic: {id:"287"}, failureMode: {id:"287"}, dateTime: hoursAgo(10) },
+            { device: {id:"d16"}, diagnostic: {id:"135"}, failureMode: {id:"135"}, failureModeState: 1, dateTime: hoursAgo(10) },
+            { device: {id:"d16"}, diagnostic: {id:"287"}, failureMode: {id:"287"}, failureModeState: 1, dateTime: hoursAgo(10) },
             // d19 — hardware failure (fault code 128)
-            { device: {id:"d19"}, diagnostic: {id:"128"}, failureMode: {id:"128"}, dateTime: hoursAgo(96) },
+            { device: {id:"d19"}, diagnostic: {id:"128"}, failureMode: {id:"128"}, failureModeState: 1, dateTime: hoursAgo(96) },
             // d20 — hardware failure + low battery
-            { device: {id:"d20"}, diagnostic: {id:"450"}, failureMode: {id:"450"}, dateTime: hoursAgo(150) },
-            { device: {id:"d20"}, diagnostic: {id:"135"}, failureMode: {id:"135"}, dateTime: hoursAgo(150) },
+            { device: {id:"d20"}, diagnostic: {id:"450"}, failureMode: {id:"450"}, failureModeState: 1, dateTime: hoursAgo(150) },
+            { device: {id:"d20"}, diagnostic: {id:"135"}, failureMode: {id:"135"}, failureModeState: 0, dateTime: hoursAgo(150) },
             // d8 — OEM issue (fault code 488)
-            { device: {id:"d8"},  diagnostic: {id:"488"}, failureMode: {id:"488"}, dateTime: hoursAgo(30) },
+            { device: {id:"d8"},  diagnostic: {id:"488"}, failureMode: {id:"488"}, failureModeState: 1, dateTime: hoursAgo(30) },
             // d21 — low battery
-            { device: {id:"d21"}, diagnostic: {id:"135"}, failureMode: {id:"135"}, dateTime: hoursAgo(5) }
+            { device: {id:"d21"}, diagnostic: {id:"135"}, failureMode: {id:"135"}, failureModeState: 1, dateTime: hoursAgo(5) }
         ];
 
         // Add firmware mismatch to a couple of devices
@@ -252,10 +510,40 @@ geotab.addin.device_health_diagnostics = function () {
         mockDevices[17].parameterVersion = 38;  // d18
         mockDevices[17].parameterVersionOnDevice = 36;
 
+        var feedVersion = 1;
+
+        // Each incremental GetFeed "moves" one communicating device forward
+        function mockFeed(typeName, params) {
+            feedVersion++;
+            if (!params.fromVersion) {
+                return { data: typeName === "DeviceStatusInfo" ? mockStatusInfos : [], toVersion: String(feedVersion) };
+            }
+            if (typeName !== "DeviceStatusInfo") {
+                return { data: [], toVersion: String(feedVersion) };
+            }
+            var live = mockStatusInfos.filter(function (si) { return si.isDeviceCommunicating; });
+            var si = live[Math.floor(Math.random() * live.length)];
+            si.dateTime = new Date().toISOString();
+            return { data: [si], toVersion: String(feedVersion) };
+        }
+
         return {
             multiCall: function (calls, success, failure) {
                 var results = calls.map(function (call) {
                     var typeName = call[1].typeName;
+                    if (call[0] === "GetFeed") {
+                        return mockFeed(typeName, call[1]);
+                    }
+                    if (call[0] === "Add") {
+                        return "mock" + typeName + Date.now();
+                    }
+                    if (call[0] === "Set") {
+                        return null;
+                    }
+                    if (call[0] === "GetCountOf") {
+                        return typeName === "Device" ? mockDevices.length :
+                            typeName === "Group" ? mockGroups.length : 0;
+                    }
                     switch (typeName) {
                         case "Device":       return mockDevices;
                         case "Group":        return mockGroups;
@@ -282,6 +570,8 @@ geotab.addin.device_health_diagnostics = function () {
             _page = page;
 
             bindRefresh();
+            bindSettings();
+            DHD.AnalysisWindow.bind(onWindowChange);
             loadFleetData();
 
             if (callback) { callback(); }
@@ -297,7 +587,7 @@ geotab.addin.device_health_diagnostics = function () {
             var container = document.getElementById("dhdContainer");
             if (container) { container.style.display = "block"; }
 
-            showFleetView();
+            backToFleet();
         },
 
         /**
@@ -315,6 +605,8 @@ geotab.addin.device_health_diagnostics = function () {
             _api = buildMockApi();
             _page = {};
             bindRefresh();
+            bindSettings();
+            DHD.AnalysisWindow.bind(onWindowChange);
             loadFleetData();
         }
     };
@@ -1,9 +1,13 @@
 /**
- * rootCauseEngine.js — Decision tree and health scoring engine.
+ * rootCauseEngine.js — Rule registry and health scoring engine.
  *
- * Two entry points:
+ * Two entry points, both driven by the same registered rules:
  *  - classifyDevice()  : lightweight fleet-level classification
  *  - analyzeDevice()   : full drill-down root cause analysis
+ *
+ * A rule only runs when every input it requires is present in the
+ * context, so drill-down-only rules (StatusData, LogRecords) are skipped
+ * at fleet level while shared rules produce the same result in both.
  */
 var DHD = DHD || {};
 
@@ -20,495 +24,1374 @@ DHD.RootCauseEngine = (function () {
         return (Date.now() - dt.getTime()) / (1000 * 60 * 60);
     }
 
-    function hasFaultCode(faults, code) {
-        return faults.some(function (f) {
-            return f.diagnostic && String(f.diagnostic.id) === String(code);
+    function latestRecord(statusRecords) {
+        if (!statusRecords || statusRecords.length === 0) { return null; }
+        var sorted = statusRecords.slice().sort(function (a, b) {
+            return new Date(b.dateTime) - new Date(a.dateTime);
         });
+        return sorted[0];
     }
 
-    function hasFaultCodes(faults, codes) {
-        return codes.some(function (code) {
-            return hasFaultCode(faults, code);
-        });
+    function latestValue(statusRecords) {
+        var rec = latestRecord(statusRecords);
+        return rec ? rec.data : null;
     }
 
-    function latestValue(statusRecords) {
-        if (!statusRecords || statusRecords.length === 0) { return null; }
-        var sorted = statusRecords.slice().sort(function (a, b) {
-            return new Date(b.dateTime) - new Date(a.dateTime);
+    // Keep only faults inside the analysis window. Merged feed data and
+    // cached fleet faults can outlive the window they were fetched for.
+    function faultsInRange(faults, range) {
+        if (!range) { return faults; }
+        var from = range.fromDate.getTime();
+        var to = range.toDate.getTime();
+        return faults.filter(function (f) {
+            if (!f.dateTime) { return true; }
+            var t = new Date(f.dateTime).getTime();
+            return t >= from && t <= to;
         });
-        return sorted[0].data;
     }
 
-    function faultCodesForDevice(faults) {
-        var codes = [];
-        faults.forEach(function (f) {
-            if (f.diagnostic && f.diagnostic.id) {
-                var num = parseInt(f.diagnostic.id, 10);
-                if (!isNaN(num)) {
-                    codes.push(num);
-                }
-            }
-            if (f.failureMode && f.failureMode.id) {
-                var fmId = parseInt(f.failureMode.id, 10);
-                if (!isNaN(fmId)) {
-                    codes.push(fmId);
-                }
-            }
-        });
-        return codes;
+    // ── Fault weighting ────────────────────────────────────────────────
+
+    /**
+     * Weight of one fault between 0 and 1: halves every HALF_LIFE_DAYS of
+     * age (measured to asOf) and is scaled down when the fault is inactive.
+     */
+    function faultWeight(fault, asOf) {
+        var W = C.FaultWeighting;
+        var ageDays = fault.dateTime ? Math.max(0, (asOf - new Date(fault.dateTime).getTime()) / 86400000) : 0;
+        var weight = Math.pow(0.5, ageDays / W.HALF_LIFE_DAYS);
+        return fault.failureModeState === 1 ? weight : weight * W.INACTIVE_FACTOR;
     }
 
-    // ── Fleet-level classification ─────────────────────────────────────
+    /**
+     * Combined weight of repeated faults: each occurrence closes part of
+     * the remaining gap to 1, so many recent occurrences approach a full
+     * deduction and a single old, cleared fault stays near 0.
+     */
+    function combinedFaultWeight(faults, asOf) {
+        var remaining = faults.reduce(function (r, f) {
+            return r * (1 - faultWeight(f, asOf));
+        }, 1);
+        return 1 - remaining;
+    }
 
     /**
-     * Lightweight classification using DeviceStatusInfo + FaultData.
-     * @param {Object} statusInfo - DeviceStatusInfo record
-     * @param {Object[]} faults - FaultData for this device
-     * @param {Object} device - Device from cache
-     * @returns {{ issues: Object[], primaryIssue: string, severity: string, healthScore: number }}
+     * Display severity of a single fault by its code: hardware failures are
+     * critical, low voltage and bad install are warnings, the rest info.
+     * @param {Object} fault - FaultData
+     * @returns {string} a C.Severity value
      */
-    function classifyDevice(statusInfo, faults, device) {
-        var issues = [];
-        faults = faults || [];
-
-        var isCommunicating = statusInfo.isDeviceCommunicating;
-        var offlineH = hoursAgo(statusInfo.dateTime);
-
-        // Offline
-        if (!isCommunicating) {
-            if (offlineH > C.OfflineHours.EXTENDED) {
-                issues.push({ category: C.Category.OFFLINE, severity: C.Severity.CRITICAL,
-                    label: "Offline > 72h" });
-            } else if (offlineH > C.OfflineHours.NORMAL_SLEEP) {
-                issues.push({ category: C.Category.OFFLINE, severity: C.Severity.WARNING,
-                    label: "Offline > 24h" });
-            }
-        }
+    function classifyFaultSeverity(fault) {
+        if (!fault.diagnostic) { return C.Severity.INFO; }
+        var id = parseInt(fault.diagnostic.id, 10);
+        if (C.HARDWARE_FAULT_CODES.indexOf(id) !== -1) { return C.Severity.CRITICAL; }
+        if (id === 135 || id === 287) { return C.Severity.WARNING; }
+        return C.Severity.INFO;
+    }
 
-        // Check fault codes
-        var codes = faultCodesForDevice(faults);
-        if (codes.some(function (c) { return C.HARDWARE_FAULT_CODES.indexOf(c) !== -1; })) {
-            issues.push({ category: C.Category.HARDWARE, severity: C.Severity.CRITICAL,
-                label: "Hardware Failure" });
-        }
-        if (codes.indexOf(135) !== -1) {
-            issues.push({ category: C.Category.POWER, severity: C.Severity.WARNING,
-                label: "Low Battery" });
-        }
-        if (codes.indexOf(287) !== -1) {
-            issues.push({ category: C.Category.INSTALLATION, severity: C.Severity.WARNING,
-                label: "Loose Install" });
+    // Numeric codes carried by a fault (diagnostic id and failure mode id)
+    function faultCodes(fault) {
+        var codes = [];
+        if (fault.diagnostic && fault.diagnostic.id) {
+            var num = parseInt(fault.diagnostic.id, 10);
+            if (!isNaN(num)) { codes.push(num); }
         }
-        if (codes.some(function (c) { return C.OEM_FAULT_CODES.indexOf(c) !== -1; })) {
-            issues.push({ category: C.Category.OEM, severity: C.Severity.INFO,
-                label: "OEM Issue" });
+        if (fault.failureMode && fault.failureMode.id) {
+            var fmId = parseInt(fault.failureMode.id, 10);
+            if (!isNaN(fmId)) { codes.push(fmId); }
         }
+        return codes;
+    }
+
+    // ── Evidence ───────────────────────────────────────────────────────
+    //
+    // Each root cause carries the records that triggered it:
+    //   { source, diagnosticId, value, dateTime, threshold, recordId }
+    // source is the Geotab type the value came from; threshold describes
+    // the line that was crossed (e.g. "< 11V"), or null for plain events.
 
-        // Firmware mismatch
-        if (device && device.parameterVersion != null && device.parameterVersionOnDevice != null &&
-            device.parameterVersion !== device.parameterVersionOnDevice) {
-            issues.push({ category: C.Category.FIRMWARE, severity: C.Severity.INFO,
-                label: "Firmware Pending" });
+    function statusEvidence(diagId, rec, threshold) {
+        return {
+            source: "StatusData",
+            diagnosticId: diagId,
+            value: rec.data,
+            dateTime: rec.dateTime,
+            threshold: threshold || null,
+            recordId: rec.id || null
+        };
+    }
+
+    function faultEvidence(fault) {
+        return {
+            source: "FaultData",
+            diagnosticId: fault.diagnostic ? fault.diagnostic.id : null,
+            value: (fault.diagnostic && fault.diagnostic.name) || null,
+            dateTime: fault.dateTime,
+            threshold: null,
+            recordId: fault.id || null
+        };
+    }
+
+    // Newest first, capped so a noisy device does not flood the panel
+    function faultEvidenceList(faults) {
+        return faults.slice().sort(function (a, b) {
+            return new Date(b.dateTime) - new Date(a.dateTime);
+        }).slice(0, 10).map(faultEvidence);
+    }
+
+    // ── Rule registry ──────────────────────────────────────────────────
+    //
+    // Rule shape:
+    //   {
+    //     id: "power",                  unique id
+    //     category: C.Category.POWER,   default category for its root causes
+    //     priority: 30,                 lower runs (and ranks) first
+    //     inputs: ["faults"],           context keys that must be present
+    //     enabled: true,
+    //     evaluate: function (ctx) { … } → root cause, array of them, or null
+    //   }
+    //
+    // A root cause returned by evaluate():
+    //   { severity, confidence, label, explanation, actions, evidence[, category, details, weight, key] }
+    // details holds rule-specific values (e.g. days to failure) for the UI.
+    // key names the outcome when the label carries values (e.g. hours);
+    // issues are keyed "ruleId:key", or "ruleId:label" without one.
+    // weight (0–1, default 1) scales the health-score deduction; fault-based
+    // rules use it so old or cleared faults count for less.
+
+    var _rules = [];
+
+    function sortRules() {
+        _rules.sort(function (a, b) { return a.priority - b.priority; });
+    }
+
+    function findRule(id) {
+        for (var i = 0; i < _rules.length; i++) {
+            if (_rules[i].id === id) { return _rules[i]; }
         }
+        return null;
+    }
 
-        // GPS — position stuck at 0,0 or very old
-        if (statusInfo.latitude === 0 && statusInfo.longitude === 0 && isCommunicating) {
-            issues.push({ category: C.Category.GPS, severity: C.Severity.WARNING,
-                label: "GPS Issue" });
+    /**
+     * Register a rule, replacing any existing rule with the same id.
+     * @param {Object} rule - see rule shape above
+     */
+    function registerRule(rule) {
+        if (!rule || !rule.id || typeof rule.evaluate !== "function") {
+            throw new Error("A rule needs an id and an evaluate function.");
         }
+        unregisterRule(rule.id);
+        _rules.push({
+            id: rule.id,
+            category: rule.category || null,
+            priority: typeof rule.priority === "number" ? rule.priority : 100,
+            inputs: rule.inputs || [],
+            enabled: rule.enabled !== false,
+            evaluate: rule.evaluate
+        });
+        sortRules();
+    }
 
-        // Determine primary issue and overall severity
-        var severityOrder = [C.Severity.CRITICAL, C.Severity.WARNING, C.Severity.INFO];
-        var primaryIssue = C.Category.HEALTHY;
-        var severity = C.Severity.HEALTHY;
+    /**
+     * @param {string} id
+     * @returns {boolean} true if a rule was removed
+     */
+    function unregisterRule(id) {
+        var before = _rules.length;
+        _rules = _rules.filter(function (r) { return r.id !== id; });
+        return _rules.length !== before;
+    }
 
-        for (var s = 0; s < severityOrder.length; s++) {
-            for (var i = 0; i < issues.length; i++) {
-                if (issues[i].severity === severityOrder[s]) {
-                    primaryIssue = issues[i].category;
-                    severity = issues[i].severity;
-                    s = severityOrder.length; // break outer
-                    break;
-                }
-            }
+    function setRuleEnabled(id, enabled) {
+        var rule = findRule(id);
+        if (rule) { rule.enabled = !!enabled; }
+    }
+
+    function setRulePriority(id, priority) {
+        var rule = findRule(id);
+        if (rule) {
+            rule.priority = priority;
+            sortRules();
         }
+    }
 
-        var healthScore = computeHealthScore(issues, offlineH, isCommunicating);
+    /**
+     * Registered rules in evaluation order (copies; edit via the setters).
+     * @returns {Object[]}
+     */
+    function getRules() {
+        return _rules.map(function (r) {
+            return { id: r.id, category: r.category, priority: r.priority,
+                inputs: r.inputs.slice(), enabled: r.enabled };
+        });
+    }
 
-        return {
-            issues: issues,
-            primaryIssue: primaryIssue,
-            severity: severity,
-            healthScore: healthScore
+    // ── Rule context ───────────────────────────────────────────────────
+
+    /**
+     * Build the context passed to every rule. Inputs that are not
+     * available stay undefined so rules requiring them are skipped.
+     * ctx.t holds the device's thresholds (see DHD.ThresholdProfiles);
+     * rules read Voltage/RSSI/OfflineHours from it, not from DHD.Constants.
+     */
+    function buildContext(inputs) {
+        var statusInfo = inputs.statusInfo || undefined;
+        var sd = inputs.statusData;
+
+        var ctx = {
+            device: inputs.device || undefined,
+            statusInfo: statusInfo,
+            faults: inputs.faults,
+            statusData: sd,
+            logRecords: inputs.logRecords,
+            coverage: inputs.coverage || undefined,
+            range: inputs.range || null,
+            t: DHD.ThresholdProfiles.forDevice(inputs.device),
+            asOf: inputs.range ? inputs.range.toDate.getTime() : Date.now(),
+            isCommunicating: statusInfo ? !!statusInfo.isDeviceCommunicating : false,
+            offlineH: statusInfo ? hoursAgo(statusInfo.dateTime) : Infinity
         };
+
+        /** StatusData records for a diagnostic (empty when not fetched). */
+        ctx.series = function (diagId) {
+            return (sd && sd[diagId]) || [];
+        };
+
+        /** Latest StatusData value for a diagnostic, or null. */
+        ctx.latest = function (diagId) {
+            return latestValue(ctx.series(diagId));
+        };
+
+        /** Latest StatusData record for a diagnostic, or null. */
+        ctx.latestRecord = function (diagId) {
+            return latestRecord(ctx.series(diagId));
+        };
+
+        /** Evidence for the latest record of a diagnostic (empty if none). */
+        ctx.latestEvidence = function (diagId, threshold) {
+            var rec = ctx.latestRecord(diagId);
+            return rec ? [statusEvidence(diagId, rec, threshold)] : [];
+        };
+
+        ctx.statusEvidence = statusEvidence;
+        ctx.faultEvidence = faultEvidence;
+
+        /** True when the latest value of an event diagnostic is set. */
+        ctx.isActive = function (diagId) {
+            var v = ctx.latest(diagId);
+            return v !== null && v > 0;
+        };
+
+        /** Faults carrying any of the given codes, minus ones too old or cleared to matter. */
+        ctx.faultsWithCodes = function (codes) {
+            return (ctx.faults || []).filter(function (f) {
+                return faultWeight(f, ctx.asOf) >= C.FaultWeighting.MIN_WEIGHT &&
+                    faultCodes(f).some(function (code) { return codes.indexOf(code) !== -1; });
+            });
+        };
+
+        /** Combined recency/occurrence/state weight of a set of faults (0–1). */
+        ctx.faultWeight = function (faults) {
+            return combinedFaultWeight(faults, ctx.asOf);
+        };
+
+        /** " Last seen N days ago (inactive)." for the newest of some faults. */
+        ctx.faultRecency = function (faults) {
+            if (faults.length === 0) { return ""; }
+            var newest = faults.reduce(function (a, b) {
+                return new Date(b.dateTime) > new Date(a.dateTime) ? b : a;
+            });
+            var days = Math.floor((ctx.asOf - new Date(newest.dateTime).getTime()) / 86400000);
+            return " Last seen " + (days < 1 ? "today" : days === 1 ? "1 day ago" : days + " days ago") +
+                (newest.failureModeState === 1 ? " (active)." : " (inactive).");
+        };
+
+        return ctx;
     }
 
-    // ── Full drill-down analysis ───────────────────────────────────────
+    function hasInputs(rule, ctx) {
+        return rule.inputs.every(function (key) {
+            return ctx[key] !== undefined && ctx[key] !== null;
+        });
+    }
 
     /**
-     * Full decision-tree analysis using StatusData + LogRecords + FaultData.
-     * @param {Object} device - Device from cache
-     * @param {Object} statusInfo - DeviceStatusInfo record
-     * @param {Object} drillData - { statusData, logRecords, faults } from healthService
-     * @returns {{ rootCauses: Object[], healthScore: number, issues: Object[] }}
+     * Run every enabled rule whose inputs are available, in priority order.
+     * @returns {{ rootCauses: Object[], issues: Object[] }}
+     *   issues: { key, category, severity, label, weight }, where key stays
+     *   the same across threshold profiles and can be filtered on
      */
-    function analyzeDevice(device, statusInfo, drillData) {
-        var sd = drillData.statusData;
-        var faults = drillData.faults || [];
-        var logRecords = drillData.logRecords || [];
+    function runRules(ctx) {
         var rootCauses = [];
         var issues = [];
-        var rank = 0;
-        var isCommunicating = statusInfo ? statusInfo.isDeviceCommunicating : false;
-        var offlineH = statusInfo ? hoursAgo(statusInfo.dateTime) : Infinity;
-
-        // 1. Unplugged (95%)
-        var unpluggedData = sd[C.Diagnostics.UNPLUGGED];
-        if (unpluggedData && unpluggedData.length > 0) {
-            var lastUnplug = latestValue(unpluggedData);
-            if (lastUnplug && lastUnplug > 0) {
-                rank++;
+
+        _rules.forEach(function (rule) {
+            if (!rule.enabled || !hasInputs(rule, ctx)) { return; }
+
+            var result;
+            try {
+                result = rule.evaluate(ctx);
+            } catch (err) {
+                console.error("DHD rule \"" + rule.id + "\" failed:", err);
+                return;
+            }
+            if (!result) { return; }
+
+            (Array.isArray(result) ? result : [result]).forEach(function (rc) {
+                var category = rc.category || rule.category;
+                var weight = weightOf(rc);
+                var severity = weightedSeverity(rc.severity, weight);
                 rootCauses.push({
-                    rank: rank,
-                    category: C.Category.UNPLUGGED,
-                    confidence: 95,
-                    severity: C.Severity.CRITICAL,
-                    explanation: "The device has reported an unplugged event. The GO device connector may have been removed from the vehicle\u2019s OBD-II port or power source.",
-                    actions: [
-                        "Verify the GO device is firmly seated in the OBD-II port.",
-                        "Check for physical damage to the connector or port.",
-                        "Inspect the wiring harness if a T-harness is used.",
-                        "If recently serviced, confirm the device was reconnected."
-                    ]
+                    rank: rootCauses.length + 1,
+                    ruleId: rule.id,
+                    category: category,
+                    confidence: rc.confidence,
+                    severity: severity,
+                    label: rc.label,
+                    explanation: rc.explanation || "",
+                    actions: rc.actions || [],
+                    evidence: rc.evidence || [],
+                    details: rc.details || null,
+                    weight: weight
+                });
+                issues.push({
+                    key: rule.id + ":" + (rc.key || rc.label),
+                    category: category,
+                    severity: severity,
+                    label: rc.label,
+                    weight: weight
                 });
-                issues.push({ category: C.Category.UNPLUGGED, severity: C.Severity.CRITICAL, label: "Unplugged" });
+            });
+        });
+
+        return { rootCauses: rootCauses, issues: issues };
+    }
+
+    function weightOf(rc) {
+        if (typeof rc.weight !== "number") { return 1; }
+        return Math.round(Math.max(0, Math.min(1, rc.weight)) * 100) / 100;
+    }
+
+    // Faded issues drop a severity level (below 0.5) or to info (below 0.2)
+    function weightedSeverity(severity, weight) {
+        if (weight >= 0.5 || severity === C.Severity.INFO) { return severity; }
+        if (weight < 0.2) { return C.Severity.INFO; }
+        return severity === C.Severity.CRITICAL ? C.Severity.WARNING : C.Severity.INFO;
+    }
+
+    // ── Built-in rules ─────────────────────────────────────────────────
+
+    // 1. Unplugged (95%)
+    registerRule({
+        id: "unplugged",
+        category: C.Category.UNPLUGGED,
+        priority: 10,
+        inputs: ["statusData"],
+        evaluate: function (ctx) {
+            if (!ctx.isActive(C.Diagnostics.UNPLUGGED)) { return null; }
+            return {
+                confidence: 95,
+                severity: C.Severity.CRITICAL,
+                label: "Unplugged",
+                evidence: ctx.latestEvidence(C.Diagnostics.UNPLUGGED, "> 0"),
+                explanation: "The device has reported an unplugged event. The GO device connector may have been removed from the vehicle\u2019s OBD-II port or power source.",
+                actions: [
+                    "Verify the GO device is firmly seated in the OBD-II port.",
+                    "Check for physical damage to the connector or port.",
+                    "Inspect the wiring harness if a T-harness is used.",
+                    "If recently serviced, confirm the device was reconnected."
+                ]
+            };
+        }
+    });
+
+    // 1b. Possible tampering — repeated unplugs (risk-scored)
+
+    var TAMPER_MIN_EVENTS = 2;
+    var TAMPER_MIN_RISK = 40;
+
+    registerRule({
+        id: "tamper",
+        category: C.Category.UNPLUGGED,
+        priority: 15,
+        inputs: ["statusData", "logRecords"],
+        evaluate: function (ctx) {
+            var risk = DHD.TamperRisk.analyze(ctx.series(C.Diagnostics.UNPLUGGED), ctx.logRecords);
+            if (risk.count < TAMPER_MIN_EVENTS || risk.riskScore < TAMPER_MIN_RISK) { return null; }
+
+            var explanation = "The device was unplugged " + risk.count + " times in this window";
+            var patterns = [];
+            if (risk.shiftCount > 0) { patterns.push(risk.shiftCount + " around shift changes"); }
+            if (risk.weekendCount > 0) { patterns.push(risk.weekendCount + " on weekends"); }
+            explanation += patterns.length ? " (" + patterns.join(", ") + ")." : ".";
+            if (risk.gapHours > 0) {
+                explanation += " The unplugs left " + risk.gapHours.toFixed(1) + " hours of missing trip data.";
             }
+            explanation += " Repeated, patterned unplugs suggest the device is being disconnected deliberately" +
+                " (tamper risk " + risk.riskScore + " of 100).";
+
+            return {
+                confidence: Math.min(90, 40 + Math.round(risk.riskScore / 2)),
+                severity: risk.riskScore >= 75 ? C.Severity.CRITICAL : C.Severity.WARNING,
+                label: "Possible Tampering",
+                details: {
+                    riskScore: risk.riskScore,
+                    unplugCount: risk.count,
+                    shiftCount: risk.shiftCount,
+                    weekendCount: risk.weekendCount,
+                    gapHours: risk.gapHours
+                },
+                evidence: risk.events.slice(-10).reverse().map(function (e) {
+                    var notes = [];
+                    if (e.shiftChange) { notes.push("shift change"); }
+                    if (e.weekend) { notes.push("weekend"); }
+                    if (e.gapHours) { notes.push(e.gapHours.toFixed(1) + "h trail gap"); }
+                    return {
+                        source: "StatusData",
+                        diagnosticId: C.Diagnostics.UNPLUGGED,
+                        value: "unplugged",
+                        dateTime: e.dateTime,
+                        threshold: notes.length ? notes.join(", ") : null,
+                        recordId: e.recordId
+                    };
+                }),
+                explanation: explanation,
+                actions: [
+                    "Review the unplug times with the assigned driver(s) and their shift schedule.",
+                    "Inspect the install for signs of deliberate removal and consider a tamper-resistant harness or mount.",
+                    "Enable unplug notifications so supervisors are alerted in real time."
+                ]
+            };
         }
+    });
 
-        // 2. Hardware Failure / RMA (90%)
-        var hardwareFaults = faults.filter(function (f) {
-            var ids = [];
-            if (f.failureMode && f.failureMode.id) { ids.push(parseInt(f.failureMode.id, 10)); }
-            if (f.diagnostic && f.diagnostic.id) { ids.push(parseInt(f.diagnostic.id, 10)); }
-            return ids.some(function (id) { return C.HARDWARE_FAULT_CODES.indexOf(id) !== -1; });
-        });
-        var flashErrors = sd[C.Diagnostics.FLASH_ERROR];
-        var hasFlashErrors = flashErrors && flashErrors.length > 0 && latestValue(flashErrors) > 0;
+    // 2. Hardware Failure / RMA (90%)
+    registerRule({
+        id: "hardware",
+        category: C.Category.HARDWARE,
+        priority: 20,
+        inputs: ["faults"],
+        evaluate: function (ctx) {
+            var hardwareFaults = ctx.faultsWithCodes(C.HARDWARE_FAULT_CODES);
+            var hasFlashErrors = ctx.isActive(C.Diagnostics.FLASH_ERROR);
+            if (hardwareFaults.length === 0 && !hasFlashErrors) { return null; }
 
-        if (hardwareFaults.length > 0 || hasFlashErrors) {
-            rank++;
-            var hwExplanation = "Hardware-level faults detected.";
+            var explanation = "Hardware-level faults detected.";
             if (hasFlashErrors) {
-                hwExplanation += " Flash memory errors indicate possible internal component failure.";
+                explanation += " Flash memory errors indicate possible internal component failure.";
             }
             if (hardwareFaults.length > 0) {
-                hwExplanation += " Fault codes suggest the device may require replacement (RMA).";
+                explanation += " Fault codes suggest the device may require replacement (RMA)." +
+                    ctx.faultRecency(hardwareFaults);
             }
-            rootCauses.push({
-                rank: rank,
-                category: C.Category.HARDWARE,
+            var evidence = faultEvidenceList(hardwareFaults);
+            if (hasFlashErrors) {
+                evidence = ctx.latestEvidence(C.Diagnostics.FLASH_ERROR, "> 0").concat(evidence);
+            }
+            return {
                 confidence: 90,
                 severity: C.Severity.CRITICAL,
-                explanation: hwExplanation,
+                label: "Hardware Failure",
+                weight: hasFlashErrors ? 1 : ctx.faultWeight(hardwareFaults),
+                evidence: evidence,
+                explanation: explanation,
                 actions: [
                     "Contact Geotab support to initiate an RMA (Return Merchandise Authorization).",
                     "Check for water damage or physical tampering on the device.",
                     "Document the fault codes for the support case.",
                     "Prepare a replacement device for swap."
                 ]
-            });
-            issues.push({ category: C.Category.HARDWARE, severity: C.Severity.CRITICAL, label: "Hardware Failure" });
+            };
         }
+    });
 
-        // 3. Power / Voltage (75-90%)
-        var voltageData = sd[C.Diagnostics.VOLTAGE];
-        var crankingData = sd[C.Diagnostics.CRANKING_VOLTAGE];
-        var hasLowVoltFault = faults.some(function (f) {
-            var fmId = f.failureMode ? parseInt(f.failureMode.id, 10) : NaN;
-            var dId = f.diagnostic ? parseInt(f.diagnostic.id, 10) : NaN;
-            return fmId === 135 || dId === 135;
-        });
-        var lastVoltage = latestValue(voltageData);
-        var lastCranking = latestValue(crankingData);
-
-        if (hasLowVoltFault || (lastVoltage !== null && lastVoltage < C.Voltage.WARNING)) {
-            rank++;
-            var voltConf = 75;
-            var voltSev = C.Severity.WARNING;
-            var voltExpl = "";
-
-            if (lastVoltage !== null && lastVoltage < C.Voltage.DEAD) {
-                voltConf = 90;
-                voltSev = C.Severity.CRITICAL;
-                voltExpl = "Vehicle battery voltage is critically low (" + lastVoltage.toFixed(1) + "V). The battery may be dead or disconnected.";
-            } else if (lastVoltage !== null && lastVoltage < C.Voltage.LOW) {
-                voltConf = 85;
-                voltSev = C.Severity.CRITICAL;
-                voltExpl = "Vehicle battery voltage is very low (" + lastVoltage.toFixed(1) + "V). The battery is likely failing or being drained.";
+    // 3. Power / Voltage (75-90%)
+    registerRule({
+        id: "power",
+        category: C.Category.POWER,
+        priority: 30,
+        inputs: ["faults"],
+        evaluate: function (ctx) {
+            var lowVoltFaults = ctx.faultsWithCodes([135]);
+            var hasLowVoltFault = lowVoltFaults.length > 0;
+            var lastVoltage = ctx.latest(C.Diagnostics.VOLTAGE);
+            var lastCranking = ctx.latest(C.Diagnostics.CRANKING_VOLTAGE);
+
+            var V = ctx.t.Voltage;
+
+            if (!hasLowVoltFault && (lastVoltage === null || lastVoltage >= V.WARNING)) {
+                return null;
+            }
+
+            var confidence = 75;
+            var severity = C.Severity.WARNING;
+            var explanation;
+            var crossed = V.WARNING;
+
+            if (lastVoltage !== null && lastVoltage < V.DEAD) {
+                crossed = V.DEAD;
+                confidence = 90;
+                severity = C.Severity.CRITICAL;
+                explanation = "Vehicle battery voltage is critically low (" + lastVoltage.toFixed(1) + "V). The battery may be dead or disconnected.";
+            } else if (lastVoltage !== null && lastVoltage < V.LOW) {
+                crossed = V.LOW;
+                confidence = 85;
+                severity = C.Severity.CRITICAL;
+                explanation = "Vehicle battery voltage is very low (" + lastVoltage.toFixed(1) + "V). The battery is likely failing or being drained.";
             } else if (lastVoltage !== null) {
-                voltExpl = "Vehicle battery voltage is below normal (" + lastVoltage.toFixed(1) + "V). This may indicate a weak battery or parasitic drain.";
+                explanation = "Vehicle battery voltage is below normal (" + lastVoltage.toFixed(1) + "V). This may indicate a weak battery or parasitic drain.";
             } else {
-                voltExpl = "Low voltage fault code detected, but no recent voltage readings are available.";
+                explanation = "Low voltage fault code detected, but no recent voltage readings are available." +
+                    ctx.faultRecency(lowVoltFaults);
             }
 
-            if (lastCranking !== null && lastCranking < C.Voltage.LOW) {
-                voltExpl += " Cranking voltage was also low (" + lastCranking.toFixed(1) + "V), suggesting battery or starter issues.";
+            var evidence = [];
+            if (lastVoltage !== null && lastVoltage < V.WARNING) {
+                evidence = ctx.latestEvidence(C.Diagnostics.VOLTAGE, "< " + crossed + "V");
             }
+            if (lastCranking !== null && lastCranking < V.LOW) {
+                explanation += " Cranking voltage was also low (" + lastCranking.toFixed(1) + "V), suggesting battery or starter issues.";
+                evidence = evidence.concat(ctx.latestEvidence(C.Diagnostics.CRANKING_VOLTAGE, "< " + V.LOW + "V"));
+            }
+            evidence = evidence.concat(faultEvidenceList(lowVoltFaults));
 
-            rootCauses.push({
-                rank: rank,
-                category: C.Category.POWER,
-                confidence: voltConf,
-                severity: voltSev,
-                explanation: voltExpl,
+            return {
+                confidence: confidence,
+                severity: severity,
+                label: "Low Battery",
+                weight: lastVoltage !== null && lastVoltage < V.WARNING ? 1 : ctx.faultWeight(lowVoltFaults),
+                evidence: evidence,
+                explanation: explanation,
                 actions: [
                     "Test the vehicle battery with a multimeter or battery tester.",
                     "Check for parasitic drains (aftermarket accessories left on).",
                     "Verify the alternator is charging properly.",
                     "If the vehicle is stored long-term, consider a battery maintainer."
                 ]
+            };
+        }
+    });
+
+    // 3b. Battery degrading — resting-voltage trend (50-90%)
+
+    // Only report projections this close; further out the fit is noise
+    var DEGRADATION_HORIZON_DAYS = 60;
+    var DEGRADATION_MIN_NIGHTS = 5;
+
+    registerRule({
+        id: "batteryTrend",
+        category: C.Category.POWER,
+        priority: 35,
+        inputs: ["statusData"],
+        evaluate: function (ctx) {
+            var trend = DHD.VoltageTrend.analyze(ctx.series(C.Diagnostics.VOLTAGE),
+                ctx.series(C.Diagnostics.CRANKING_VOLTAGE), ctx.t);
+            if (trend.daysToFailure === null || trend.nights.length < DEGRADATION_MIN_NIGHTS ||
+                trend.daysToFailure > DEGRADATION_HORIZON_DAYS) {
+                return null;
+            }
+
+            var first = trend.nights[0];
+            var last = trend.nights[trend.nights.length - 1];
+            var mvPerDay = Math.round(-trend.slopePerDay * 1000);
+            var explanation = "The trend in overnight resting voltage fell from " + trend.fittedStart.toFixed(2) +
+                "V to " + trend.fittedEnd.toFixed(2) + "V across " + trend.nights.length +
+                " nights (about " + mvPerDay + " mV/day). ";
+            explanation += trend.daysToFailure === 0 ?
+                "Resting voltage is already at the low threshold (" + ctx.t.Voltage.LOW + "V)." :
+                "At this rate it will drop below " + ctx.t.Voltage.LOW + "V in about " + trend.daysToFailure +
+                " days (" + trend.projectedLowDate.toLocaleDateString() + ").";
+
+            var evidence = [first, last].map(function (n) {
+                return { source: "StatusData", diagnosticId: C.Diagnostics.VOLTAGE, value: +n.restingVoltage.toFixed(2),
+                    dateTime: n.dateTime, threshold: "night resting voltage", recordId: n.recordId };
             });
-            issues.push({ category: C.Category.POWER, severity: voltSev, label: "Low Battery" });
+
+            var deepest = trend.crankingDips.reduce(function (worst, dip) {
+                return !worst || dip.depth > worst.depth ? dip : worst;
+            }, null);
+            if (deepest) {
+                explanation += " The deepest cranking dip was " + deepest.depth.toFixed(1) + "V (to " +
+                    deepest.crankingVoltage.toFixed(1) + "V).";
+                evidence.push({ source: "StatusData", diagnosticId: C.Diagnostics.CRANKING_VOLTAGE,
+                    value: deepest.crankingVoltage, dateTime: deepest.dateTime,
+                    threshold: "dip " + deepest.depth.toFixed(1) + "V", recordId: deepest.recordId });
+            }
+
+            return {
+                confidence: Math.round(50 + 40 * Math.max(0, trend.r2)),
+                severity: trend.daysToFailure <= 14 ? C.Severity.WARNING : C.Severity.INFO,
+                label: "Battery Degrading",
+                details: {
+                    daysToFailure: trend.daysToFailure,
+                    projectedLowDate: trend.projectedLowDate,
+                    slopePerDay: trend.slopePerDay
+                },
+                evidence: evidence,
+                explanation: explanation,
+                actions: [
+                    "Load-test the battery at the next scheduled service.",
+                    "Plan a battery replacement before the projected date to avoid a roadside no-start.",
+                    "Check for parasitic drain if the vehicle sits idle for long periods."
+                ]
+            };
         }
+    });
 
-        // 4. Installation / Harness (75%)
-        var canInitFail = sd[C.Diagnostics.CAN_INIT_FAIL];
-        var canShort = sd[C.Diagnostics.CAN_SHORT];
-        var canDisabled = sd[C.Diagnostics.CAN_DISABLED];
-        var hasInstallFault = faults.some(function (f) {
-            var fmId = f.failureMode ? parseInt(f.failureMode.id, 10) : NaN;
-            var dId = f.diagnostic ? parseInt(f.diagnostic.id, 10) : NaN;
-            return fmId === 287 || dId === 287;
-        });
-        var hasCanIssue = (canInitFail && canInitFail.length > 0 && latestValue(canInitFail) > 0) ||
-                          (canShort && canShort.length > 0 && latestValue(canShort) > 0);
+    // 3c. Parasitic drain — voltage decay while the engine is off (65-85%)
 
-        if (hasInstallFault || hasCanIssue) {
-            rank++;
-            var instExpl = "Installation issues detected.";
+    registerRule({
+        id: "parasiticDrain",
+        category: C.Category.POWER,
+        priority: 36,
+        inputs: ["statusData", "logRecords"],
+        evaluate: function (ctx) {
+            var limit = ctx.t.ParasiticDrain.MV_PER_HOUR;
+            var periods = DHD.VoltageTrend.analyzeDrain(ctx.series(C.Diagnostics.VOLTAGE), ctx.logRecords, ctx.t);
+            var draining = periods.filter(function (p) { return p.mvPerHour > limit; });
+            // One bad night can be a light left on; want it to repeat
+            if (draining.length === 0 || draining.length < Math.min(2, periods.length)) { return null; }
+
+            var worst = draining[0];
+            var share = Math.round(draining.length / periods.length * 100);
+            return {
+                confidence: Math.min(85, 65 + draining.length * 5),
+                severity: worst.mvPerHour > limit * 2 ? C.Severity.WARNING : C.Severity.INFO,
+                label: "Parasitic Drain",
+                details: { periods: periods.length, draining: draining.length, worstMvPerHour: worst.mvPerHour },
+                evidence: draining.slice(0, 5).map(function (p) {
+                    return {
+                        source: "StatusData",
+                        diagnosticId: C.Diagnostics.VOLTAGE,
+                        value: Math.round(p.mvPerHour) + " mV/h (" + p.startVoltage.toFixed(2) + "V \u2192 " +
+                            p.endVoltage.toFixed(2) + "V over " + Math.round(p.hours) + "h)",
+                        dateTime: p.start,
+                        threshold: "> " + limit + " mV/h",
+                        recordId: p.endRecordId
+                    };
+                }),
+                explanation: "Battery voltage fell faster than " + limit + " mV/hour in " + draining.length + " of " +
+                    periods.length + " engine-off periods (" + share + "%), peaking at " + Math.round(worst.mvPerHour) +
+                    " mV/hour. Something is drawing current while the vehicle is parked.",
+                actions: [
+                    "Check aftermarket accessories (lights, inverters, dash cams, radios) for power drawn with the ignition off.",
+                    "Confirm accessories are wired to switched (ignition) power rather than constant battery power.",
+                    "Measure key-off current draw with a clamp meter after the vehicle has slept.",
+                    "Load-test the battery; a weak battery makes normal drain look worse."
+                ]
+            };
+        }
+    });
+
+    // 4. Installation / Harness (75%)
+    registerRule({
+        id: "installation",
+        category: C.Category.INSTALLATION,
+        priority: 40,
+        inputs: ["faults"],
+        evaluate: function (ctx) {
+            var installFaults = ctx.faultsWithCodes([287]);
+            var hasInstallFault = installFaults.length > 0;
+            // While CAN is disabled the canDisabled rule reports the init
+            // failures that led to it, so they are not deducted twice
+            var canInitFail = ctx.isActive(C.Diagnostics.CAN_INIT_FAIL) &&
+                !ctx.isActive(C.Diagnostics.CAN_DISABLED);
+            var canShort = ctx.isActive(C.Diagnostics.CAN_SHORT);
+            var hasCanIssue = canInitFail || canShort;
+            if (!hasInstallFault && !hasCanIssue) { return null; }
+
+            var explanation = "Installation issues detected.";
             if (hasInstallFault) {
-                instExpl += " The device reported a bad-install fault, suggesting it is not properly connected to the vehicle.";
+                explanation += " The device reported a bad-install fault, suggesting it is not properly connected to the vehicle." +
+                    ctx.faultRecency(installFaults);
             }
             if (hasCanIssue) {
-                instExpl += " CAN bus communication problems indicate a wiring or connector issue.";
+                explanation += " CAN bus communication problems indicate a wiring or connector issue.";
             }
 
-            rootCauses.push({
-                rank: rank,
-                category: C.Category.INSTALLATION,
+            var evidence = [];
+            if (canInitFail) { evidence = evidence.concat(ctx.latestEvidence(C.Diagnostics.CAN_INIT_FAIL, "> 0")); }
+            if (canShort) { evidence = evidence.concat(ctx.latestEvidence(C.Diagnostics.CAN_SHORT, "> 0")); }
+
+            return {
                 confidence: 75,
                 severity: C.Severity.WARNING,
-                explanation: instExpl,
+                label: "Loose Install",
+                weight: hasCanIssue ? 1 : ctx.faultWeight(installFaults),
+                evidence: evidence.concat(faultEvidenceList(installFaults)),
+                explanation: explanation,
                 actions: [
                     "Re-seat the GO device in the OBD-II port.",
                     "Inspect the T-harness connections for corrosion or loose pins.",
                     "Verify the correct harness type is used for this vehicle.",
                     "Check that CAN bus wiring is not pinched or damaged."
                 ]
-            });
-            issues.push({ category: C.Category.INSTALLATION, severity: C.Severity.WARNING, label: "Loose Install" });
+            };
         }
+    });
 
-        // 5. GPS Issues (60-90%)
-        var gpsNotResp = sd[C.Diagnostics.GPS_NOT_RESPONDING];
-        var gpsUnplugged = sd[C.Diagnostics.GPS_ANTENNA_UNPLUGGED];
-        var gpsShort = sd[C.Diagnostics.GPS_ANTENNA_SHORT];
+    // 4a. CAN bus disabled (70-85%)
+    //
+    // Firmware turns CAN off by itself after repeated init failures; a
+    // disable with no failures shortly before it came from the config.
 
-        var hasGpsAntennaFault = (gpsUnplugged && gpsUnplugged.length > 0 && latestValue(gpsUnplugged) > 0) ||
-                                (gpsShort && gpsShort.length > 0 && latestValue(gpsShort) > 0);
-        var hasGpsNotResponding = gpsNotResp && gpsNotResp.length > 0 && latestValue(gpsNotResp) > 0;
+    var CAN_FAILURE_LOOKBACK_H = 24;
+    var CAN_FAILURES_BEFORE_DISABLE = 2;
 
-        // Check for communicating-but-no-GPS-updates pattern
-        var gpsStale = false;
-        if (isCommunicating && logRecords.length > 0) {
-            var sortedLogs = logRecords.slice().sort(function (a, b) {
-                return new Date(b.dateTime) - new Date(a.dateTime);
+    function sortedSeries(records) {
+        return records.slice().sort(function (a, b) {
+            return new Date(a.dateTime) - new Date(b.dateTime);
+        });
+    }
+
+    // First record of the trailing run of "disabled" values
+    function disabledSince(records) {
+        var sorted = sortedSeries(records);
+        var start = null;
+        for (var i = sorted.length - 1; i >= 0 && sorted[i].data > 0; i--) {
+            start = sorted[i];
+        }
+        return start;
+    }
+
+    registerRule({
+        id: "canDisabled",
+        category: C.Category.INSTALLATION,
+        priority: 42,
+        inputs: ["statusData"],
+        evaluate: function (ctx) {
+            if (!ctx.isActive(C.Diagnostics.CAN_DISABLED)) { return null; }
+
+            var disabledRec = disabledSince(ctx.series(C.Diagnostics.CAN_DISABLED));
+            var disabledAt = new Date(disabledRec.dateTime).getTime();
+            var failures = ctx.series(C.Diagnostics.CAN_INIT_FAIL).filter(function (rec) {
+                var t = new Date(rec.dateTime).getTime();
+                return rec.data > 0 && t <= disabledAt && disabledAt - t <= CAN_FAILURE_LOOKBACK_H * 3600000;
             });
-            var lastLog = new Date(sortedLogs[0].dateTime);
-            var logAgeH = (Date.now() - lastLog.getTime()) / (1000 * 60 * 60);
-            if (logAgeH > 4) {
-                gpsStale = true;
+            var evidence = [statusEvidence(C.Diagnostics.CAN_DISABLED, disabledRec, "> 0")].concat(
+                sortedSeries(failures).reverse().slice(0, 10).map(function (rec) {
+                    return statusEvidence(C.Diagnostics.CAN_INIT_FAIL, rec, "before disable");
+                }));
+
+            // A single failure is short of what firmware disables on, but
+            // still says more about the cause than the configuration does
+            if (failures.length > 0) {
+                var repeated = failures.length >= CAN_FAILURES_BEFORE_DISABLE;
+                return {
+                    confidence: repeated ? 85 : 65,
+                    severity: C.Severity.WARNING,
+                    label: "CAN Disabled (Init Failures)",
+                    evidence: evidence,
+                    explanation: (repeated ?
+                        "The device disabled CAN bus communication after " + failures.length +
+                            " failed initialization attempts in the preceding " + CAN_FAILURE_LOOKBACK_H + " hours. " :
+                        "CAN bus communication is disabled, and one initialization attempt failed in the " +
+                            CAN_FAILURE_LOOKBACK_H + " hours before it. One failure is usually not enough for the " +
+                            "device to disable CAN by itself, so the configuration may also be involved. ") +
+                        "Engine data (odometer, fuel, engine faults) is not being collected. " +
+                        "This usually points to a wiring, harness or vehicle bus problem.",
+                    actions: [
+                        "Inspect the harness and OBD-II / Deutsch connector for loose or damaged pins.",
+                        "Verify the harness type matches the vehicle\u2019s diagnostic port.",
+                        "Check whether other modules on the vehicle bus report communication faults.",
+                        "After repairs, power-cycle the device so it retries CAN initialization."
+                    ]
+                };
             }
+
+            return {
+                confidence: 70,
+                severity: C.Severity.INFO,
+                label: "CAN Disabled (Config)",
+                evidence: evidence,
+                explanation: "CAN bus communication is disabled and no initialization failures preceded it, " +
+                    "so it was most likely turned off by the device configuration. Engine data " +
+                    "(odometer, fuel, engine faults) will not be collected while it stays off.",
+                actions: [
+                    "Confirm CAN is meant to be off for this asset (e.g. trailers or vehicles with restricted OBD access).",
+                    "If engine data is expected, enable CAN bus communication in the device configuration.",
+                    "Check that the pending configuration has been sent to the device."
+                ]
+            };
         }
+    });
+
+    // 4b. Wrong harness for the vehicle class (80%)
+
+    var HARNESS_ACTIONS = {
+        standard: [
+            "Replace the OBD-II T-harness with the vehicle\u2019s 9-pin (J1939) or 6-pin (J1708) Deutsch harness.",
+            "Confirm the diagnostic port type before ordering \u2014 most heavy-duty vehicles use a 9-pin connector."
+        ],
+        "6pin": [
+            "Confirm the vehicle has a 6-pin (J1708) diagnostic port; newer vehicles usually need a 9-pin or OBD-II harness.",
+            "Replace the harness with one that matches the vehicle\u2019s diagnostic port."
+        ],
+        "9pin": [
+            "Replace the 9-pin harness with a standard OBD-II harness, or plug the GO device directly into the OBD-II port.",
+            "Check whether the harness was moved from a heavy-duty vehicle during a swap."
+        ]
+    };
+
+    // Vehicle class from the device record: a vehicleClass field or a
+    // "Vehicle class" custom property. Null when not recorded.
+    function deviceVehicleClass(device) {
+        if (!device) { return null; }
+        var candidates = [device.vehicleClass];
+        (device.customProperties || []).forEach(function (cp) {
+            if (cp.property && /vehicle\s*class/i.test(cp.property.name || "")) {
+                candidates.push(String(cp.value || "").toLowerCase());
+            }
+        });
+        for (var i = 0; i < candidates.length; i++) {
+            for (var key in C.VehicleClass) {
+                if (C.VehicleClass[key] === candidates[i]) { return candidates[i]; }
+            }
+        }
+        return null;
+    }
+
+    // The harness most recently reported as detected, or null
+    function detectHarness(ctx) {
+        var found = null;
+        Object.keys(C.Harnesses).forEach(function (harness) {
+            var diagId = C.Harnesses[harness].diagnosticId;
+            if (!ctx.isActive(diagId)) { return; }
+            var rec = ctx.latestRecord(diagId);
+            if (!found || new Date(rec.dateTime) > new Date(found.record.dateTime)) {
+                found = { harness: harness, diagnosticId: diagId, record: rec };
+            }
+        });
+        return found;
+    }
+
+    registerRule({
+        id: "wrongHarness",
+        category: C.Category.INSTALLATION,
+        priority: 45,
+        inputs: ["statusData"],
+        evaluate: function (ctx) {
+            var detected = detectHarness(ctx);
+            if (!detected) { return null; }
+
+            var vehicleClass = deviceVehicleClass(ctx.device);
+            var classSource = "Device";
+            if (!vehicleClass && ctx.t.vehicleClass) {
+                vehicleClass = ctx.t.vehicleClass;
+                classSource = "ThresholdProfile";
+            }
+            if (!vehicleClass) { return null; }
 
-        if (hasGpsAntennaFault || hasGpsNotResponding || gpsStale) {
-            rank++;
-            var gpsConf = 60;
-            var gpsSev = C.Severity.WARNING;
-            var gpsExpl = "";
-
-            if (hasGpsAntennaFault) {
-                gpsConf = 90;
-                gpsSev = C.Severity.CRITICAL;
-                gpsExpl = "GPS antenna fault detected (unplugged or short circuit). The device cannot acquire satellite position.";
-            } else if (hasGpsNotResponding) {
-                gpsConf = 80;
-                gpsExpl = "The GPS module is not responding. This may be a hardware issue or severe signal blockage.";
+            var allowed = ctx.t.HarnessVehicleClasses[detected.harness] || [];
+            if (allowed.indexOf(vehicleClass) !== -1) { return null; }
+
+            var harnessLabel = C.Harnesses[detected.harness].label;
+            return {
+                confidence: 80,
+                severity: C.Severity.WARNING,
+                label: "Wrong Harness",
+                evidence: [
+                    statusEvidence(detected.diagnosticId, detected.record, "expected on " + allowed.join("/") + " vehicles"),
+                    { source: classSource, diagnosticId: null, value: vehicleClass + " vehicle",
+                        dateTime: null, threshold: null,
+                        recordId: classSource === "Device" ? (ctx.device ? ctx.device.id : null) : ctx.t.profileId }
+                ],
+                explanation: "The device detected a " + harnessLabel + " harness, but the vehicle is recorded as " +
+                    vehicleClass + "-duty. This harness is normally used on " + allowed.join(" or ") +
+                    "-duty vehicles, so engine data and ignition detection may be unreliable.",
+                actions: (HARNESS_ACTIONS[detected.harness] || []).concat([
+                    "If the vehicle class is wrong, correct it on the device or in the group\u2019s threshold profile."
+                ])
+            };
+        }
+    });
+
+    // 5. GPS Issues (60-90%)
+    registerRule({
+        id: "gps",
+        category: C.Category.GPS,
+        priority: 50,
+        inputs: ["statusInfo"],
+        evaluate: function (ctx) {
+            var si = ctx.statusInfo;
+            var antennaUnplugged = ctx.isActive(C.Diagnostics.GPS_ANTENNA_UNPLUGGED);
+            var antennaShort = ctx.isActive(C.Diagnostics.GPS_ANTENNA_SHORT);
+            var hasAntennaFault = antennaUnplugged || antennaShort;
+            var hasNotResponding = ctx.isActive(C.Diagnostics.GPS_NOT_RESPONDING);
+            var zeroPosition = ctx.isCommunicating && si.latitude === 0 && si.longitude === 0;
+
+            // Communicating but no GPS updates
+            var gpsStale = false;
+            var lastLog = null;
+            var logRecords = ctx.logRecords || [];
+            if (ctx.isCommunicating && logRecords.length > 0) {
+                lastLog = logRecords.reduce(function (latest, rec) {
+                    return !latest || new Date(rec.dateTime) > new Date(latest.dateTime) ? rec : latest;
+                }, null);
+                gpsStale = hoursAgo(lastLog.dateTime) > 4;
+            }
+
+            if (!hasAntennaFault && !hasNotResponding && !zeroPosition && !gpsStale) { return null; }
+
+            var confidence = 60;
+            var severity = C.Severity.WARNING;
+            var explanation;
+            var evidence = [];
+
+            if (hasAntennaFault) {
+                confidence = 90;
+                severity = C.Severity.CRITICAL;
+                explanation = "GPS antenna fault detected (unplugged or short circuit). The device cannot acquire satellite position.";
+                if (antennaUnplugged) { evidence = evidence.concat(ctx.latestEvidence(C.Diagnostics.GPS_ANTENNA_UNPLUGGED, "> 0")); }
+                if (antennaShort) { evidence = evidence.concat(ctx.latestEvidence(C.Diagnostics.GPS_ANTENNA_SHORT, "> 0")); }
+            } else if (hasNotResponding) {
+                confidence = 80;
+                explanation = "The GPS module is not responding. This may be a hardware issue or severe signal blockage.";
+                evidence = ctx.latestEvidence(C.Diagnostics.GPS_NOT_RESPONDING, "> 0");
+            } else if (zeroPosition) {
+                confidence = 70;
+                explanation = "The device is communicating but reports a position of 0, 0. It has not acquired a valid GPS fix.";
+                evidence = [{ source: "DeviceStatusInfo", diagnosticId: null, value: "0, 0",
+                    dateTime: si.dateTime, threshold: "position = 0, 0", recordId: null }];
             } else {
-                gpsExpl = "The device is communicating but GPS data is stale. The device may be in a location with poor sky visibility (underground parking, dense urban canyon).";
+                explanation = "The device is communicating but GPS data is stale. The device may be in a location with poor sky visibility (underground parking, dense urban canyon).";
+                evidence = [{ source: "LogRecord", diagnosticId: null,
+                    value: lastLog.latitude != null ? lastLog.latitude.toFixed(5) + ", " + lastLog.longitude.toFixed(5) : null,
+                    dateTime: lastLog.dateTime, threshold: "> 4h old", recordId: lastLog.id || null }];
             }
 
-            rootCauses.push({
-                rank: rank,
-                category: C.Category.GPS,
-                confidence: gpsConf,
-                severity: gpsSev,
-                explanation: gpsExpl,
+            return {
+                confidence: confidence,
+                severity: severity,
+                label: "GPS Issue",
+                evidence: evidence,
+                explanation: explanation,
                 actions: [
                     "Verify the GPS antenna connection on the device.",
                     "Move the vehicle to an open-sky area and check for GPS lock.",
                     "Check if a metallic windshield tint is blocking GPS signals.",
                     "If using an external antenna, inspect the cable and mount."
                 ]
+            };
+        }
+    });
+
+    var CELLULAR_ACTIONS = [
+        "Check the vehicle\u2019s typical operating area for cellular coverage.",
+        "Verify the device\u2019s SIM card is properly seated.",
+        "Try a power cycle by disconnecting and reconnecting the device.",
+        "If in a known dead zone, wait for the vehicle to move to coverage."
+    ];
+
+    // 5b. GPS quality from the LogRecord trail (50-90%)
+
+    var GPS_FINDINGS = {
+        jump: {
+            label: "GPS Jumps",
+            severity: C.Severity.WARNING,
+            explanation: "Consecutive GPS fixes are further apart than the vehicle could have traveled. ",
+            actions: [
+                "Check the GPS antenna cable and connector (or the GO device\u2019s sky view if it has an internal antenna).",
+                "Move the device or antenna away from metal surfaces and heated/metallic windshield films.",
+                "If jumps continue after re-positioning, replace the antenna or the device."
+            ]
+        },
+        frozen: {
+            label: "Frozen GPS Position",
+            severity: C.Severity.WARNING,
+            explanation: "The device kept logging but its position did not change. ",
+            actions: [
+                "Inspect the GPS antenna connection \u2014 a lost fix often repeats the last known position.",
+                "Power-cycle the device to force a fresh GPS acquisition.",
+                "If the position stays frozen, raise an RMA for the device."
+            ]
+        },
+        zeroSpeedCluster: {
+            label: "GPS Drift",
+            severity: C.Severity.INFO,
+            explanation: "While the vehicle was stopped its reported position wandered, a sign of a weak fix. ",
+            actions: [
+                "Improve the device or antenna\u2019s view of the sky.",
+                "Check whether the drift happens at the same depot or parking structure (multipath from buildings)."
+            ]
+        }
+    };
+
+    registerRule({
+        id: "gpsQuality",
+        category: C.Category.GPS,
+        priority: 55,
+        inputs: ["logRecords"],
+        evaluate: function (ctx) {
+            return DHD.GpsQuality.analyze(ctx.logRecords).map(function (finding) {
+                var def = GPS_FINDINGS[finding.type];
+                return {
+                    confidence: finding.confidence,
+                    severity: def.severity,
+                    label: def.label,
+                    details: { type: finding.type, count: finding.count },
+                    evidence: finding.points.map(function (p) {
+                        return {
+                            source: "LogRecord",
+                            diagnosticId: null,
+                            value: DHD.GpsQuality.formatPosition(p.record) +
+                                (p.record.speed != null ? " @ " + p.record.speed + " km/h" : ""),
+                            dateTime: p.record.dateTime,
+                            threshold: p.note,
+                            recordId: p.record.id || null
+                        };
+                    }),
+                    explanation: def.explanation + finding.summary,
+                    actions: def.actions
+                };
             });
-            issues.push({ category: C.Category.GPS, severity: gpsSev, label: "GPS Issue" });
         }
+    });
 
-        // 6. Cellular / Connectivity (55-85%)
-        var rssiData = sd[C.Diagnostics.CELLULAR_RSSI];
-        var intermittent = sd[C.Diagnostics.INTERMITTENT_CONNECTION];
-        var lastRSSI = latestValue(rssiData);
-        var hasIntermittent = intermittent && intermittent.length > 0 && latestValue(intermittent) > 0;
-
-        var cellIssue = false;
-        var cellConf = 55;
-        var cellSev = C.Severity.INFO;
-        var cellExpl = "";
-
-        if (lastRSSI !== null && lastRSSI < C.RSSI.NO_SIGNAL) {
-            cellIssue = true;
-            cellConf = 85;
-            cellSev = C.Severity.CRITICAL;
-            cellExpl = "Cellular signal is at no-signal level (" + lastRSSI + " dBm). The device cannot communicate with the server.";
-        } else if (lastRSSI !== null && lastRSSI < C.RSSI.POOR) {
-            cellIssue = true;
-            cellConf = 70;
-            cellSev = C.Severity.WARNING;
-            cellExpl = "Cellular signal is poor (" + lastRSSI + " dBm). Data uploads may be delayed or incomplete.";
-        } else if (hasIntermittent) {
-            cellIssue = true;
-            cellConf = 65;
-            cellSev = C.Severity.WARNING;
-            cellExpl = "Intermittent connectivity detected. The device is cycling between connected and disconnected states.";
-        } else if (!isCommunicating && offlineH > C.OfflineHours.NORMAL_SLEEP) {
-            cellIssue = true;
-            cellConf = 60;
-            cellSev = offlineH > C.OfflineHours.EXTENDED ? C.Severity.CRITICAL : C.Severity.WARNING;
-            cellExpl = "The device has been offline for " + Math.round(offlineH) + " hours.";
-            if (offlineH > C.OfflineHours.EXTENDED) {
-                cellExpl += " Extended offline periods may indicate the vehicle is in a no-coverage area, the device has lost power, or there is a cellular modem issue.";
+    // 6. Cellular / Connectivity (55-85%)
+    registerRule({
+        id: "cellular",
+        category: C.Category.CELLULAR,
+        priority: 60,
+        inputs: ["statusData"],
+        evaluate: function (ctx) {
+            var lastRSSI = ctx.latest(C.Diagnostics.CELLULAR_RSSI);
+            var result = null;
+
+            if (lastRSSI !== null && lastRSSI < ctx.t.RSSI.NO_SIGNAL) {
+                result = { confidence: 85, severity: C.Severity.CRITICAL,
+                    explanation: "Cellular signal is at no-signal level (" + lastRSSI + " dBm). The device cannot communicate with the server.",
+                    evidence: ctx.latestEvidence(C.Diagnostics.CELLULAR_RSSI, "< " + ctx.t.RSSI.NO_SIGNAL + " dBm") };
+            } else if (lastRSSI !== null && lastRSSI < ctx.t.RSSI.POOR) {
+                result = { confidence: 70, severity: C.Severity.WARNING,
+                    explanation: "Cellular signal is poor (" + lastRSSI + " dBm). Data uploads may be delayed or incomplete.",
+                    evidence: ctx.latestEvidence(C.Diagnostics.CELLULAR_RSSI, "< " + ctx.t.RSSI.POOR + " dBm") };
+            } else if (ctx.isActive(C.Diagnostics.INTERMITTENT_CONNECTION)) {
+                result = { confidence: 65, severity: C.Severity.WARNING,
+                    explanation: "Intermittent connectivity detected. The device is cycling between connected and disconnected states.",
+                    evidence: ctx.latestEvidence(C.Diagnostics.INTERMITTENT_CONNECTION, "> 0") };
+            } else if (ctx.statusInfo && !ctx.isCommunicating && ctx.offlineH > ctx.t.OfflineHours.NORMAL_SLEEP) {
+                result = offlineCause(ctx);
             }
+
+            if (!result) { return null; }
+            result.label = "Connectivity Issue";
+            result.actions = CELLULAR_ACTIONS;
+            return result;
         }
+    });
 
-        if (cellIssue) {
-            rank++;
-            rootCauses.push({
-                rank: rank,
-                category: C.Category.CELLULAR,
-                confidence: cellConf,
-                severity: cellSev,
-                explanation: cellExpl,
+    // 6b. Modem problem vs known dead zone — RSSI by location (60-85%)
+
+    registerRule({
+        id: "cellularCoverage",
+        category: C.Category.CELLULAR,
+        priority: 62,
+        inputs: ["coverage"],
+        evaluate: function (ctx) {
+            var coverage = ctx.coverage;
+            if (!coverage.verdict) { return null; }
+
+            var modem = coverage.verdict === "modem";
+            var flagged = modem ? coverage.modemCells : coverage.deadZoneCells;
+            var evidence = flagged.slice(0, 6).map(function (cell) {
+                return {
+                    source: "StatusData",
+                    diagnosticId: C.Diagnostics.CELLULAR_RSSI,
+                    value: cell.worstRssi + " dBm worst, " + cell.poor + "/" + cell.samples + " poor at " +
+                        cell.latitude.toFixed(3) + ", " + cell.longitude.toFixed(3),
+                    dateTime: cell.lastSeen,
+                    threshold: modem ? cell.otherDevices + " other devices fine here" :
+                        cell.otherPoorDevices + " other devices also poor here",
+                    recordId: null
+                };
+            });
+
+            if (modem) {
+                return {
+                    confidence: Math.min(85, 60 + flagged.length * 5),
+                    severity: C.Severity.WARNING,
+                    label: "Modem Problem Suspected",
+                    details: { verdict: coverage.verdict, cells: flagged.length },
+                    evidence: evidence,
+                    explanation: "Signal was poor in " + flagged.length + " area" + (flagged.length === 1 ? "" : "s") +
+                        " where other devices had good coverage. The problem travels with this device rather than the route.",
+                    actions: [
+                        "Check the cellular antenna (if external) and its cable for damage.",
+                        "Make sure the device isn\u2019t mounted behind metal or under heavy dash insulation.",
+                        "If signal stays poor after re-mounting, raise an RMA for the device."
+                    ]
+                };
+            }
+
+            return {
+                confidence: Math.min(85, 60 + flagged.length * 5),
+                severity: C.Severity.INFO,
+                label: "Known Dead Zone",
+                details: { verdict: coverage.verdict, cells: flagged.length },
+                evidence: evidence,
+                explanation: "Most poor-signal readings came from " + flagged.length + " area" +
+                    (flagged.length === 1 ? "" : "s") + " where other devices also lose signal. " +
+                    "The device is likely fine; data will upload once the vehicle is back in coverage.",
                 actions: [
-                    "Check the vehicle\u2019s typical operating area for cellular coverage.",
-                    "Verify the device\u2019s SIM card is properly seated.",
-                    "Try a power cycle by disconnecting and reconnecting the device.",
-                    "If in a known dead zone, wait for the vehicle to move to coverage."
+                    "No hardware action needed \u2014 review the listed areas on the Signal Coverage card.",
+                    "If live tracking matters on this route, consider a carrier with better local coverage."
                 ]
-            });
-            issues.push({ category: C.Category.CELLULAR, severity: cellSev, label: "Connectivity Issue" });
+            };
+        }
+    });
+
+    // 7. Offline (60%)
+    //
+    // Runs first so fleet-level issues (and primaryIssue) lead with it. In
+    // a drill-down the cellular rule reports offline as its last fallback
+    // instead, so a device is never deducted for both.
+
+    function offlineCause(ctx) {
+        var offlineH = ctx.offlineH;
+        var hours = ctx.t.OfflineHours;
+        var extended = offlineH > hours.EXTENDED;
+        var explanation = "The device has been offline for " + Math.round(offlineH) + " hours.";
+        if (extended) {
+            explanation += " Extended offline periods may indicate the vehicle is in a no-coverage area, the device has lost power, or there is a cellular modem issue.";
+        }
+        return {
+            confidence: 60,
+            severity: extended ? C.Severity.CRITICAL : C.Severity.WARNING,
+            evidence: [{ source: "DeviceStatusInfo", diagnosticId: null, value: Math.round(offlineH) + "h offline",
+                dateTime: ctx.statusInfo.dateTime,
+                threshold: "> " + (extended ? hours.EXTENDED : hours.NORMAL_SLEEP) + "h", recordId: null }],
+            explanation: explanation
+        };
+    }
+
+    registerRule({
+        id: "offline",
+        category: C.Category.OFFLINE,
+        priority: 5,
+        inputs: ["statusInfo"],
+        evaluate: function (ctx) {
+            if (ctx.statusData || ctx.isCommunicating || ctx.offlineH <= ctx.t.OfflineHours.NORMAL_SLEEP) {
+                return null;
+            }
+            var hours = ctx.t.OfflineHours;
+            var extended = ctx.offlineH > hours.EXTENDED;
+            var result = offlineCause(ctx);
+            result.label = "Offline > " + (extended ? hours.EXTENDED : hours.NORMAL_SLEEP) + "h";
+            result.key = extended ? "extended" : "sleep";
+            result.actions = CELLULAR_ACTIONS;
+            return result;
         }
+    });
 
-        // 7. Firmware (95%)
-        var bootloaderFail = sd[C.Diagnostics.BOOTLOADER_FAIL];
-        var hasBootFail = bootloaderFail && bootloaderFail.length > 0 && latestValue(bootloaderFail) > 0;
-        var hasFwMismatch = device && device.parameterVersion != null &&
-                            device.parameterVersionOnDevice != null &&
-                            device.parameterVersion !== device.parameterVersionOnDevice;
-
-        if (hasBootFail || hasFwMismatch) {
-            rank++;
-            var fwSev = hasBootFail ? C.Severity.WARNING : C.Severity.INFO;
-            var fwExpl = "";
+    // 8. Firmware (95%)
+    registerRule({
+        id: "firmware",
+        category: C.Category.FIRMWARE,
+        priority: 70,
+        inputs: ["device"],
+        evaluate: function (ctx) {
+            var device = ctx.device;
+            var hasBootFail = ctx.isActive(C.Diagnostics.BOOTLOADER_FAIL);
+            var hasFwMismatch = device.parameterVersion != null &&
+                                device.parameterVersionOnDevice != null &&
+                                device.parameterVersion !== device.parameterVersionOnDevice;
+            if (!hasBootFail && !hasFwMismatch) { return null; }
+
+            var explanation;
             if (hasBootFail) {
-                fwExpl = "A bootloader update has failed on this device. The device may not be running the expected firmware version.";
+                explanation = "A bootloader update has failed on this device. The device may not be running the expected firmware version.";
             } else {
-                fwExpl = "The device has a pending configuration update (parameter version " +
+                explanation = "The device has a pending configuration update (parameter version " +
                     device.parameterVersion + " vs on-device " + device.parameterVersionOnDevice +
                     "). It will apply on next communication.";
             }
 
-            rootCauses.push({
-                rank: rank,
-                category: C.Category.FIRMWARE,
+            var evidence = hasBootFail ? ctx.latestEvidence(C.Diagnostics.BOOTLOADER_FAIL, "> 0") : [];
+            if (hasFwMismatch) {
+                evidence.push({ source: "Device", diagnosticId: null,
+                    value: device.parameterVersion + " vs on-device " + device.parameterVersionOnDevice,
+                    dateTime: null, threshold: "versions differ", recordId: device.id || null });
+            }
+
+            return {
                 confidence: 95,
-                severity: fwSev,
-                explanation: fwExpl,
+                severity: hasBootFail ? C.Severity.WARNING : C.Severity.INFO,
+                label: hasBootFail ? "Firmware Failure" : "Firmware Pending",
+                evidence: evidence,
+                explanation: explanation,
                 actions: [
                     "If bootloader failed, contact Geotab support for a manual firmware push.",
                     "Ensure the device has stable power and connectivity for firmware updates.",
                     "For pending config, the device will auto-update on next check-in.",
                     "Avoid making additional config changes until the current update completes."
                 ]
-            });
-            issues.push({ category: C.Category.FIRMWARE, severity: fwSev, label: hasBootFail ? "Firmware Failure" : "Firmware Pending" });
+            };
         }
+    });
 
-        // 8. OEM Issues (85%)
-        var oemFaults = faults.filter(function (f) {
-            var fmId = f.failureMode ? parseInt(f.failureMode.id, 10) : NaN;
-            var dId = f.diagnostic ? parseInt(f.diagnostic.id, 10) : NaN;
-            return C.OEM_FAULT_CODES.indexOf(fmId) !== -1 || C.OEM_FAULT_CODES.indexOf(dId) !== -1;
-        });
-
-        if (oemFaults.length > 0) {
-            rank++;
-            rootCauses.push({
-                rank: rank,
-                category: C.Category.OEM,
+    // 9. OEM Issues (85%)
+    registerRule({
+        id: "oem",
+        category: C.Category.OEM,
+        priority: 80,
+        inputs: ["faults"],
+        evaluate: function (ctx) {
+            var oemFaults = ctx.faultsWithCodes(C.OEM_FAULT_CODES);
+            if (oemFaults.length === 0) { return null; }
+            return {
                 confidence: 85,
                 severity: C.Severity.INFO,
-                explanation: "OEM-related fault codes (SWC) detected. These typically relate to vehicle-specific steering-wheel-control or aftermarket integration issues.",
+                label: "OEM Issue",
+                weight: ctx.faultWeight(oemFaults),
+                evidence: faultEvidenceList(oemFaults),
+                explanation: "OEM-related fault codes (SWC) detected. These typically relate to vehicle-specific steering-wheel-control or aftermarket integration issues." +
+                    ctx.faultRecency(oemFaults),
                 actions: [
                     "Check if aftermarket steering wheel controls are installed.",
                     "Verify the T-harness is compatible with this vehicle make/model.",
                     "Consult the Geotab vehicle compatibility list for known issues.",
                     "These faults generally do not affect core tracking functionality."
                 ]
-            });
-            issues.push({ category: C.Category.OEM, severity: C.Severity.INFO, label: "OEM Issue" });
+            };
+        }
+    });
+
+    // ── Fleet-level classification ─────────────────────────────────────
+
+    /**
+     * Lightweight classification using DeviceStatusInfo + FaultData.
+     * Runs the registered rules that do not need drill-down inputs.
+     * @param {Object} statusInfo - DeviceStatusInfo record
+     * @param {Object[]} faults - FaultData for this device
+     * @param {Object} device - Device from cache
+     * @param {Object} [range] - analysis window; faults outside it are ignored
+     * @returns {{ issues: Object[], primaryIssue: string, severity: string, healthScore: number, scoreBreakdown: Object[], thresholds: Object }}
+     */
+    function classifyDevice(statusInfo, faults, device, range) {
+        var ctx = buildContext({
+            statusInfo: statusInfo,
+            faults: faultsInRange(faults || [], range),
+            device: device,
+            range: range
+        });
+        var issues = runRules(ctx).issues;
+
+        // Determine primary issue and overall severity
+        var severityOrder = [C.Severity.CRITICAL, C.Severity.WARNING, C.Severity.INFO];
+        var primaryIssue = C.Category.HEALTHY;
+        var severity = C.Severity.HEALTHY;
+
+        for (var s = 0; s < severityOrder.length; s++) {
+            for (var i = 0; i < issues.length; i++) {
+                if (issues[i].severity === severityOrder[s]) {
+                    primaryIssue = issues[i].category;
+                    severity = issues[i].severity;
+                    s = severityOrder.length; // break outer
+                    break;
+                }
+            }
         }
 
-        var healthScore = computeHealthScore(issues, offlineH, isCommunicating);
+        var health = computeHealthScore(issues, ctx.offlineH, ctx.isCommunicating, ctx.t);
 
         return {
-            rootCauses: rootCauses,
-            healthScore: healthScore,
-            issues: issues
+            issues: issues,
+            primaryIssue: primaryIssue,
+            severity: severity,
+            healthScore: health.score,
+            scoreBreakdown: health.items,
+            thresholds: ctx.t
+        };
+    }
+
+    // ── Full drill-down analysis ───────────────────────────────────────
+
+    /**
+     * Full analysis using StatusData + LogRecords + FaultData.
+     * Runs every registered rule whose inputs are available.
+     * @param {Object} device - Device from cache
+     * @param {Object} statusInfo - DeviceStatusInfo record
+     * @param {Object} drillData - { statusData, logRecords, faults, range } from healthService
+     * @returns {{ rootCauses: Object[], healthScore: number, scoreBreakdown: Object[], issues: Object[], thresholds: Object }}
+     */
+    function analyzeDevice(device, statusInfo, drillData) {
+        var ctx = buildContext({
+            device: device,
+            statusInfo: statusInfo,
+            faults: faultsInRange(drillData.faults || [], drillData.range),
+            statusData: drillData.statusData || {},
+            logRecords: drillData.logRecords || [],
+            coverage: drillData.coverage,
+            range: drillData.range
+        });
+        var result = runRules(ctx);
+        var health = computeHealthScore(result.issues, ctx.offlineH, ctx.isCommunicating, ctx.t);
+
+        return {
+            rootCauses: result.rootCauses,
+            healthScore: health.score,
+            scoreBreakdown: health.items,
+            issues: result.issues,
+            thresholds: ctx.t
         };
     }
 
     // ── Health score computation ────────────────────────────────────────
 
-    function computeHealthScore(issues, offlineH, isCommunicating) {
-        var score = 100;
+    /**
+     * Score a device from 100 down, itemized so the UI can explain it.
+     * Each issue deducts its severity's points scaled by its weight, so a
+     * fault-based issue fades out of the score as the fault ages or clears.
+     * Items are rounded to whole points and the score is 100 minus their
+     * sum (floored at 0), so the breakdown always adds up.
+     * @returns {{ score: number, items: Object[] }}
+     *   items: { kind: "issue"|"offline", label, category, severity, weight, points }
+     */
+    function computeHealthScore(issues, offlineH, isCommunicating, t) {
+        var items = [];
 
         issues.forEach(function (issue) {
-            var deduction = C.ScoreDeductions[issue.severity] || 0;
-            score -= deduction;
+            var weight = issue.weight != null ? issue.weight : 1;
+            items.push({
+                kind: "issue",
+                label: issue.label,
+                category: issue.category,
+                severity: issue.severity,
+                weight: weight,
+                points: Math.round((t.ScoreDeductions[issue.severity] || 0) * weight)
+            });
         });
 
         // Offline duration penalty
-        if (!isCommunicating && offlineH > C.OfflineHours.NORMAL_SLEEP) {
-            var extraH = offlineH - C.OfflineHours.NORMAL_SLEEP;
-            score -= Math.min(20, Math.round(extraH / 24) * 5);
+        if (!isCommunicating && offlineH > t.OfflineHours.NORMAL_SLEEP) {
+            var extraH = offlineH - t.OfflineHours.NORMAL_SLEEP;
+            items.push({
+                kind: "offline",
+                label: "Offline " + Math.round(offlineH) + "h (beyond " + t.OfflineHours.NORMAL_SLEEP + "h normal sleep)",
+                category: C.Category.OFFLINE,
+                severity: null,
+                weight: 1,
+                points: Math.min(20, Math.round(extraH / 24) * 5)
+            });
         }
 
-        return Math.max(0, Math.min(100, score));
+        var total = items.reduce(function (sum, item) { return sum + item.points; }, 0);
+        return {
+            score: Math.max(0, Math.min(100, 100 - total)),
+            items: items
+        };
     }
 
     return {
         classifyDevice: classifyDevice,
-        analyzeDevice: analyzeDevice
+        analyzeDevice: analyzeDevice,
+        registerRule: registerRule,
+        unregisterRule: unregisterRule,
+        setRuleEnabled: setRuleEnabled,
+        setRulePriority: setRulePriority,
+        getRules: getRules,
+        computeHealthScore: computeHealthScore,
+        classifyFaultSeverity: classifyFaultSeverity
     };
 })();
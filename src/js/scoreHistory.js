@@ -0,0 +1,340 @@
+/**
+ * scoreHistory.js — Daily health score snapshots per device and fleet.
+ * Keeps one score per device per local day (the last one computed that
+ * day) for the past 90 days in IndexedDB, so the fleet table can show a
+ * trend and the drill-down a score history. Fleet metrics are kept the
+ * same way for longer, together with annotations for refreshes, firmware
+ * rollouts and threshold changes, for the fleet trend panel.
+ *
+ * The database is named per MyGeotab database, since device ids are only
+ * unique within one. Without IndexedDB (private browsing, blocked storage)
+ * history lives in memory for the session only.
+ */
+var DHD = DHD || {};
+
+DHD.ScoreHistory = (function () {
+    "use strict";
+
+    var C = DHD.Constants;
+
+    var DB_PREFIX = "dhd.scoreHistory.";
+    var DB_VERSION = 2;
+    var STORE = "deviceScores";
+    var FLEET_STORE = "fleetMetrics";
+    var HISTORY_DAYS = 90;
+    // Long enough to compare a month with the same month last year
+    var FLEET_HISTORY_DAYS = 400;
+    var DAY_MS = 24 * 60 * 60 * 1000;
+
+    // A firmware version counts as rolled out when its share of the fleet
+    // grows by this much since the previous snapshot, on at least this many devices
+    var ROLLOUT_SHARE = 0.1;
+    var ROLLOUT_MIN_DEVICES = 3;
+    // Refresh annotations kept per day (the latest ones)
+    var MAX_REFRESHES_PER_DAY = 24;
+
+    var _db = null;         // IDBDatabase, once opened
+    var _history = {};      // deviceId → { "YYYY-MM-DD": score }
+    var _fleet = {};        // "YYYY-MM-DD" → fleet row
+    var _loaded = false;
+
+    /**
+     * Open the history database for the signed-in database and read every
+     * device's snapshots into memory. Never rejects: history is optional.
+     * @param {Object} api
+     * @returns {Promise}
+     */
+    function load(api) {
+        if (_loaded) { return Promise.resolve(); }
+        return databaseName(api).then(openDb).then(function (db) {
+            _db = db;
+            return Promise.all([readAll(db, STORE), readAll(db, FLEET_STORE)]);
+        }).then(function (results) {
+            results[0].forEach(function (row) { _history[row.deviceId] = row.scores || {}; });
+            results[1].forEach(function (row) { _fleet[row.date] = row; });
+        }).catch(function (err) {
+            console.warn("DHD: score history unavailable, keeping it in memory only:", err);
+        }).then(function () {
+            _loaded = true;
+        });
+    }
+
+    /**
+     * Store today's score for every classified device. Only the default
+     * window is recorded while it is live: a window ending in the past
+     * doesn't describe today, and scores from other window lengths would
+     * overwrite today's snapshot with numbers that don't compare.
+     * Memory is updated immediately; the returned promise settles once
+     * the changes are written.
+     * @param {Object[]} classifications - { device, classification } items
+     * @param {Object} range - analysis window
+     * @returns {Promise}
+     */
+    function record(classifications, range) {
+        if (!isRecorded(range)) { return Promise.resolve(); }
+
+        var today = dayKey(range.toDate);
+        var cutoff = dayKey(new Date(range.toDate.getTime() - HISTORY_DAYS * DAY_MS));
+        var changed = [];
+
+        classifications.forEach(function (item) {
+            var id = item.device.id;
+            var scores = _history[id] || (_history[id] = {});
+            var score = item.classification.healthScore;
+            var pruned = prune(scores, cutoff);
+            if (scores[today] !== score || pruned) {
+                scores[today] = score;
+                changed.push({ deviceId: id, scores: scores });
+            }
+        });
+
+        return writeAll(STORE, changed).catch(function (err) {
+            console.warn("DHD: could not save score history:", err);
+        });
+    }
+
+    /**
+     * @param {Object} range - analysis window from DHD.AnalysisWindow.get()
+     * @returns {boolean} true when scores for this window go into history
+     */
+    function isRecorded(range) {
+        return range.isLive && range.key === C.DEFAULT_WINDOW;
+    }
+
+    /**
+     * Store today's fleet metrics, replacing earlier ones from today, and
+     * annotate any firmware version that rolled out since the previous
+     * snapshot. Recorded under the same rule as device scores (see
+     * isRecorded), so the fleet trend stays one comparable series.
+     * @param {Object} metrics - from DHD.FleetDashboard.computeFleetMetrics,
+     *        including categoryCounts and firmwareCounts
+     * @param {Object} range - analysis window
+     * @returns {Promise}
+     */
+    function recordFleet(metrics, range) {
+        if (!isRecorded(range)) { return Promise.resolve(); }
+
+        var today = dayKey(range.toDate);
+        var row = fleetRow(today);
+        var previous = previousFleetRow(today);
+
+        row.dateTime = range.toDate.toISOString();
+        row.fleetScore = metrics.fleetScore;
+        row.totalDevices = metrics.totalDevices;
+        row.healthyCount = metrics.healthyCount;
+        row.issueCount = metrics.issueCount;
+        row.offlineCount = metrics.offlineCount;
+        row.statusCounts = metrics.statusCounts;
+        row.categoryCounts = metrics.categoryCounts;
+        row.firmwareCounts = metrics.firmwareCounts;
+
+        if (previous && previous.firmwareCounts) {
+            rollouts(previous, row).forEach(function (r) {
+                addAnnotation(row, "firmware", "Firmware " + r.version + " on " + r.count + " devices",
+                    range.toDate, r.version);
+            });
+        }
+
+        var cutoff = dayKey(new Date(range.toDate.getTime() - FLEET_HISTORY_DAYS * DAY_MS));
+        var stale = Object.keys(_fleet).filter(function (key) { return key < cutoff; });
+        stale.forEach(function (key) { delete _fleet[key]; });
+
+        return saveFleet([row], stale);
+    }
+
+    /**
+     * Mark something that happened now on the fleet trend.
+     * @param {string} kind - "refresh", "firmware" or "config"
+     * @param {string} label
+     * @returns {Promise}
+     */
+    function annotate(kind, label) {
+        var now = new Date();
+        var row = fleetRow(dayKey(now));
+        addAnnotation(row, kind, label, now);
+        if (kind === "refresh") {
+            var refreshes = row.annotations.filter(function (a) { return a.kind === "refresh"; });
+            var drop = refreshes.slice(0, Math.max(0, refreshes.length - MAX_REFRESHES_PER_DAY));
+            row.annotations = row.annotations.filter(function (a) { return drop.indexOf(a) === -1; });
+        }
+        return saveFleet([row], []);
+    }
+
+    /**
+     * Fleet snapshots, oldest first. Rows from days with only annotations
+     * have no fleetScore.
+     * @returns {Object[]} { date, dateTime, fleetScore, totalDevices, healthyCount,
+     *   issueCount, offlineCount, statusCounts, categoryCounts, firmwareCounts,
+     *   annotations: [{ kind, label, dateTime }] }
+     */
+    function getFleet() {
+        return Object.keys(_fleet).sort().map(function (key) { return _fleet[key]; });
+    }
+
+    function fleetRow(key) {
+        return _fleet[key] || (_fleet[key] = { date: key, dateTime: parseDay(key).toISOString(), annotations: [] });
+    }
+
+    function previousFleetRow(key) {
+        var earlier = Object.keys(_fleet).filter(function (k) {
+            return k < key && _fleet[k].firmwareCounts;
+        }).sort();
+        return earlier.length > 0 ? _fleet[earlier[earlier.length - 1]] : null;
+    }
+
+    // Versions whose share of the fleet grew enough since the previous row
+    function rollouts(previous, row) {
+        var prevTotal = previous.totalDevices || 1;
+        var total = row.totalDevices || 1;
+        return Object.keys(row.firmwareCounts).filter(function (version) {
+            var count = row.firmwareCounts[version];
+            var before = previous.firmwareCounts[version] || 0;
+            return count - before >= ROLLOUT_MIN_DEVICES &&
+                count / total - before / prevTotal >= ROLLOUT_SHARE;
+        }).map(function (version) {
+            return { version: version, count: row.firmwareCounts[version] };
+        });
+    }
+
+    // Annotations with a key (firmware version) are only added once per day
+    function addAnnotation(row, kind, label, time, key) {
+        var exists = key != null && row.annotations.some(function (a) {
+            return a.kind === kind && a.key === key;
+        });
+        if (exists) { return; }
+        var annotation = { kind: kind, label: label, dateTime: time.toISOString() };
+        if (key != null) { annotation.key = key; }
+        row.annotations.push(annotation);
+    }
+
+    function saveFleet(rows, deletedKeys) {
+        return writeAll(FLEET_STORE, rows, deletedKeys).catch(function (err) {
+            console.warn("DHD: could not save fleet history:", err);
+        });
+    }
+
+    /**
+     * A device's snapshots, oldest first.
+     * @param {string} deviceId
+     * @returns {{ date: string, dateTime: Date, score: number }[]}
+     */
+    function get(deviceId) {
+        var scores = _history[deviceId] || {};
+        return Object.keys(scores).sort().map(function (key) {
+            return { date: key, dateTime: parseDay(key), score: scores[key] };
+        });
+    }
+
+    /**
+     * Latest score minus the score `days` days before it, using the last
+     * snapshot on or before that day.
+     * @param {string} deviceId
+     * @param {number} days
+     * @returns {number|null} null when history doesn't reach back that far
+     */
+    function change(deviceId, days) {
+        var history = get(deviceId);
+        if (history.length < 2) { return null; }
+
+        var latest = history[history.length - 1];
+        var target = dayKey(new Date(latest.dateTime.getTime() - days * DAY_MS));
+        for (var i = history.length - 2; i >= 0; i--) {
+            if (history[i].date <= target) {
+                return latest.score - history[i].score;
+            }
+        }
+        return null;
+    }
+
+    // Drop snapshots older than the cutoff day; true if any were dropped
+    function prune(scores, cutoff) {
+        var dropped = false;
+        Object.keys(scores).forEach(function (key) {
+            if (key < cutoff) {
+                delete scores[key];
+                dropped = true;
+            }
+        });
+        return dropped;
+    }
+
+    // ── IndexedDB ──────────────────────────────────────────────────────
+
+    function databaseName(api) {
+        if (!api || typeof api.getSession !== "function") {
+            return Promise.resolve(DB_PREFIX + "standalone");
+        }
+        return new Promise(function (resolve) {
+            api.getSession(function (session) {
+                resolve(DB_PREFIX + (session && session.database || "default"));
+            });
+        });
+    }
+
+    function openDb(name) {
+        return new Promise(function (resolve, reject) {
+            if (typeof window === "undefined" || !window.indexedDB) {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+            var req = window.indexedDB.open(name, DB_VERSION);
+            req.onupgradeneeded = function () {
+                if (!req.result.objectStoreNames.contains(STORE)) {
+                    req.result.createObjectStore(STORE, { keyPath: "deviceId" });
+                }
+                if (!req.result.objectStoreNames.contains(FLEET_STORE)) {
+                    req.result.createObjectStore(FLEET_STORE, { keyPath: "date" });
+                }
+            };
+            req.onsuccess = function () { resolve(req.result); };
+            req.onerror = function () { reject(req.error); };
+        });
+    }
+
+    function readAll(db, storeName) {
+        return new Promise(function (resolve, reject) {
+            var req = db.transaction(storeName, "readonly").objectStore(storeName).getAll();
+            req.onsuccess = function () { resolve(req.result || []); };
+            req.onerror = function () { reject(req.error); };
+        });
+    }
+
+    function writeAll(storeName, rows, deletedKeys) {
+        deletedKeys = deletedKeys || [];
+        if (!_db || rows.length + deletedKeys.length === 0) { return Promise.resolve(); }
+        return new Promise(function (resolve, reject) {
+            var tx = _db.transaction(storeName, "readwrite");
+            var store = tx.objectStore(storeName);
+            rows.forEach(function (row) { store.put(row); });
+            deletedKeys.forEach(function (key) { store.delete(key); });
+            tx.oncomplete = function () { resolve(); };
+            tx.onerror = function () { reject(tx.error); };
+            tx.onabort = function () { reject(tx.error); };
+        });
+    }
+
+    // ── Utilities ──────────────────────────────────────────────────────
+
+    function dayKey(d) {
+        return d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate());
+    }
+
+    function parseDay(key) {
+        var parts = key.split("-");
+        return new Date(+parts[0], +parts[1] - 1, +parts[2]);
+    }
+
+    function pad(n) { return n < 10 ? "0" + n : String(n); }
+
+    return {
+        HISTORY_DAYS: HISTORY_DAYS,
+        load: load,
+        record: record,
+        isRecorded: isRecorded,
+        get: get,
+        change: change,
+        recordFleet: recordFleet,
+        annotate: annotate,
+        getFleet: getFleet
+    };
+})();
@@ -0,0 +1,374 @@
+/**
+ * settingsPanel.js — Admin panel for editing threshold profiles and
+ * assigning them to groups. Edits a draft copy of the stored settings;
+ * nothing changes until Save succeeds.
+ */
+var DHD = DHD || {};
+
+DHD.SettingsPanel = (function () {
+    "use strict";
+
+    var _api = null;
+    var _draft = null;
+    var _selectedId = null;
+    var _onSaved = null;
+    var _onBack = null;
+    var _eventsBound = false;
+    var _nextId = 1;
+
+    // Editable fields per threshold section
+    var FIELDS = {
+        Voltage: [
+            { key: "DEAD", label: "Dead below (V)", step: "0.1" },
+            { key: "LOW", label: "Low below (V)", step: "0.1" },
+            { key: "WARNING", label: "Warning below (V)", step: "0.1" }
+        ],
+        RSSI: [
+            { key: "NO_SIGNAL", label: "No signal below (dBm)", step: "1" },
+            { key: "POOR", label: "Poor below (dBm)", step: "1" },
+            { key: "FAIR", label: "Fair below (dBm)", step: "1" }
+        ],
+        ParasiticDrain: [
+            { key: "MV_PER_HOUR", label: "Engine-off decay above (mV/h)", step: "1" }
+        ],
+        OfflineHours: [
+            { key: "NORMAL_SLEEP", label: "Normal sleep up to (h)", step: "1" },
+            { key: "EXTENDED", label: "Extended offline after (h)", step: "1" }
+        ],
+        ScoreDeductions: [
+            { key: "critical", label: "Critical issue (points)", step: "1" },
+            { key: "warning", label: "Warning issue (points)", step: "1" },
+            { key: "info", label: "Info issue (points)", step: "1" }
+        ]
+    };
+
+    var SECTION_TITLES = {
+        Voltage: "Battery Voltage",
+        RSSI: "Cellular Signal",
+        ParasiticDrain: "Parasitic Drain",
+        OfflineHours: "Offline Duration",
+        ScoreDeductions: "Health Score Deductions"
+    };
+
+    var VEHICLE_CLASS_LABELS = {
+        light: "Light duty",
+        medium: "Medium duty",
+        heavy: "Heavy duty"
+    };
+
+    /**
+     * Render the settings view.
+     * @param {Object} api
+     * @param {Function} onSaved - called after settings are stored
+     * @param {Function} onBack - called when the user leaves the panel
+     */
+    function render(api, onSaved, onBack) {
+        _api = api;
+        _onSaved = onSaved;
+        _onBack = onBack;
+        _draft = DHD.ThresholdProfiles.getSettings();
+        _selectedId = DHD.ThresholdProfiles.DEFAULT_ID;
+
+        renderAll();
+        bindEvents();
+    }
+
+    function renderAll() {
+        var el = document.getElementById("dhdSettings");
+        if (!el) { return; }
+
+        var readOnly = !DHD.ThresholdProfiles.canEdit();
+        var html =
+            '<div class="dhd-drill-header">' +
+                '<button class="dhd-btn dhd-btn--back" data-action="back">&larr; Back to Fleet</button>' +
+                '<div class="dhd-drill-title"><h2>Threshold Settings</h2>' +
+                '<span class="dhd-drill-serial">Stored for this database. Group profiles override the default for devices in that group and its subgroups.</span></div>' +
+            '</div>';
+
+        if (readOnly) {
+            html += '<div class="dhd-warning">Only administrators can change threshold settings. Values are shown read-only.</div>';
+        }
+
+        html += '<section class="dhd-card"><h3 class="dhd-card__title">Profiles</h3>' +
+            renderProfileList(readOnly) + renderProfileEditor(readOnly) + '</section>';
+        html += '<section class="dhd-card"><h3 class="dhd-card__title">Group Assignments</h3>' +
+            renderGroupAssignments(readOnly) + '</section>';
+        html += '<section class="dhd-card"><h3 class="dhd-card__title">Harness Compatibility</h3>' +
+            renderHarnessTable(readOnly) + '</section>';
+
+        if (!readOnly) {
+            html += '<div class="dhd-settings__footer">' +
+                '<span id="dhdSettingsStatus" class="dhd-settings__status"></span>' +
+                '<button class="dhd-btn dhd-btn--diagnose" data-action="save">Save Settings</button>' +
+                '</div>';
+        }
+
+        el.innerHTML = html;
+    }
+
+    function renderProfileList(readOnly) {
+        var html = '<div class="dhd-settings__profiles">';
+        _draft.profiles.forEach(function (p) {
+            var active = p.id === _selectedId ? " dhd-chip--active" : "";
+            html += '<button class="dhd-chip' + active + '" data-action="select" data-profile-id="' +
+                escAttr(p.id) + '">' + escHtml(p.name) + '</button>';
+        });
+
+        if (!readOnly) {
+            html += '<select id="dhdProfileTemplate" class="dhd-select"><option value="">Blank profile</option>';
+            DHD.ThresholdProfiles.TEMPLATES.forEach(function (tpl, i) {
+                html += '<option value="' + i + '">' + escHtml(tpl.name) + '</option>';
+            });
+            html += '</select><button class="dhd-btn dhd-btn--small" data-action="add">+ Add Profile</button>';
+        }
+        return html + '</div>';
+    }
+
+    function renderProfileEditor(readOnly) {
+        var profile = findDraftProfile(_selectedId);
+        if (!profile) { return ""; }
+
+        var isDefault = profile.id === DHD.ThresholdProfiles.DEFAULT_ID;
+        // Placeholders show what an empty field inherits
+        var inherited = isDefault ? builtInOnly() : DHD.ThresholdProfiles.getResolved(DHD.ThresholdProfiles.DEFAULT_ID);
+        var disabled = readOnly ? " disabled" : "";
+
+        var html = '<div class="dhd-settings__editor">' +
+            '<label class="dhd-settings__field"><span class="dhd-info-item__label">Profile name</span>' +
+            '<input type="text" class="dhd-search" data-field="name" value="' + escAttr(profile.name) + '"' +
+            (isDefault || readOnly ? " disabled" : "") + '></label>';
+
+        var inheritedClass = isDefault ? null : DHD.ThresholdProfiles.getResolved(DHD.ThresholdProfiles.DEFAULT_ID).vehicleClass;
+        html += '<label class="dhd-settings__field"><span class="dhd-info-item__label">Vehicle class</span>' +
+            '<select class="dhd-select" data-field="vehicleClass"' + disabled + '>' +
+            '<option value="">' + (isDefault ? "Not set" : "Inherit (" + (VEHICLE_CLASS_LABELS[inheritedClass] || "not set") + ")") + '</option>';
+        Object.keys(VEHICLE_CLASS_LABELS).forEach(function (vc) {
+            html += '<option value="' + vc + '"' + (profile.vehicleClass === vc ? " selected" : "") + '>' +
+                VEHICLE_CLASS_LABELS[vc] + '</option>';
+        });
+        html += '</select></label>';
+
+        html += '<div class="dhd-settings__grid">';
+        DHD.ThresholdProfiles.SECTIONS.forEach(function (section) {
+            html += '<fieldset class="dhd-settings__section"><legend>' + SECTION_TITLES[section] + '</legend>';
+            FIELDS[section].forEach(function (f) {
+                var own = profile[section] && profile[section][f.key] != null ? profile[section][f.key] : "";
+                html += '<label class="dhd-settings__field"><span class="dhd-info-item__label">' + f.label + '</span>' +
+                    '<input type="number" class="dhd-search" step="' + f.step + '" data-section="' + section +
+                    '" data-key="' + f.key + '" value="' + own + '" placeholder="' + inherited[section][f.key] + '"' +
+                    disabled + '></label>';
+            });
+            html += '</fieldset>';
+        });
+        html += '</div>';
+
+        if (!isDefault && !readOnly) {
+            html += '<button class="dhd-btn dhd-btn--small" data-action="delete">Delete Profile</button>';
+        }
+        return html + '</div>';
+    }
+
+    function renderGroupAssignments(readOnly) {
+        var groups = DHD.DeviceCache.getAllGroups().filter(function (g) {
+            return g.id !== "GroupCompanyId";
+        }).sort(function (a, b) {
+            return (a.name || a.id).localeCompare(b.name || b.id);
+        });
+
+        if (groups.length === 0) {
+            return '<div class="dhd-empty-state">No groups found.</div>';
+        }
+
+        var html = '<table class="dhd-table dhd-table--faults"><thead><tr><th>Group</th><th>Profile</th></tr></thead><tbody>';
+        groups.forEach(function (g) {
+            var assigned = _draft.groupProfiles[g.id] || DHD.ThresholdProfiles.DEFAULT_ID;
+            html += '<tr><td>' + escHtml(g.name || g.id) + '</td><td>' +
+                '<select class="dhd-select" data-group-id="' + escAttr(g.id) + '"' + (readOnly ? " disabled" : "") + '>';
+            _draft.profiles.forEach(function (p) {
+                html += '<option value="' + escAttr(p.id) + '"' + (p.id === assigned ? " selected" : "") + '>' +
+                    escHtml(p.name) + '</option>';
+            });
+            html += '</select></td></tr>';
+        });
+        return html + '</tbody></table>';
+    }
+
+    // Which vehicle classes each detected harness is expected on
+    function renderHarnessTable(readOnly) {
+        var classes = Object.keys(VEHICLE_CLASS_LABELS);
+        var html = '<table class="dhd-table dhd-table--faults"><thead><tr><th>Harness</th>';
+        classes.forEach(function (vc) { html += '<th>' + VEHICLE_CLASS_LABELS[vc] + '</th>'; });
+        html += '</tr></thead><tbody>';
+
+        Object.keys(DHD.Constants.Harnesses).forEach(function (harness) {
+            var allowed = harnessClasses(harness);
+            html += '<tr><td>' + escHtml(DHD.Constants.Harnesses[harness].label) + '</td>';
+            classes.forEach(function (vc) {
+                html += '<td><input type="checkbox" data-harness="' + harness + '" data-vehicle-class="' + vc + '"' +
+                    (allowed.indexOf(vc) !== -1 ? " checked" : "") + (readOnly ? " disabled" : "") + '></td>';
+            });
+            html += '</tr>';
+        });
+        return html + '</tbody></table>';
+    }
+
+    function harnessClasses(harness) {
+        return (_draft.harnessVehicleClasses[harness] || DHD.Constants.HarnessVehicleClasses[harness]).slice();
+    }
+
+    // ── Events ─────────────────────────────────────────────────────────
+
+    function bindEvents() {
+        if (_eventsBound) { return; }
+        var el = document.getElementById("dhdSettings");
+        if (!el) { return; }
+        _eventsBound = true;
+
+        el.addEventListener("click", function (e) {
+            var btn = e.target.closest("[data-action]");
+            if (!btn) { return; }
+            switch (btn.getAttribute("data-action")) {
+                case "back":
+                    if (_onBack) { _onBack(); }
+                    break;
+                case "select":
+                    _selectedId = btn.getAttribute("data-profile-id");
+                    renderAll();
+                    break;
+                case "add":
+                    addProfile();
+                    break;
+                case "delete":
+                    deleteProfile(_selectedId);
+                    break;
+                case "save":
+                    save();
+                    break;
+            }
+        });
+
+        el.addEventListener("change", function (e) {
+            var input = e.target;
+            var groupId = input.getAttribute("data-group-id");
+            if (groupId) {
+                if (input.value === DHD.ThresholdProfiles.DEFAULT_ID) {
+                    delete _draft.groupProfiles[groupId];
+                } else {
+                    _draft.groupProfiles[groupId] = input.value;
+                }
+                return;
+            }
+
+            var harness = input.getAttribute("data-harness");
+            if (harness) {
+                var vc = input.getAttribute("data-vehicle-class");
+                var allowed = harnessClasses(harness).filter(function (c) { return c !== vc; });
+                if (input.checked) { allowed.push(vc); }
+                _draft.harnessVehicleClasses[harness] = allowed;
+                return;
+            }
+
+            var profile = findDraftProfile(_selectedId);
+            if (!profile) { return; }
+
+            if (input.getAttribute("data-field") === "name") {
+                profile.name = input.value.trim() || profile.name;
+                renderAll();
+                return;
+            }
+
+            if (input.getAttribute("data-field") === "vehicleClass") {
+                if (input.value) {
+                    profile.vehicleClass = input.value;
+                } else {
+                    delete profile.vehicleClass;
+                }
+                return;
+            }
+
+            var section = input.getAttribute("data-section");
+            var key = input.getAttribute("data-key");
+            if (!section || !key) { return; }
+            profile[section] = profile[section] || {};
+            if (input.value === "") {
+                delete profile[section][key];
+            } else {
+                profile[section][key] = parseFloat(input.value);
+            }
+        });
+    }
+
+    function addProfile() {
+        var select = document.getElementById("dhdProfileTemplate");
+        var tpl = select && select.value !== "" ? DHD.ThresholdProfiles.TEMPLATES[parseInt(select.value, 10)] : null;
+        var profile = tpl ? JSON.parse(JSON.stringify(tpl)) : { name: "New Profile" };
+        profile.id = "p" + Date.now().toString(36) + (_nextId++);
+        _draft.profiles.push(profile);
+        _selectedId = profile.id;
+        renderAll();
+    }
+
+    function deleteProfile(id) {
+        if (id === DHD.ThresholdProfiles.DEFAULT_ID) { return; }
+        _draft.profiles = _draft.profiles.filter(function (p) { return p.id !== id; });
+        Object.keys(_draft.groupProfiles).forEach(function (groupId) {
+            if (_draft.groupProfiles[groupId] === id) {
+                delete _draft.groupProfiles[groupId];
+            }
+        });
+        _selectedId = DHD.ThresholdProfiles.DEFAULT_ID;
+        renderAll();
+    }
+
+    function save() {
+        setStatus("Saving\u2026", false);
+        DHD.ThresholdProfiles.save(_api, _draft)
+            .then(function () {
+                _draft = DHD.ThresholdProfiles.getSettings();
+                renderAll();
+                setStatus("Saved. Devices have been re-classified.", false);
+                if (_onSaved) { _onSaved(); }
+            })
+            .catch(function (err) {
+                setStatus(err.message || String(err), true);
+            });
+    }
+
+    function setStatus(message, isError) {
+        var el = document.getElementById("dhdSettingsStatus");
+        if (!el) { return; }
+        el.textContent = message;
+        el.classList.toggle("dhd-settings__status--error", !!isError);
+    }
+
+    // ── Utilities ──────────────────────────────────────────────────────
+
+    function findDraftProfile(id) {
+        for (var i = 0; i < _draft.profiles.length; i++) {
+            if (_draft.profiles[i].id === id) { return _draft.profiles[i]; }
+        }
+        return null;
+    }
+
+    function builtInOnly() {
+        var t = {};
+        DHD.ThresholdProfiles.SECTIONS.forEach(function (section) {
+            t[section] = DHD.Constants[section];
+        });
+        return t;
+    }
+
+    function escHtml(str) {
+        var div = document.createElement("div");
+        div.appendChild(document.createTextNode(str || ""));
+        return div.innerHTML;
+    }
+
+    function escAttr(str) {
+        return escHtml(str).replace(/"/g, "&quot;");
+    }
+
+    return {
+        render: render
+    };
+})();
@@ -0,0 +1,117 @@
+/**
+ * tamperRisk.js — Unplug-event analysis for possible tampering.
+ * Counts unplug events in the window, flags the ones around shift changes
+ * or on weekends, measures the LogRecord gap each one left and rolls it
+ * all into a 0–100 risk score.
+ */
+var DHD = DHD || {};
+
+DHD.TamperRisk = (function () {
+    "use strict";
+
+    // Local hours when shifts usually change, and how close counts as "around"
+    var SHIFT_CHANGE_HOURS = [6, 14, 22];
+    var SHIFT_WINDOW_MINUTES = 60;
+
+    // Unplug records this close together are one event (connector wiggled)
+    var MERGE_MS = 10 * 60 * 1000;
+
+    // A trail gap shorter than this around an unplug is just normal logging
+    var MIN_GAP_HOURS = 2;
+
+    // Score weights (sum to 100)
+    var WEIGHTS = { count: 40, weekend: 20, shift: 20, gap: 20 };
+    var POINTS_PER_EVENT = 10;
+    var GAP_HOURS_FOR_MAX = 24;
+
+    /**
+     * Analyze unplug events.
+     * @param {Object[]} unplugRecords - StatusData for UNPLUGGED
+     * @param {Object[]} [logRecords] - LogRecords for the same window
+     * @returns {{ events: Object[], count: number, weekendCount: number,
+     *             shiftCount: number, gapHours: number, riskScore: number }}
+     *   events: { dateTime, recordId, weekend, shiftChange, gapHours|null }
+     */
+    function analyze(unplugRecords, logRecords) {
+        var logTimes = (logRecords || []).map(function (rec) {
+            return new Date(rec.dateTime).getTime();
+        }).sort(function (a, b) { return a - b; });
+
+        var events = mergeEvents(unplugRecords || []).map(function (rec) {
+            var d = new Date(rec.dateTime);
+            return {
+                dateTime: rec.dateTime,
+                recordId: rec.id || null,
+                weekend: d.getDay() === 0 || d.getDay() === 6,
+                shiftChange: nearShiftChange(d),
+                gapHours: gapAround(d.getTime(), logTimes)
+            };
+        });
+
+        var weekendCount = events.filter(function (e) { return e.weekend; }).length;
+        var shiftCount = events.filter(function (e) { return e.shiftChange; }).length;
+        var gapHours = events.reduce(function (sum, e) { return sum + (e.gapHours || 0); }, 0);
+
+        return {
+            events: events,
+            count: events.length,
+            weekendCount: weekendCount,
+            shiftCount: shiftCount,
+            gapHours: gapHours,
+            riskScore: score(events.length, weekendCount, shiftCount, gapHours)
+        };
+    }
+
+    function score(count, weekendCount, shiftCount, gapHours) {
+        if (count === 0) { return 0; }
+        var s = Math.min(WEIGHTS.count, count * POINTS_PER_EVENT) +
+            WEIGHTS.weekend * (weekendCount / count) +
+            WEIGHTS.shift * (shiftCount / count) +
+            WEIGHTS.gap * Math.min(1, gapHours / GAP_HOURS_FOR_MAX);
+        return Math.round(s);
+    }
+
+    // First record of each burst of "unplugged" values
+    function mergeEvents(records) {
+        var events = [];
+        var lastMs = -Infinity;
+        records.filter(function (rec) { return rec.data > 0; }).sort(function (a, b) {
+            return new Date(a.dateTime) - new Date(b.dateTime);
+        }).forEach(function (rec) {
+            var ms = new Date(rec.dateTime).getTime();
+            if (ms - lastMs > MERGE_MS) { events.push(rec); }
+            lastMs = ms;
+        });
+        return events;
+    }
+
+    function nearShiftChange(d) {
+        var minutes = d.getHours() * 60 + d.getMinutes();
+        return SHIFT_CHANGE_HOURS.some(function (h) {
+            var diff = Math.abs(minutes - h * 60);
+            return Math.min(diff, 24 * 60 - diff) <= SHIFT_WINDOW_MINUTES;
+        });
+    }
+
+    // Hours between the last LogRecord before the unplug and the first one
+    // after it; null when the trail doesn't cover the event
+    function gapAround(ms, logTimes) {
+        var before = null;
+        var after = null;
+        for (var i = 0; i < logTimes.length; i++) {
+            if (logTimes[i] <= ms) {
+                before = logTimes[i];
+            } else {
+                after = logTimes[i];
+                break;
+            }
+        }
+        if (before === null || after === null) { return null; }
+        var hours = (after - before) / 3600000;
+        return hours >= MIN_GAP_HOURS ? hours : 0;
+    }
+
+    return {
+        analyze: analyze
+    };
+})();
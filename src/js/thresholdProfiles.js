@@ -0,0 +1,374 @@
+/**
+ * thresholdProfiles.js — Per-database threshold profiles stored in AddInData.
+ *
+ * The "default" profile overrides the compile-time values in DHD.Constants
+ * for the whole database; other profiles override the default for devices
+ * in the groups they are assigned to (including child groups).
+ *
+ * A profile may also name the vehicle class of its devices, which the
+ * wrong-harness rule checks against the harness-to-vehicle table.
+ */
+var DHD = DHD || {};
+
+DHD.ThresholdProfiles = (function () {
+    "use strict";
+
+    var C = DHD.Constants;
+    var DETAILS_TYPE = "thresholdProfiles";
+    var DEFAULT_ID = "default";
+
+    // Threshold sections a profile may override, keyed as in DHD.Constants
+    var SECTIONS = ["Voltage", "RSSI", "ParasiticDrain", "OfflineHours", "ScoreDeductions"];
+
+    // Starting points offered when an admin adds a profile
+    var TEMPLATES = [
+        { name: "Heavy Duty 24V", vehicleClass: "heavy", Voltage: { DEAD: 14, LOW: 18, WARNING: 22 },
+            ParasiticDrain: { MV_PER_HOUR: 30 } },
+        { name: "Seasonal", OfflineHours: { NORMAL_SLEEP: 7 * 24, EXTENDED: 30 * 24 } }
+    ];
+
+    var _recordId = null;   // AddInData id of the stored settings, once saved
+    var _settings = emptySettings();
+    var _canEdit = false;
+    var _resolved = {};     // profile id → merged thresholds (cache)
+    var _warnings = [];     // problems from the last load
+    var _loadFailed = false; // stored settings could not be read
+
+    function emptySettings() {
+        return {
+            type: DETAILS_TYPE,
+            profiles: [{ id: DEFAULT_ID, name: "Default" }],
+            groupProfiles: {},          // group id → profile id
+            harnessVehicleClasses: {}   // harness key → vehicle classes (overrides DHD.Constants)
+        };
+    }
+
+    function builtInThresholds() {
+        var t = {};
+        SECTIONS.forEach(function (section) {
+            t[section] = copy(C[section]);
+        });
+        return t;
+    }
+
+    function copy(obj) {
+        var out = {};
+        Object.keys(obj || {}).forEach(function (k) { out[k] = obj[k]; });
+        return out;
+    }
+
+    // ── Persistence ────────────────────────────────────────────────────
+
+    /**
+     * Load stored profiles and whether the current user may edit them.
+     * A database without stored profiles, or a build without an add-in
+     * id, uses the built-in thresholds. So does a failed read, which is
+     * reported through getWarnings rather than rejecting, so the fleet
+     * still loads.
+     * @param {Object} api
+     * @returns {Promise} always resolves
+     */
+    function load(api) {
+        return Promise.all([loadSettings(api), loadCanEdit(api)]).then(function () {
+            _resolved = {};
+        });
+    }
+
+    function loadSettings(api) {
+        _warnings = [];
+        _loadFailed = false;
+        if (!C.ADDIN_ID) {
+            _recordId = null;
+            _settings = emptySettings();
+            return Promise.resolve();
+        }
+        return new Promise(function (resolve) {
+            api.multiCall([
+                ["Get", { typeName: "AddInData", search: { addInId: C.ADDIN_ID } }]
+            ], function (results) {
+                var records = (results[0] || []).filter(function (r) {
+                    return r.details && r.details.type === DETAILS_TYPE;
+                });
+                if (records.length > 0) {
+                    _recordId = records[0].id;
+                    _settings = normalize(records[0].details);
+                } else {
+                    _recordId = null;
+                    _settings = emptySettings();
+                }
+                resolve();
+            }, function (err) {
+                console.warn("DHD: could not load threshold settings:", err);
+                _recordId = null;
+                _settings = emptySettings();
+                _loadFailed = true;
+                _warnings = ["Threshold settings could not be loaded (" + (err && err.message || err) +
+                    "); the built-in thresholds are in use."];
+                resolve();
+            });
+        });
+    }
+
+    // Administrators (the Everything security clearance) may edit profiles.
+    // Without a session API (standalone preview) editing is allowed.
+    function loadCanEdit(api) {
+        if (typeof api.getSession !== "function") {
+            _canEdit = true;
+            return Promise.resolve();
+        }
+        return new Promise(function (resolve) {
+            api.getSession(function (session) {
+                api.multiCall([
+                    ["Get", { typeName: "User", search: { name: session.userName } }]
+                ], function (results) {
+                    var user = (results[0] || [])[0];
+                    _canEdit = !!(user && (user.securityGroups || []).some(function (g) {
+                        return g.id === "GroupEverythingSecurityId";
+                    }));
+                    resolve();
+                }, function () {
+                    _canEdit = false;
+                    resolve();
+                });
+            });
+        });
+    }
+
+    /**
+     * Validate and store new settings, then use them for classification.
+     * @param {Object} api
+     * @param {Object} settings - { profiles, groupProfiles }
+     * @returns {Promise} rejects with an Error listing validation problems
+     */
+    function save(api, settings) {
+        var next = normalize(settings);
+        var errors = validateSettings(next);
+        if (errors.length > 0) {
+            return Promise.reject(new Error(errors.join(" ")));
+        }
+        if (!C.ADDIN_ID) {
+            return Promise.reject(new Error("Settings cannot be stored: this build has no addInId (set it in config.json and rebuild)."));
+        }
+        // Saving now could add a second record next to the unread one
+        if (_loadFailed) {
+            return Promise.reject(new Error("Settings cannot be stored: the stored settings failed to load. Reload the page and try again."));
+        }
+
+        var entity = { addInId: C.ADDIN_ID, details: next };
+        var call;
+        if (_recordId) {
+            entity.id = _recordId;
+            call = ["Set", { typeName: "AddInData", entity: entity }];
+        } else {
+            call = ["Add", { typeName: "AddInData", entity: entity }];
+        }
+
+        return new Promise(function (resolve, reject) {
+            api.multiCall([call], function (results) {
+                if (!_recordId && typeof results[0] === "string") {
+                    _recordId = results[0];
+                }
+                _settings = next;
+                _resolved = {};
+                resolve();
+            }, function (err) {
+                reject(err);
+            });
+        });
+    }
+
+    // Drop unknown keys and make sure the default profile exists
+    function normalize(details) {
+        var out = emptySettings();
+        var profiles = (details && details.profiles) || [];
+        var seen = {};
+
+        out.profiles = [];
+        profiles.forEach(function (p) {
+            if (!p || !p.id || seen[p.id]) { return; }
+            seen[p.id] = true;
+            var profile = { id: p.id, name: p.name || p.id };
+            if (isVehicleClass(p.vehicleClass)) { profile.vehicleClass = p.vehicleClass; }
+            SECTIONS.forEach(function (section) {
+                if (p[section]) {
+                    profile[section] = {};
+                    Object.keys(C[section]).forEach(function (key) {
+                        var v = parseFloat(p[section][key]);
+                        if (!isNaN(v)) { profile[section][key] = v; }
+                    });
+                }
+            });
+            out.profiles.push(profile);
+        });
+        if (!seen[DEFAULT_ID]) {
+            out.profiles.unshift({ id: DEFAULT_ID, name: "Default" });
+        }
+
+        var groupProfiles = (details && details.groupProfiles) || {};
+        Object.keys(groupProfiles).forEach(function (groupId) {
+            if (seen[groupProfiles[groupId]] && groupProfiles[groupId] !== DEFAULT_ID) {
+                out.groupProfiles[groupId] = groupProfiles[groupId];
+            }
+        });
+
+        var harnessClasses = (details && details.harnessVehicleClasses) || {};
+        Object.keys(C.Harnesses).forEach(function (harness) {
+            if (Array.isArray(harnessClasses[harness])) {
+                out.harnessVehicleClasses[harness] = harnessClasses[harness].filter(isVehicleClass);
+            }
+        });
+        return out;
+    }
+
+    function isVehicleClass(value) {
+        return Object.keys(C.VehicleClass).some(function (k) { return C.VehicleClass[k] === value; });
+    }
+
+    /**
+     * Check every profile resolves to thresholds in a sensible order.
+     * @returns {string[]} problems, empty when valid
+     */
+    function validateSettings(settings) {
+        var errors = [];
+        settings.profiles.forEach(function (p) {
+            var t = resolveProfile(settings, p.id);
+            var name = "\u201c" + p.name + "\u201d";
+            if (!(t.Voltage.DEAD < t.Voltage.LOW && t.Voltage.LOW < t.Voltage.WARNING)) {
+                errors.push(name + ": voltage thresholds must increase from dead to low to warning.");
+            }
+            if (!(t.RSSI.NO_SIGNAL < t.RSSI.POOR && t.RSSI.POOR < t.RSSI.FAIR)) {
+                errors.push(name + ": RSSI thresholds must increase from no signal to poor to fair.");
+            }
+            if (!(t.ParasiticDrain.MV_PER_HOUR > 0)) {
+                errors.push(name + ": parasitic drain rate must be positive.");
+            }
+            if (!(t.OfflineHours.NORMAL_SLEEP > 0 && t.OfflineHours.NORMAL_SLEEP < t.OfflineHours.EXTENDED)) {
+                errors.push(name + ": normal sleep must be positive and shorter than extended offline.");
+            }
+            var badDeduction = Object.keys(t.ScoreDeductions).some(function (sev) {
+                var d = t.ScoreDeductions[sev];
+                return !(d >= 0 && d <= 100);
+            });
+            if (badDeduction) {
+                errors.push(name + ": score deductions must be between 0 and 100.");
+            }
+        });
+        Object.keys(settings.harnessVehicleClasses).forEach(function (harness) {
+            if (settings.harnessVehicleClasses[harness].length === 0) {
+                errors.push(C.Harnesses[harness].label + " harness must be allowed on at least one vehicle class.");
+            }
+        });
+        return errors;
+    }
+
+    // ── Resolution ─────────────────────────────────────────────────────
+
+    function findProfile(settings, id) {
+        for (var i = 0; i < settings.profiles.length; i++) {
+            if (settings.profiles[i].id === id) { return settings.profiles[i]; }
+        }
+        return null;
+    }
+
+    // Built-in values, then the default profile, then the named profile
+    function resolveProfile(settings, id) {
+        var t = builtInThresholds();
+        t.vehicleClass = null;
+        [findProfile(settings, DEFAULT_ID), id !== DEFAULT_ID ? findProfile(settings, id) : null]
+            .forEach(function (p) {
+                if (!p) { return; }
+                SECTIONS.forEach(function (section) {
+                    Object.keys(p[section] || {}).forEach(function (key) {
+                        t[section][key] = p[section][key];
+                    });
+                });
+                if (p.vehicleClass) { t.vehicleClass = p.vehicleClass; }
+            });
+
+        t.HarnessVehicleClasses = {};
+        Object.keys(C.HarnessVehicleClasses).forEach(function (harness) {
+            t.HarnessVehicleClasses[harness] = (settings.harnessVehicleClasses[harness] ||
+                C.HarnessVehicleClasses[harness]).slice();
+        });
+        t.profileId = id;
+        t.profileName = (findProfile(settings, id) || {}).name || "Default";
+        return t;
+    }
+
+    /**
+     * Profile id for a device: the first of its groups (walking up to
+     * parent groups) that has a profile assigned, else the default.
+     * @param {Object} device
+     * @returns {string}
+     */
+    function profileIdForDevice(device) {
+        var assigned = _settings.groupProfiles;
+        var groups = (device && device.groups) || [];
+        for (var i = 0; i < groups.length; i++) {
+            var chain = [groups[i].id].concat(DHD.DeviceCache.getGroupAncestors(groups[i].id));
+            for (var j = 0; j < chain.length; j++) {
+                if (assigned[chain[j]]) { return assigned[chain[j]]; }
+            }
+        }
+        return DEFAULT_ID;
+    }
+
+    /**
+     * Thresholds for a device, shaped like DHD.Constants:
+     * { Voltage, RSSI, ParasiticDrain, OfflineHours, ScoreDeductions, HarnessVehicleClasses,
+     *   vehicleClass, profileId, profileName }.
+     * @param {Object} [device]
+     * @returns {Object}
+     */
+    function forDevice(device) {
+        var id = profileIdForDevice(device);
+        if (!_resolved[id]) {
+            _resolved[id] = resolveProfile(_settings, id);
+        }
+        return _resolved[id];
+    }
+
+    /**
+     * Fully resolved thresholds for one profile (used by the settings panel).
+     * @param {string} id
+     * @returns {Object}
+     */
+    function getResolved(id) {
+        return resolveProfile(_settings, id);
+    }
+
+    /**
+     * A deep copy of the stored settings for editing.
+     * @returns {Object}
+     */
+    function getSettings() {
+        return JSON.parse(JSON.stringify(_settings));
+    }
+
+    function canEdit() {
+        return _canEdit;
+    }
+
+    /**
+     * Warnings from the last load (e.g. stored settings that failed to load).
+     * @returns {string[]}
+     */
+    function getWarnings() {
+        return _warnings.slice();
+    }
+
+    return {
+        DEFAULT_ID: DEFAULT_ID,
+        SECTIONS: SECTIONS,
+        TEMPLATES: TEMPLATES,
+        load: load,
+        save: save,
+        normalize: normalize,
+        validate: validateSettings,
+        forDevice: forDevice,
+        getResolved: getResolved,
+        getSettings: getSettings,
+        canEdit: canEdit,
+        getWarnings: getWarnings
+    };
+})();
@@ -0,0 +1,273 @@
+/**
+ * voltageTrend.js — Battery trend analysis over a device's voltage history.
+ * Derives nightly resting voltage, its slope across the window, cranking
+ * dip depth per engine start and a projected date for resting voltage to
+ * reach the low-voltage threshold. Also measures voltage decay during
+ * engine-off periods to spot parasitic drain.
+ */
+var DHD = DHD || {};
+
+DHD.VoltageTrend = (function () {
+    "use strict";
+
+    var C = DHD.Constants;
+    var DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Readings from local midnight up to this hour count as "engine off
+    // overnight"; a calendar night is then just its date
+    var NIGHT_END_HOUR = 5;
+
+    // Readings above WARNING × this ratio mean the alternator is charging
+    // (≈13.2V on 12V systems, ≈26.4V on 24V)
+    var CHARGING_RATIO = 1.2;
+
+    // How far back to look for the resting voltage before a crank
+    var CRANK_LOOKBACK_MS = 12 * 60 * 60 * 1000;
+
+    var MIN_NIGHTS = 3;
+
+    // Engine-off periods: ignore the first hour (surface charge bleeding
+    // off) and anything shorter than a typical overnight park
+    var SETTLE_MS = 60 * 60 * 1000;
+    var MIN_OFF_MS = 4 * 60 * 60 * 1000;
+
+    /**
+     * Analyze voltage and cranking-voltage history.
+     * @param {Object[]} voltageRecords - StatusData for VOLTAGE
+     * @param {Object[]} crankingRecords - StatusData for CRANKING_VOLTAGE
+     * @param {Object} [t] - device thresholds (DHD.ThresholdProfiles); defaults to DHD.Constants
+     * @returns {{ nights: Object[], slopePerDay: ?number, r2: ?number,
+     *             fittedStart: ?number, fittedEnd: ?number, crankingDips: Object[],
+     *             projectedLowDate: ?Date, daysToFailure: ?number }}
+     *   fittedStart/fittedEnd are the fitted resting voltage on the first and last night
+     */
+    function analyze(voltageRecords, crankingRecords, t) {
+        var V = (t || C).Voltage;
+        var chargingAbove = V.WARNING * CHARGING_RATIO;
+        var resting = sortByTime(voltageRecords || []).filter(function (rec) {
+            return typeof rec.data === "number" && rec.data <= chargingAbove;
+        });
+
+        var nights = nightlyResting(resting);
+        var fit = nights.length >= MIN_NIGHTS ? linearFit(nights.map(function (n) {
+            return { x: n.day, y: n.restingVoltage };
+        })) : null;
+
+        var result = {
+            nights: nights,
+            slopePerDay: fit ? fit.slope : null,
+            r2: fit ? fit.r2 : null,
+            fittedStart: fit ? fit.intercept + fit.slope * nights[0].day : null,
+            fittedEnd: fit ? fit.intercept + fit.slope * nights[nights.length - 1].day : null,
+            crankingDips: crankingDips(sortByTime(crankingRecords || []), resting),
+            projectedLowDate: null,
+            daysToFailure: null
+        };
+
+        if (fit && fit.slope < 0) {
+            var last = nights[nights.length - 1];
+            var days = Math.max(0, (result.fittedEnd - V.LOW) / -fit.slope);
+            result.daysToFailure = Math.round(days);
+            result.projectedLowDate = new Date(new Date(last.dateTime).getTime() + days * DAY_MS);
+        }
+        return result;
+    }
+
+    // ── Nightly resting voltage ────────────────────────────────────────
+
+    // Median of the overnight readings for each calendar night
+    function nightlyResting(records) {
+        var byNight = {};
+        var order = [];
+        records.forEach(function (rec) {
+            var d = new Date(rec.dateTime);
+            var hour = d.getHours();
+            if (hour >= NIGHT_END_HOUR) { return; }
+            var key = d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate());
+            if (!byNight[key]) {
+                byNight[key] = [];
+                order.push(key);
+            }
+            byNight[key].push(rec);
+        });
+
+        if (order.length === 0) { return []; }
+        var firstDay = startOfDay(byNight[order[0]][0].dateTime);
+
+        return order.map(function (key) {
+            var recs = byNight[key].slice().sort(function (a, b) { return a.data - b.data; });
+            var mid = recs[Math.floor(recs.length / 2)];
+            return {
+                date: key,
+                day: Math.round((startOfDay(mid.dateTime) - firstDay) / DAY_MS),
+                dateTime: mid.dateTime,
+                restingVoltage: recs.length % 2 ? mid.data : (mid.data + recs[recs.length / 2 - 1].data) / 2,
+                samples: recs.length,
+                recordId: mid.id || null
+            };
+        });
+    }
+
+    // Least-squares line through { x, y } points
+    function linearFit(points) {
+        var n = points.length;
+        var sx = 0, sy = 0, sxx = 0, sxy = 0;
+        points.forEach(function (p) {
+            sx += p.x;
+            sy += p.y;
+            sxx += p.x * p.x;
+            sxy += p.x * p.y;
+        });
+        var denom = n * sxx - sx * sx;
+        if (denom === 0) { return null; }
+
+        var slope = (n * sxy - sx * sy) / denom;
+        var intercept = (sy - slope * sx) / n;
+        var meanY = sy / n;
+        var ssTot = 0, ssRes = 0;
+        points.forEach(function (p) {
+            var fitted = intercept + slope * p.x;
+            ssTot += Math.pow(p.y - meanY, 2);
+            ssRes += Math.pow(p.y - fitted, 2);
+        });
+        return { slope: slope, intercept: intercept, r2: ssTot === 0 ? 0 : 1 - ssRes / ssTot };
+    }
+
+    // ── Cranking dips ──────────────────────────────────────────────────
+
+    // Depth of each crank below the last resting reading before it
+    function crankingDips(cranks, resting) {
+        var dips = [];
+        var j = 0;
+        var before = null;
+        cranks.forEach(function (crank) {
+            var crankTime = new Date(crank.dateTime).getTime();
+            while (j < resting.length && new Date(resting[j].dateTime).getTime() < crankTime) {
+                before = resting[j];
+                j++;
+            }
+            if (!before || crankTime - new Date(before.dateTime).getTime() > CRANK_LOOKBACK_MS) { return; }
+            dips.push({
+                dateTime: crank.dateTime,
+                crankingVoltage: crank.data,
+                restingVoltage: before.data,
+                depth: Math.max(0, before.data - crank.data),
+                recordId: crank.id || null
+            });
+        });
+        return dips;
+    }
+
+    // ── Parasitic drain ────────────────────────────────────────────────
+
+    /**
+     * Find engine-off periods and their voltage decay rate. The device
+     * stops logging while the ignition is off, so a gap of at least
+     * MIN_OFF_MS between LogRecords (or before the first / after the
+     * last) is a candidate period; its non-charging voltage readings are
+     * what is measured. Without LogRecords nothing marks the engine as
+     * off, so there are no periods.
+     * @param {Object[]} voltageRecords - StatusData for VOLTAGE
+     * @param {Object[]} [logRecords] - LogRecords for the same window
+     * @param {Object} [t] - device thresholds; defaults to DHD.Constants
+     * @returns {Object[]} periods, worst decay first:
+     *   { start, end, hours, startVoltage, endVoltage, mvPerHour, endRecordId }
+     */
+    function analyzeDrain(voltageRecords, logRecords, t) {
+        var V = (t || C).Voltage;
+        var chargingAbove = V.WARNING * CHARGING_RATIO;
+        var gaps = logGaps(logRecords || []);
+
+        var runs = [];
+        var run = [];
+        var g = 0;
+        sortByTime(voltageRecords || []).forEach(function (rec) {
+            var time = new Date(rec.dateTime).getTime();
+            while (g < gaps.length && gaps[g].end <= time) {
+                g++;
+                runs.push(run);
+                run = [];
+            }
+            var inGap = g < gaps.length && time > gaps[g].start;
+            var resting = typeof rec.data === "number" && rec.data <= chargingAbove;
+            if (!inGap || !resting) {
+                runs.push(run);
+                run = [];
+                return;
+            }
+            run.push(rec);
+        });
+        runs.push(run);
+
+        var periods = [];
+        runs.forEach(function (recs) {
+            if (recs.length < 2) { return; }
+            var settleUntil = new Date(recs[0].dateTime).getTime() + SETTLE_MS;
+            var settled = recs.filter(function (rec) {
+                return new Date(rec.dateTime).getTime() >= settleUntil;
+            });
+            if (settled.length < 2) { return; }
+
+            var first = settled[0];
+            var last = settled[settled.length - 1];
+            var startMs = new Date(first.dateTime).getTime();
+            var spanMs = new Date(last.dateTime).getTime() - startMs;
+            if (spanMs < MIN_OFF_MS) { return; }
+
+            var fit = linearFit(settled.map(function (rec) {
+                return { x: (new Date(rec.dateTime).getTime() - startMs) / 3600000, y: rec.data };
+            }));
+            if (!fit) { return; }
+
+            periods.push({
+                start: first.dateTime,
+                end: last.dateTime,
+                hours: spanMs / 3600000,
+                startVoltage: first.data,
+                endVoltage: last.data,
+                mvPerHour: Math.max(0, -fit.slope * 1000),
+                endRecordId: last.id || null
+            });
+        });
+
+        return periods.sort(function (a, b) { return b.mvPerHour - a.mvPerHour; });
+    }
+
+    // Stretches of at least MIN_OFF_MS with no LogRecords, as { start, end }
+    // in ms; the first starts at -Infinity and the last ends at Infinity.
+    // None without any LogRecords.
+    function logGaps(logRecords) {
+        var gaps = [];
+        if (logRecords.length === 0) { return gaps; }
+        var prev = -Infinity;
+        sortByTime(logRecords).forEach(function (rec) {
+            var time = new Date(rec.dateTime).getTime();
+            if (time - prev >= MIN_OFF_MS) {
+                gaps.push({ start: prev, end: time });
+            }
+            prev = time;
+        });
+        gaps.push({ start: prev, end: Infinity });
+        return gaps;
+    }
+
+    // ── Utilities ──────────────────────────────────────────────────────
+
+    function sortByTime(records) {
+        return records.slice().sort(function (a, b) {
+            return new Date(a.dateTime) - new Date(b.dateTime);
+        });
+    }
+
+    function startOfDay(dateStr) {
+        var d = new Date(dateStr);
+        return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    }
+
+    function pad(n) { return n < 10 ? "0" + n : String(n); }
+
+    return {
+        analyze: analyze,
+        analyzeDrain: analyzeDrain
+    };
+})();
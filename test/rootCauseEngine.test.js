@@ -0,0 +1,448 @@
+/**
+ * rootCauseEngine.test.js — Rule registry and baseline classification.
+ *
+ * Loads the browser scripts into a VM context the same way index.html
+ * does (one shared DHD global), so no build step or packages are needed.
+ *
+ * Usage: node --test test/
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const JS = path.join(__dirname, "..", "src", "js");
+
+function loadEngine() {
+    const context = { console: console, window: {} };
+    vm.createContext(context);
+    [
+        "constants.js",
+        "deviceCache.js",
+        "thresholdProfiles.js",
+        "voltageTrend.js",
+        "gpsQuality.js",
+        "tamperRisk.js",
+        "cellularCoverage.js",
+        "rootCauseEngine.js"
+    ].forEach(function (file) {
+        vm.runInContext(fs.readFileSync(path.join(JS, file), "utf8"), context, { filename: file });
+    });
+    return context.DHD;
+}
+
+const DHD = loadEngine();
+const Engine = DHD.RootCauseEngine;
+const D = DHD.Constants.Diagnostics;
+
+// ── Fixtures ───────────────────────────────────────────────────────────
+
+const HOUR = 3600000;
+const now = Date.now();
+const range = { fromDate: new Date(now - 7 * 24 * HOUR), toDate: new Date(now), isLive: true };
+
+function ago(hours) {
+    return new Date(now - hours * HOUR).toISOString();
+}
+
+function device(extra) {
+    return Object.assign({ id: "b1", groups: [] }, extra);
+}
+
+function statusInfo(hoursAgo, communicating, position) {
+    return {
+        device: { id: "b1" },
+        dateTime: ago(hoursAgo),
+        isDeviceCommunicating: communicating,
+        latitude: position ? position[0] : 43.5,
+        longitude: position ? position[1] : -79.6
+    };
+}
+
+// Active and from today, so it carries full weight
+function fault(code) {
+    return {
+        id: "f" + code,
+        device: { id: "b1" },
+        diagnostic: { id: "Diag" + code },
+        failureMode: { id: String(code) },
+        dateTime: ago(0),
+        failureModeState: 1
+    };
+}
+
+function status(value) {
+    return [{ id: "s1", dateTime: ago(1), data: value }];
+}
+
+function classify(si, faults, dev) {
+    const result = Engine.classifyDevice(si, faults, dev || device(), range);
+    return {
+        issues: result.issues.map(function (i) { return [i.category, i.severity, i.label]; }),
+        primaryIssue: result.primaryIssue,
+        severity: result.severity,
+        healthScore: result.healthScore
+    };
+}
+
+function analyze(si, statusData) {
+    const result = Engine.analyzeDevice(device(), si,
+        { statusData: statusData, logRecords: [], faults: [], range: range });
+    return {
+        issues: result.issues.map(function (i) { return [i.category, i.severity, i.label]; }),
+        healthScore: result.healthScore
+    };
+}
+
+// Plain copies: values created inside the VM have their own prototypes
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// ── Baseline outputs ───────────────────────────────────────────────────
+//
+// Expected values are what the decision tree returned before rules
+// became a registry; the registry must not change them.
+
+test("fleet: healthy device", function () {
+    assert.deepStrictEqual(plain(classify(statusInfo(1, true), []).issues), []);
+    assert.strictEqual(classify(statusInfo(1, true), []).healthScore, 100);
+});
+
+test("fleet: offline leads the issues and is the primary issue", function () {
+    assert.deepStrictEqual(plain(classify(statusInfo(100, false), [fault(128)])), {
+        issues: [["offline", "critical", "Offline > 72h"], ["hardware", "critical", "Hardware Failure"]],
+        primaryIssue: "offline",
+        severity: "critical",
+        healthScore: 5
+    });
+    assert.deepStrictEqual(plain(classify(statusInfo(30, false), [fault(135)])), {
+        issues: [["offline", "warning", "Offline > 24h"], ["power", "warning", "Low Battery"]],
+        primaryIssue: "offline",
+        severity: "warning",
+        healthScore: 60
+    });
+});
+
+test("fleet: issues carry a key that does not depend on threshold hours", function () {
+    const keys = function (si, faults) {
+        return Engine.classifyDevice(si, faults, device(), range).issues.map(function (i) { return i.key; });
+    };
+    assert.deepStrictEqual(plain(keys(statusInfo(100, false), [fault(128)])),
+        ["offline:extended", "hardware:Hardware Failure"]);
+    assert.deepStrictEqual(plain(keys(statusInfo(30, false), [])), ["offline:sleep"]);
+});
+
+test("fleet: install fault and zero position", function () {
+    assert.deepStrictEqual(plain(classify(statusInfo(1, true, [0, 0]), [fault(287)])), {
+        issues: [["installation", "warning", "Loose Install"], ["gps", "warning", "GPS Issue"]],
+        primaryIssue: "installation",
+        severity: "warning",
+        healthScore: 60
+    });
+});
+
+test("fleet: pending configuration", function () {
+    const dev = device({ parameterVersion: 5, parameterVersionOnDevice: 4 });
+    assert.deepStrictEqual(plain(classify(statusInfo(1, true), [], dev)), {
+        issues: [["firmware", "info", "Firmware Pending"]],
+        primaryIssue: "firmware",
+        severity: "info",
+        healthScore: 95
+    });
+});
+
+test("drill-down: poor signal and offline are one connectivity issue", function () {
+    const statusData = {};
+    statusData[D.CELLULAR_RSSI] = status(-105);
+    assert.deepStrictEqual(plain(analyze(statusInfo(100, false), statusData)), {
+        issues: [["cellular", "warning", "Connectivity Issue"]],
+        healthScore: 65
+    });
+});
+
+test("drill-down: offline alone is reported by the cellular rule", function () {
+    assert.deepStrictEqual(plain(analyze(statusInfo(30, false), {})), {
+        issues: [["cellular", "warning", "Connectivity Issue"]],
+        healthScore: 80
+    });
+});
+
+test("drill-down: unplugged with low voltage", function () {
+    const statusData = {};
+    statusData[D.UNPLUGGED] = status(1);
+    statusData[D.VOLTAGE] = status(8.5);
+    assert.deepStrictEqual(plain(analyze(statusInfo(1, true), statusData)), {
+        issues: [["unplugged", "critical", "Unplugged"], ["power", "critical", "Low Battery"]],
+        healthScore: 20
+    });
+});
+
+// ── Registry ───────────────────────────────────────────────────────────
+
+test("registerRule adds a rule that runs with the built-ins", function (t) {
+    t.after(function () { Engine.unregisterRule("testRule"); });
+    Engine.registerRule({
+        id: "testRule",
+        category: "custom",
+        priority: 1,
+        inputs: ["statusInfo"],
+        evaluate: function () {
+            return { confidence: 50, severity: "info", label: "Custom" };
+        }
+    });
+    const result = classify(statusInfo(1, true), []);
+    assert.deepStrictEqual(plain(result.issues), [["custom", "info", "Custom"]]);
+    assert.strictEqual(result.healthScore, 95);
+});
+
+test("registerRule replaces a rule with the same id", function (t) {
+    t.after(function () { Engine.unregisterRule("testRule"); });
+    const rule = { id: "testRule", inputs: ["statusInfo"],
+        evaluate: function () { return { severity: "info", label: "First" }; } };
+    Engine.registerRule(rule);
+    Engine.registerRule(Object.assign({}, rule, {
+        evaluate: function () { return { severity: "info", label: "Second" }; }
+    }));
+    const labels = classify(statusInfo(1, true), []).issues.map(function (i) { return i[2]; });
+    assert.deepStrictEqual(plain(labels), ["Second"]);
+});
+
+test("registerRule rejects rules without an id or evaluate", function () {
+    assert.throws(function () { Engine.registerRule({ id: "x" }); });
+    assert.throws(function () { Engine.registerRule({ evaluate: function () { return null; } }); });
+});
+
+test("runRules skips rules whose inputs are missing", function (t) {
+    t.after(function () { Engine.unregisterRule("testRule"); });
+    Engine.registerRule({ id: "testRule", inputs: ["logRecords"],
+        evaluate: function () { return { severity: "info", label: "Needs logs" }; } });
+    assert.deepStrictEqual(plain(classify(statusInfo(1, true), []).issues), []);
+});
+
+test("runRules keeps going when a rule throws", function (t) {
+    const error = console.error;
+    console.error = function () {};
+    t.after(function () {
+        console.error = error;
+        Engine.unregisterRule("testRule");
+    });
+    Engine.registerRule({ id: "testRule", priority: 1, inputs: ["statusInfo"],
+        evaluate: function () { throw new Error("boom"); } });
+    assert.strictEqual(classify(statusInfo(30, false), [fault(135)]).healthScore, 60);
+});
+
+test("setRuleEnabled turns a rule off and back on", function (t) {
+    t.after(function () { Engine.setRuleEnabled("hardware", true); });
+    Engine.setRuleEnabled("hardware", false);
+    assert.deepStrictEqual(plain(classify(statusInfo(100, false), [fault(128)]).issues),
+        [["offline", "critical", "Offline > 72h"]]);
+    Engine.setRuleEnabled("hardware", true);
+    assert.strictEqual(classify(statusInfo(100, false), [fault(128)]).issues.length, 2);
+});
+
+test("setRulePriority reorders rules and the primary issue", function (t) {
+    const original = Engine.getRules().filter(function (r) { return r.id === "hardware"; })[0].priority;
+    t.after(function () { Engine.setRulePriority("hardware", original); });
+    Engine.setRulePriority("hardware", 1);
+    const result = classify(statusInfo(100, false), [fault(128)]);
+    assert.deepStrictEqual(plain(result.issues.map(function (i) { return i[0]; })), ["hardware", "offline"]);
+    assert.strictEqual(result.primaryIssue, "hardware");
+    assert.strictEqual(result.healthScore, 5);
+});
+
+// ── CAN bus disabled ───────────────────────────────────────────────────
+
+function canStatusData(failureCount) {
+    const statusData = {};
+    statusData[D.CAN_DISABLED] = [{ id: "c1", dateTime: ago(2), data: 1 }];
+    statusData[D.CAN_INIT_FAIL] = [];
+    for (let i = 0; i < failureCount; i++) {
+        statusData[D.CAN_INIT_FAIL].push({ id: "i" + i, dateTime: ago(3 + i), data: 1 });
+    }
+    return statusData;
+}
+
+function analyzeCauses(statusData) {
+    return Engine.analyzeDevice(device(), statusInfo(1, true),
+        { statusData: statusData, logRecords: [], faults: [], range: range }).rootCauses;
+}
+
+test("canDisabled: no failures before the disable is the configuration", function () {
+    const causes = analyzeCauses(canStatusData(0));
+    assert.deepStrictEqual(plain(causes.map(function (c) { return [c.ruleId, c.label, c.confidence]; })),
+        [["canDisabled", "CAN Disabled (Config)", 70]]);
+});
+
+test("canDisabled: one failure is an init failure at lower confidence", function () {
+    const causes = analyzeCauses(canStatusData(1));
+    assert.deepStrictEqual(plain(causes.map(function (c) { return [c.ruleId, c.label, c.confidence]; })),
+        [["canDisabled", "CAN Disabled (Init Failures)", 65]]);
+});
+
+test("canDisabled: owns the init failures, so they are not also a loose install", function () {
+    const causes = analyzeCauses(canStatusData(3));
+    assert.deepStrictEqual(plain(causes.map(function (c) { return [c.ruleId, c.label, c.confidence]; })),
+        [["canDisabled", "CAN Disabled (Init Failures)", 85]]);
+});
+
+// ── Battery degradation ────────────────────────────────────────────────
+
+test("batteryTrend: fixed label, fitted change and days in the explanation", function () {
+    const nights = [12.4, 12.3, 12.25, 12.1, 12.0, 11.95];
+    const statusData = {};
+    statusData[D.VOLTAGE] = nights.map(function (volts, i) {
+        const d = new Date(now - (nights.length - i) * 24 * HOUR);
+        d.setHours(2, 0, 0, 0);
+        return { id: "v" + i, dateTime: d.toISOString(), data: volts };
+    });
+    const cause = analyzeCauses(statusData).filter(function (c) { return c.ruleId === "batteryTrend"; })[0];
+    assert.strictEqual(cause.label, "Battery Degrading");
+    const trend = DHD.VoltageTrend.analyze(statusData[D.VOLTAGE], [], null);
+    assert.ok(cause.explanation.indexOf(trend.fittedStart.toFixed(2) + "V to " + trend.fittedEnd.toFixed(2) + "V") !== -1);
+    assert.ok(cause.explanation.indexOf("in about " + cause.details.daysToFailure + " days") !== -1);
+});
+
+// ── Parasitic drain ────────────────────────────────────────────────────
+
+test("parasiticDrain: engine-off periods are the gaps between LogRecords", function () {
+    const logRecords = [];
+    const voltage = [];
+    // Three evenings: a half-hour drive, then parked overnight losing 60 mV/h
+    for (let night = 0; night < 3; night++) {
+        const driveStart = now - (3 - night) * 24 * HOUR;
+        for (let m = 0; m <= 30; m += 5) {
+            logRecords.push({ id: "l" + night + "-" + m, dateTime: new Date(driveStart + m * 60000).toISOString(),
+                latitude: 43.5, longitude: -79.6, speed: 0 });
+        }
+        for (let h = 1; h <= 12; h++) {
+            voltage.push({ id: "v" + night + "-" + h, dateTime: new Date(driveStart + h * HOUR).toISOString(),
+                data: 12.6 - h * 0.06 });
+        }
+    }
+    const statusData = {};
+    statusData[D.VOLTAGE] = voltage;
+    const causes = Engine.analyzeDevice(device(), statusInfo(1, true),
+        { statusData: statusData, logRecords: logRecords, faults: [], range: range }).rootCauses;
+    const drain = causes.filter(function (c) { return c.ruleId === "parasiticDrain"; })[0];
+    assert.ok(drain, "expected a parasitic drain cause");
+    assert.strictEqual(drain.details.periods, 3);
+    assert.strictEqual(drain.details.draining, 3);
+    assert.strictEqual(Math.round(drain.details.worstMvPerHour), 60);
+    assert.deepStrictEqual(plain(DHD.VoltageTrend.analyzeDrain(voltage, [], null)), []);
+});
+
+test("parasiticDrain and tamper declare the LogRecords they read", function () {
+    Engine.getRules().filter(function (r) { return r.id === "parasiticDrain" || r.id === "tamper"; })
+        .forEach(function (r) { assert.ok(r.inputs.indexOf("logRecords") !== -1, r.id); });
+});
+
+// ── GPS quality ────────────────────────────────────────────────────────
+
+function gpsTrail(count, speed, position) {
+    const trail = [];
+    for (let i = 0; i < count; i++) {
+        const rec = { id: "g" + i, dateTime: ago(count - i), latitude: 43.5, longitude: -79.6 };
+        if (position) { Object.assign(rec, position(i)); }
+        if (speed !== undefined) { rec.speed = speed; }
+        trail.push(rec);
+    }
+    return trail;
+}
+
+function gpsLabels(logRecords) {
+    return analyzeCausesWithLogs(logRecords).filter(function (c) { return c.ruleId === "gpsQuality"; })
+        .map(function (c) { return c.label; });
+}
+
+function analyzeCausesWithLogs(logRecords) {
+    return Engine.analyzeDevice(device(), statusInfo(1, true),
+        { statusData: {}, logRecords: logRecords, faults: [], range: range }).rootCauses;
+}
+
+test("gpsQuality: a parked vehicle is not a frozen position", function () {
+    assert.deepStrictEqual(plain(gpsLabels(gpsTrail(40, 0))), []);
+    assert.deepStrictEqual(plain(gpsLabels(gpsTrail(40))), []);
+});
+
+test("gpsQuality: the same position while reporting speed is frozen", function () {
+    assert.deepStrictEqual(plain(gpsLabels(gpsTrail(12, 50))), ["Frozen GPS Position"]);
+});
+
+test("gpsQuality: a stray speed reading in a parked run is not a frozen position", function () {
+    const crawl = gpsTrail(12, 0);
+    crawl[5].speed = 1;
+    assert.deepStrictEqual(plain(gpsLabels(crawl)), []);
+    const blip = gpsTrail(12, 0);
+    blip[5].speed = 50;
+    assert.deepStrictEqual(plain(gpsLabels(blip)), []);
+});
+
+test("gpsQuality: frozen confidence grows with the share of moving records", function () {
+    const frozen = function (trail) {
+        return DHD.GpsQuality.analyze(trail).filter(function (f) { return f.type === "frozen"; })[0];
+    };
+    const half = gpsTrail(12, 0);
+    for (let i = 0; i < 6; i++) { half[i].speed = 50; }
+    assert.ok(frozen(half).confidence < frozen(gpsTrail(12, 50)).confidence);
+});
+
+test("gpsQuality: fixes without a speed are not treated as stopped", function () {
+    const wander = function (i) { return { latitude: 43.5 + (i % 2) * 0.01 }; };
+    assert.deepStrictEqual(plain(gpsLabels(gpsTrail(10, undefined, wander))), []);
+    assert.deepStrictEqual(plain(gpsLabels(gpsTrail(10, 0, wander))), ["GPS Drift"]);
+});
+
+// ── Signal coverage ────────────────────────────────────────────────────
+
+// A drive north from 43.5 with one RSSI reading per position
+function coverageTrail(poorFrom, poorTo) {
+    const logRecords = [];
+    const rssi = [];
+    for (let i = 0; i < 60; i++) {
+        const dateTime = ago((60 - i) / 6);
+        const latitude = 43.5 + i * 0.002;
+        logRecords.push({ dateTime: dateTime, latitude: latitude, longitude: -79.6, speed: 50 });
+        rssi.push({ dateTime: dateTime, data: latitude > poorFrom && latitude < poorTo ? -110 : -70 });
+    }
+    return { logRecords: logRecords, rssi: rssi };
+}
+
+function coverageCauses(trail, peerCells) {
+    const Coverage = DHD.CellularCoverage;
+    const statusData = {};
+    statusData[D.CELLULAR_RSSI] = trail.rssi;
+    const coverage = Coverage.compare(Coverage.buildCells(trail.rssi, trail.logRecords), peerCells);
+    return Engine.analyzeDevice(device(), statusInfo(1, true),
+        { statusData: statusData, logRecords: trail.logRecords, faults: [], coverage: coverage, range: range })
+        .rootCauses.filter(function (c) { return c.ruleId === "cellularCoverage"; })
+        .map(function (c) { return c.label; });
+}
+
+test("cellularCoverage: peers are the devices last seen nearest the poor cells", function () {
+    const trail = coverageTrail(43.55, 43.58);
+    const cells = DHD.CellularCoverage.buildCells(trail.rssi, trail.logRecords);
+    const peers = DHD.CellularCoverage.pickPeers("b1", cells, [
+        { id: "far", latitude: 45, longitude: -79.6 },
+        { id: "b1", latitude: 43.56, longitude: -79.6 },
+        { id: "near", latitude: 43.56, longitude: -79.6 },
+        { id: "closeBy", latitude: 43.7, longitude: -79.6 }
+    ]);
+    assert.deepStrictEqual(plain(peers), ["near", "closeBy"]);
+});
+
+test("cellularCoverage: verdict comes from the peers' own readings", function () {
+    const Coverage = DHD.CellularCoverage;
+    const peerCells = {};
+    ["p1", "p2", "p3"].forEach(function (id) {
+        const trail = coverageTrail(43.55, 43.58);
+        peerCells[id] = Coverage.buildCells(trail.rssi, trail.logRecords);
+    });
+    assert.deepStrictEqual(plain(coverageCauses(coverageTrail(43.55, 43.58), peerCells)), ["Known Dead Zone"]);
+    assert.deepStrictEqual(plain(coverageCauses(coverageTrail(43.6, 43.63), peerCells)), ["Modem Problem Suspected"]);
+    assert.deepStrictEqual(plain(coverageCauses(coverageTrail(43.6, 43.63), {})), []);
+});